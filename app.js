@@ -10,11 +10,29 @@ class DriveBridge {
         this.logger = new Logger();
         this.uiManager = new UIManager(this.logger);
         this.errorHandler = new ErrorHandler(this.logger, this.uiManager);
+        this.transferStore = new TransferStore();
+        const appSettings = Config.getAppSettings();
         this.transferEngine = new ChunkedTransferEngine(
-          64 * 1024 * 1024,  // downloadChunkSize (64 MB)
-          16 * 1024 * 1024,  // uploadChunkSize   (16 MB)
-          5                  // maxConcurrentChunks
+          appSettings.downloadChunkSize,
+          appSettings.uploadChunkSize,
+          appSettings.maxConcurrentChunks,
+          {
+            pipelinedTransfers: appSettings.pipelinedTransfers,
+            maxConcurrentRequests: appSettings.maxConcurrentRequests,
+            verifyIntegrity: appSettings.verifyIntegrity,
+            adaptiveTransfers: appSettings.adaptiveTransfers,
+            minChunkSize: appSettings.minChunkSize,
+            maxChunkSize: appSettings.maxChunkSize,
+            maxAdaptiveConcurrency: appSettings.maxAdaptiveConcurrency,
+            conflictPolicy: appSettings.conflictPolicy,
+            bandwidthLimits: appSettings.bandwidthLimits,
+            endpoints: Config.getApiEndpoints(),
+            store: this.transferStore
+          }
         );
+        this.folderSync = new FolderSync(this.transferEngine, this.transferStore);
+        this.mirrorScheduler = this.createMirrorScheduler();
+        this.transferHistory = new TransferHistory(this.transferStore);
         
         // Configuration
         this.config = {
@@ -40,7 +58,9 @@ class DriveBridge {
             msalInstance: null,
             currentGoogleFolder: 'root',
             currentOneDriveFolder: 'root',
+            // A Shared Drive's path starts at the drive itself, whose id is its root folder
             googleFolderPath: [{ id: 'root', name: 'Root' }],
+            sharedDrives: [],
             onedriveFolderPath: [{ id: 'root', name: 'Root' }],
             selectedGoogleFiles: new Set(),
             selectedOneDriveFiles: new Set(),
@@ -49,8 +69,13 @@ class DriveBridge {
             activeTransfers: new Map(),
             rateLimiter: new Map(),
             transferCache: new Map(),
-            currentExportFile: null,
-            selectedExportFormat: null,
+            resumableSessions: [],
+            syncPairs: [],
+            syncConflicts: {},
+            historyEntries: [],
+            pendingConflict: null,
+            pendingExportRules: null,
+            pendingTransferPlan: null,
             isInitialized: false
         };
 
@@ -164,6 +189,11 @@ class DriveBridge {
         // Transfer buttons
         this.addClickListener('transfer-to-onedrive', () => this.transferSelectedFiles('google', 'onedrive'));
         this.addClickListener('transfer-to-google', () => this.transferSelectedFiles('onedrive', 'google'));
+        this.addClickListener('export-formats-btn', () => this.editExportRules());
+        this.addClickListener('domain-map-btn', () => this.editDomainMap());
+        this.addClickListener('sync-pairs-btn', () => this.openSyncPairs());
+        this.addClickListener('mirror-jobs-btn', () => this.openMirrorJobs());
+        this.addClickListener('history-btn', () => this.openTransferHistory());
         
         // Selection buttons
         this.addClickListener('google-select-all', () => this.selectAllFiles('google'));
@@ -171,6 +201,9 @@ class DriveBridge {
         this.addClickListener('onedrive-select-all', () => this.selectAllFiles('onedrive'));
         this.addClickListener('onedrive-clear-all', () => this.clearAllSelections('onedrive'));
         
+        // Google Drive switcher: My Drive and every Shared Drive
+        document.getElementById('google-drive-select')?.addEventListener('change', (e) => this.switchGoogleDrive(e.target.value));
+        
         // Search functionality
         this.addInputListener('google-search', (e) => this.searchFiles('google', e.target.value));
         this.addInputListener('onedrive-search', (e) => this.searchFiles('onedrive', e.target.value));
@@ -180,6 +213,12 @@ class DriveBridge {
         this.addClickListener('toggle-logs-btn', () => this.toggleTransferLogs());
         this.addClickListener('download-logs-btn', () => this.downloadLogs());
         
+        // Bandwidth caps apply to running transfers as soon as they change
+        ['bandwidth-download', 'bandwidth-upload', 'bandwidth-schedule-enabled', 'bandwidth-schedule-start',
+            'bandwidth-schedule-end', 'bandwidth-schedule-download', 'bandwidth-schedule-upload'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.applyBandwidthLimits());
+        });
+        
         // Folder creation
         this.addClickListener('google-new-folder', () => this.showCreateFolderModal('google'));
         this.addClickListener('onedrive-new-folder', () => this.showCreateFolderModal('onedrive'));
@@ -241,10 +280,13 @@ class DriveBridge {
     forceCloseAllModals() {
         try {
             // Close specific modals
-            this.uiManager?.closeModal('export-format-modal');
+            this.uiManager?.closeModal('export-rules-modal');
             this.uiManager?.closeModal('create-folder-modal');
             this.uiManager?.closeModal('transfer-errors-modal');
             
+            // Settles any dialog a transfer is waiting on (plan, conflict, export rules)
+            this.uiManager?.closeAllModals();
+            
             // Force clear all modal states
             this.clearAllModals();
             
@@ -515,6 +557,22 @@ waitForMSAL() {
     }
 
     initTransferSystem() {
+        const conflictSelect = document.getElementById('conflict-policy');
+        if (conflictSelect) conflictSelect.value = this.config.settings.conflictPolicy;
+        
+        const dispositionSelect = document.getElementById('source-disposition');
+        if (dispositionSelect) dispositionSelect.value = this.config.settings.sourceDisposition;
+        
+        const convertCheckbox = document.getElementById('convert-office');
+        if (convertCheckbox) convertCheckbox.checked = this.config.settings.convertOfficeFiles;
+        
+        const permissionsCheckbox = document.getElementById('migrate-permissions');
+        if (permissionsCheckbox) permissionsCheckbox.checked = this.config.settings.migratePermissions;
+        
+        const incrementalCheckbox = document.getElementById('incremental-mode');
+        if (incrementalCheckbox) incrementalCheckbox.checked = this.config.settings.incrementalTransfers;
+        
+        this.loadBandwidthLimits();
         this.showTransferProgress();
         this.logger.info('Transfer system initialized with chunked transfers enabled');
     }
@@ -523,8 +581,13 @@ waitForMSAL() {
         document.getElementById('auth-view').style.display = 'none';
         document.getElementById('dashboard-view').style.display = 'block';
         
+        this.loadSharedDrives();
         this.loadGoogleDriveFiles();
         this.loadOneDriveFiles();
+        this.checkResumableTransfers();
+        this.mirrorScheduler.start().catch(error => {
+            this.logger.warn('Failed to load mirror jobs', { error: error.message }, 'MIRROR');
+        });
         
         this.logger.info('Dashboard displayed - both services connected');
     }
@@ -537,7 +600,10 @@ waitForMSAL() {
             
             const startTime = Date.now();
             const response = await fetch(
-                `${this.config.endpoints.google.drive}/files?q='${this.state.currentGoogleFolder}' in parents and trashed=false&fields=files(id,name,size,mimeType,modifiedTime,parents,webViewLink)&pageSize=1000`,
+                ChunkedTransferEngine.driveListUrl(
+                    `${this.config.endpoints.google.drive}/files?q='${this.state.currentGoogleFolder}' in parents and trashed=false&fields=files(id,name,size,mimeType,createdTime,modifiedTime,description,parents,webViewLink,md5Checksum,sha256Checksum,driveId,capabilities(canAddChildren,canDownload,canEdit,canTrash,canMoveItemWithinDrive))&pageSize=1000`,
+                    this.currentSharedDriveId()
+                ),
                 {
                     headers: {
                         'Authorization': `Bearer ${this.state.googleToken}`,
@@ -644,7 +710,106 @@ waitForMSAL() {
         this.state.rateLimiter.set(rateLimitKey, recentRequests);
     }
 
+    // Like checkRateLimit, but waits for a free slot instead of failing; used by
+    // long-running walks such as recursive folder transfers
+    async waitForRateLimit(service) {
+        for (;;) {
+            try {
+                this.checkRateLimit(service);
+                return;
+            } catch (error) {
+                const requests = this.state.rateLimiter.get(`${service}_requests`) || [];
+                const wait = requests.length > 0 ? Math.max(requests[0] + 60000 - Date.now(), 100) : 1000;
+                this.logger.debug(`Rate limit reached for ${service}, waiting ${wait}ms`, {}, 'RATE_LIMIT');
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+        }
+    }
+
+    // Lists the Shared Drives the account can see, for the drive switcher
+    async loadSharedDrives() {
+        if (!this.state.googleToken) return;
+        
+        try {
+            const drives = [];
+            let pageToken = null;
+            do {
+                await this.waitForRateLimit('google');
+                const response = await fetch(
+                    `${this.config.endpoints.google.drive}/drives?pageSize=100&fields=nextPageToken,drives(id,name,capabilities,restrictions)` +
+                        (pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''),
+                    { headers: { 'Authorization': `Bearer ${this.state.googleToken}` } }
+                );
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+                const data = await response.json();
+                drives.push(...(data.drives || []));
+                pageToken = data.nextPageToken;
+            } while (pageToken);
+            
+            this.state.sharedDrives = drives.sort((a, b) => a.name.localeCompare(b.name));
+            this.logger.info(`Loaded Shared Drives: ${drives.length}`, {}, 'SHARED_DRIVES');
+        } catch (error) {
+            this.logger.warn('Failed to load Shared Drives', { error: error.message }, 'SHARED_DRIVES');
+        }
+        this.renderDriveSwitcher();
+    }
+
+    renderDriveSwitcher() {
+        const select = document.getElementById('google-drive-select');
+        if (!select) return;
+        
+        const current = this.currentSharedDriveId() || 'root';
+        const drives = this.state.sharedDrives.slice();
+        // A Shared Drive restored from history may not be listed (yet)
+        if (current !== 'root' && !drives.some(drive => drive.id === current)) {
+            drives.push({ id: current, name: this.state.googleFolderPath[0].name });
+        }
+        
+        select.innerHTML = '<option value="root">My Drive</option>' + drives.map(drive =>
+            `<option value="${this.escapeHtml(drive.id)}">${this.escapeHtml(drive.name)}</option>`
+        ).join('');
+        select.value = current;
+    }
+
+    // Id of the Shared Drive shown in the Google pane, or null for My Drive
+    currentSharedDriveId() {
+        const rootId = this.state.googleFolderPath[0].id;
+        return rootId === 'root' ? null : rootId;
+    }
+
+    // { id, name, capabilities, restrictions } of the current Shared Drive, or null
+    currentSharedDrive() {
+        const driveId = this.currentSharedDriveId();
+        if (!driveId) return null;
+        
+        return this.state.sharedDrives.find(drive => drive.id === driveId)
+            || { id: driveId, name: this.state.googleFolderPath[0].name, capabilities: {}, restrictions: {} };
+    }
+
+    // Readers and commenters of a Shared Drive cannot add files or folders to it
+    canAddToGoogleFolder() {
+        const drive = this.currentSharedDrive();
+        return !drive || drive.capabilities?.canAddChildren !== false;
+    }
+
+    async switchGoogleDrive(driveId) {
+        const drive = this.state.sharedDrives.find(item => item.id === driveId);
+        
+        this.state.currentGoogleFolder = drive ? drive.id : 'root';
+        this.state.googleFolderPath = [drive ? { id: drive.id, name: drive.name } : { id: 'root', name: 'Root' }];
+        this.state.selectedGoogleFiles.clear();
+        await this.loadGoogleDriveFiles();
+        this.updateTransferButtons();
+        this.logger.info(`Switched to ${drive ? `Shared Drive ${drive.name}` : 'My Drive'}`, {}, 'SHARED_DRIVES');
+    }
+
     renderFolderNavigation(service) {
+        if (service === 'google') {
+            this.renderDriveSwitcher();
+        }
+        
         const breadcrumbElement = document.getElementById(`${service === 'google' ? 'google' : 'onedrive'}-breadcrumb`);
         if (!breadcrumbElement) return;
         
@@ -867,10 +1032,12 @@ waitForMSAL() {
         
         if (transferToGoogleBtn) {
             const count = this.state.selectedOneDriveFiles.size;
-            transferToGoogleBtn.disabled = count === 0;
-            transferToGoogleBtn.textContent = count > 0
-                ? `← Transfer ${count} Selected to Google Drive`
-                : '← Transfer Selected to Google Drive';
+            const canAdd = this.canAddToGoogleFolder();
+            transferToGoogleBtn.disabled = count === 0 || !canAdd;
+            transferToGoogleBtn.title = canAdd ? '' : 'Your role in this Shared Drive does not allow adding files';
+            transferToGoogleBtn.innerHTML = count > 0
+                ? `← Transfer ${count} Selected to Google Drive <span class="chunked-badge">CHUNKED</span>`
+                : '← Transfer Selected to Google Drive <span class="chunked-badge">CHUNKED</span>';
         }
     }
 
@@ -888,6 +1055,11 @@ waitForMSAL() {
             return;
         }
         
+        if (to === 'google' && !this.canAddToGoogleFolder()) {
+            this.uiManager.showNotification(`Your role in "${this.currentSharedDrive().name}" does not allow adding files`, 'error');
+            return;
+        }
+        
         const transferId = 'batch_' + Date.now();
         const fileArray = Array.from(selectedFiles);
         
@@ -921,91 +1093,152 @@ waitForMSAL() {
             }
         }
         
-        // Handle folders by getting their contents
+        // What was selected, for the transfer history and re-runs
+        const selection = [
+            ...foldersToProcess.map(folder => ({ id: folder.id, name: folder.name, isFolder: true })),
+            ...filesToTransfer.map(file => ({ id: file.id, name: file.name, isFolder: false }))
+        ];
+        const conflictPolicy = document.getElementById('conflict-policy')?.value || this.config.settings.conflictPolicy;
+        
+        // Dry run first: nothing is created until the plan is confirmed
+        if (this.config.settings.showTransferPlan) {
+            this.uiManager.showNotification('Checking the selection before transfer...', 'info');
+            const plan = await this.buildTransferPlan(filesToTransfer, foldersToProcess, from, to, conflictPolicy);
+            if (!await this.showTransferPlanModal(plan)) {
+                this.uiManager.showNotification('Transfer cancelled', 'info');
+                return;
+            }
+        }
+        
+        // Read the selected folders' trees from the source first, so the export
+        // formats are settled before anything is written to the destination
+        const sourceTrees = [];
         for (const folder of foldersToProcess) {
-            try {
-                this.uiManager.showNotification(`Processing folder: ${folder.name}...`, 'info');
-                const folderContents = await this.getFolderContents(folder.id, from);
-                
-                if (folderContents.length > 0) {
-                    // Create destination folder
-                    const destFolderId = await this.createFolder(folder.name, to);
-                    this.logger.info(`Created destination folder: ${folder.name}`);
-                    
-                    // Add all files from folder to transfer list
-                    folderContents.forEach(file => {
-                        if (!this.isFolder(file, from)) {
-                            file._destinationFolder = destFolderId;
-                            file._originalFolder = folder.name;
-                            filesToTransfer.push(file);
-                        }
-                    });
-                }
-            } catch (error) {
-                this.logger.error(`Failed to process folder: ${folder.name}`, { error: error.message });
-                results.push({ success: false, fileId: folder.id, fileName: folder.name, error });
-                failedCount++;
+            this.uiManager.showNotification(`Reading folder: ${folder.name}...`, 'info');
+            sourceTrees.push(await this.readSourceTree(folder, from, folder.name));
+        }
+        
+        // Workspace files need an export format; asked once for the whole batch
+        let exportRules = null;
+        if (from === 'google') {
+            const sourceFiles = [...filesToTransfer, ...sourceTrees.flatMap(tree => this.sourceTreeFiles(tree))];
+            exportRules = await this.resolveExportRules(sourceFiles);
+            if (exportRules === false) {
+                this.uiManager.showNotification('Transfer cancelled', 'info');
+                return;
             }
         }
         
+        // Recreate each selected folder's full tree under the current destination
+        // folder and queue every nested file into its matching destination folder
+        const destinationRoot = to === 'google' ? this.state.currentGoogleFolder : this.state.currentOneDriveFolder;
+        const folderTree = { foldersCreated: 0, failures: [], sanitizer: this.createNameSanitizer(to) };
+        
+        for (const tree of sourceTrees) {
+            this.uiManager.showNotification(`Processing folder: ${tree.folder.name}...`, 'info');
+            await this.createFolderTree(tree, to, destinationRoot, filesToTransfer, folderTree);
+        }
+        
+        folderTree.failures.forEach(failure => {
+            results.push(failure);
+            failedCount++;
+        });
+        
         if (filesToTransfer.length === 0) {
-            this.uiManager.showNotification('No transferable files found (folders may be empty)', 'warning');
+            if (folderTree.foldersCreated > 0) {
+                this.uiManager.showNotification(`Created ${folderTree.foldersCreated} folder(s); they contain no files`, 'success');
+                this.refreshFiles();
+            } else {
+                this.uiManager.showNotification('No transferable files found (folders may be empty)', 'warning');
+            }
             return;
         }
         
+        const batchOptions = this.createConflictOptions(conflictPolicy);
+        batchOptions.nameSanitizer = folderTree.sanitizer;
+        batchOptions.exportRules = exportRules;
+        
+        const incrementalCheckbox = document.getElementById('incremental-mode');
+        batchOptions.incremental = incrementalCheckbox ? incrementalCheckbox.checked : this.config.settings.incrementalTransfers;
+        
+        // Office files uploaded to Drive can be imported as Docs, Sheets and Slides
+        const convertCheckbox = document.getElementById('convert-office');
+        if (to === 'google' && (convertCheckbox ? convertCheckbox.checked : this.config.settings.convertOfficeFiles)) {
+            batchOptions.convertOffice = Config.getOfficeConversionRules();
+        }
+        
+        const permissionsCheckbox = document.getElementById('migrate-permissions');
+        if (permissionsCheckbox ? permissionsCheckbox.checked : this.config.settings.migratePermissions) {
+            batchOptions.permissionMapping = { domainMap: await this.loadDomainMap() };
+            // Shares the destination Shared Drive forbids are reported instead of attempted
+            const destinationDrive = to === 'google' ? this.currentSharedDrive() : null;
+            if (destinationDrive) {
+                batchOptions.permissionMapping.destinationDrive = { name: destinationDrive.name, restrictions: destinationDrive.restrictions || {} };
+            }
+        }
+        
+        // Moves instead of copies: what happens to each source once its copy succeeded
+        const dispositionPolicy = document.getElementById('source-disposition')?.value || this.config.settings.sourceDisposition;
+        if (dispositionPolicy !== 'keep') {
+            batchOptions.disposition = {
+                policy: dispositionPolicy,
+                archiveParentId: from === 'google' ? this.state.currentGoogleFolder : this.state.currentOneDriveFolder,
+                archiveName: this.config.settings.archiveFolderName
+            };
+        }
+        
+        const historyEntry = await this.transferHistory.begin({
+            id: transferId,
+            from,
+            to,
+            sourceFolder: (from === 'google' ? this.state.googleFolderPath : this.state.onedriveFolderPath).slice(),
+            destinationFolder: (to === 'google' ? this.state.googleFolderPath : this.state.onedriveFolderPath).slice(),
+            items: selection,
+            options: {
+                conflictPolicy: batchOptions.conflictPolicy,
+                incremental: batchOptions.incremental,
+                convertOffice: !!batchOptions.convertOffice,
+                migratePermissions: !!batchOptions.permissionMapping,
+                sourceDisposition: dispositionPolicy
+            }
+        });
+        
         this.uiManager.showNotification(`Transferring ${filesToTransfer.length} file(s)...`, 'info');
         
-        // Process files one by one
-        for (let i = 0; i < filesToTransfer.length; i++) {
-            const fileInfo = filesToTransfer[i];
-            
-            try {
-                // Create progress bar
-                const expectedChunks = fileInfo.size ? Math.ceil(fileInfo.size / Config.getChunkSettings().downloadChunkSize) : 1;
-                this.uiManager.createProgressBar(fileInfo.id, fileInfo.name, expectedChunks);
-                
-                let success = false;
-                
-                if (from === 'google' && to === 'onedrive') {
-                    if (this.isGoogleWorkspaceFile(fileInfo)) {
-                        success = await this.transferGoogleWorkspaceFile(fileInfo);
-                    } else {
-                        const result = await this.transferEngine.transferFileChunked(
-                            fileInfo,                                  // ✅ File info
-                            fileInfo._destinationFolder || this.state.currentOneDriveFolder,  // ✅ Destination folder ID
-                            (progressData) => this.uiManager.updateProgressBar(fileInfo.id, progressData)
-                        );
-
-                        success = result;
-                    }
-                } else {
-                    // For other directions, use simpler transfer
-                    success = await this.transferFileSimple(fileInfo, from, to);
-                }
-                
-                this.uiManager.completeProgressBar(fileInfo.id, success.success !== false);
-                
-                if (success.success !== false) {
-                    results.push({ success: true, fileId: fileInfo.id, fileName: fileInfo.name });
-                    successCount++;
-                } else {
-                    results.push({ success: false, fileId: fileInfo.id, fileName: fileInfo.name, error: success.error || new Error('Transfer failed') });
-                    failedCount++;
-                }
-                
-            } catch (error) {
-                this.logger.error(`Transfer failed for ${fileInfo.name}`, { error: error.message });
-                this.uiManager.completeProgressBar(fileInfo.id, false);
-                
-                results.push({ 
-                    success: false, 
-                    fileId: fileInfo.id, 
-                    fileName: fileInfo.name, 
-                    error 
-                });
+        // Batch-level pause/cancel; every file gets a child control
+        const batchControl = new TransferControl();
+        this.uiManager.showBatchControls(batchControl, filesToTransfer.length);
+        let cancelledCount = 0;
+        let skippedCount = 0;
+        
+        // Run up to maxConcurrentFiles files at once; the engine's request queue
+        // keeps the total number of concurrent chunk requests bounded
+        const fileQueue = new TransferQueue(this.config.settings.maxConcurrentFiles, 'files');
+        const fileResults = await Promise.all(filesToTransfer.map(fileInfo =>
+            fileQueue.add(async () => {
+                const startedAt = Date.now();
+                const result = await this.transferQueuedFile(fileInfo, from, to, batchControl, batchOptions);
+                result.duration = Date.now() - startedAt;
+                return result;
+            })
+        ));
+        
+        fileResults.forEach(result => {
+            results.push(result);
+            // Skipped files are counted on their own, not as successes
+            if (result.skipped) {
+                skippedCount++;
+            } else if (result.success) {
+                successCount++;
+            } else if (result.cancelled) {
+                cancelledCount++;
+            } else {
                 failedCount++;
             }
-        }
+        });
+        
+        this.uiManager.hideBatchControls();
+        this.transferHistory.complete(historyEntry, results, filesToTransfer, folderTree.foldersCreated);
         
         // Clear selections and refresh
         selectedFiles.clear();
@@ -1014,8 +1247,19 @@ waitForMSAL() {
         this.renderFileList('onedrive', this.state.oneDriveFiles);
         
         // Show results
-        this.logger.transferComplete(transferId, { total: filesToTransfer.length, successful: successCount, failed: failedCount });
-        this.errorHandler.showTransferSummary(results);
+        this.logger.transferComplete(transferId, {
+            total: filesToTransfer.length,
+            successful: successCount,
+            failed: failedCount,
+            cancelled: cancelledCount,
+            skipped: skippedCount,
+            conflictPolicy: batchOptions.conflictPolicy,
+            convertOffice: !!batchOptions.convertOffice,
+            migratePermissions: !!batchOptions.permissionMapping,
+            incremental: batchOptions.incremental,
+            sourceDisposition: dispositionPolicy
+        });
+        this.errorHandler.showTransferSummary(results, folderTree.sanitizer?.manifest || []);
         
         // Refresh file lists
         setTimeout(() => {
@@ -1023,165 +1267,1458 @@ waitForMSAL() {
         }, 2000);
     }
 
-    async getFolderContents(folderId, service) {
+    // Read a selected folder's tree from the source without writing anything.
+    // Resolves with { folder, path, folders, files, error }; folders holds the
+    // subtrees, and error is set when this folder could not be listed.
+    async readSourceTree(folder, from, folderPath) {
+        const tree = { folder, path: folderPath, folders: [], files: [], error: null };
+        
         try {
-            this.checkRateLimit(service);
-            
-            if (service === 'google') {
-                const response = await fetch(
-                    `${this.config.endpoints.google.drive}/files?q='${folderId}' in parents and trashed=false&fields=files(id,name,size,mimeType,modifiedTime,parents)&pageSize=1000`,
-                    {
-                        headers: {
-                            'Authorization': `Bearer ${this.state.googleToken}`,
-                            'X-Requested-With': 'XMLHttpRequest'
-                        }
-                    }
-                );
-                
-                if (response.ok) {
-                    const data = await response.json();
-                    return data.files || [];
+            const contents = await this.getFolderContents(folder.id, from);
+            for (const item of contents) {
+                if (this.isFolder(item, from)) {
+                    tree.folders.push(await this.readSourceTree(item, from, `${folderPath}/${item.name}`));
                 } else {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    tree.files.push(item);
                 }
-            } else {
-                const endpoint = `${this.config.endpoints.microsoft.graph}/me/drive/items/${folderId}/children`;
-                const response = await fetch(endpoint, {
-                    headers: {
-                        'Authorization': `Bearer ${this.state.microsoftToken}`,
-                        'X-Requested-With': 'XMLHttpRequest'
-                    }
-                });
-                
-                if (response.ok) {
-                    const data = await response.json();
-                    return data.value || [];
+            }
+        } catch (error) {
+            tree.error = error;
+        }
+        return tree;
+    }
+    
+    sourceTreeFiles(tree) {
+        return [...tree.files, ...tree.folders.flatMap(child => this.sourceTreeFiles(child))];
+    }
+    
+    // Depth-first creation of a tree read by readSourceTree: creates (or reuses) the
+    // matching folder under destinationParentId, queues its files and recurses into
+    // subfolders. Listing or creation failures are recorded per folder and the walk
+    // continues.
+    async createFolderTree(tree, to, destinationParentId, filesToTransfer, folderTree) {
+        let destinationFolderId;
+        
+        try {
+            if (tree.error) throw tree.error;
+            
+            const folderName = folderTree.sanitizer
+                ? folderTree.sanitizer.claim(destinationParentId, tree.folder.name, 'folder')
+                : tree.folder.name;
+            destinationFolderId = await this.findOrCreateFolder(folderName, to, destinationParentId, folderTree);
+            folderTree.sanitizer?.registerFolder(destinationFolderId, destinationParentId, folderName);
+        } catch (error) {
+            this.logger.error(`Failed to process folder: ${tree.path}`, { error: error.message });
+            folderTree.failures.push({ success: false, fileId: tree.folder.id, fileName: tree.path, error });
+            return;
+        }
+        
+        tree.files.forEach(file => {
+            file._destinationFolder = destinationFolderId;
+            file._originalFolder = tree.path;
+            filesToTransfer.push(file);
+        });
+        for (const child of tree.folders) {
+            await this.createFolderTree(child, to, destinationFolderId, filesToTransfer, folderTree);
+        }
+    }
+    
+    // OneDrive rejects many names Drive allows; one sanitizer per batch keeps the
+    // rewritten names unique and records them for the summary
+    createNameSanitizer(to) {
+        if (to !== 'onedrive' || !this.config.settings.sanitizeNames) return null;
+        
+        return new NameSanitizer({
+            basePath: this.state.onedriveFolderPath.slice(1).map(folder => folder.name).join('/'),
+            maxPathLength: this.config.settings.maxPathLength
+        });
+    }
+    
+    // Walk the selection without writing anything and collect totals, size and
+    // naming problems, collisions and the destination quota
+    async buildTransferPlan(files, folders, from, to, conflictPolicy) {
+        const planner = new TransferPlanner(from, to, conflictPolicy, from === 'google' ? await this.plannedExportExtensions() : null);
+        const destinationRoot = to === 'google' ? this.state.currentGoogleFolder : this.state.currentOneDriveFolder;
+        const rootItems = to === 'google' ? this.state.googleFiles : this.state.oneDriveFiles;
+        const rootNames = planner.nameIndex(rootItems.map(item => item.name));
+        
+        files.forEach(file => {
+            planner.addFile(file, '', from === 'google' && this.isGoogleWorkspaceFile(file), rootNames);
+        });
+        
+        for (const folder of folders) {
+            await this.collectPlanTree(folder, from, to, destinationRoot, '', planner);
+        }
+        
+        try {
+            const quota = await this.getDestinationQuota(to);
+            planner.setQuota(quota.limit, quota.used);
+        } catch (error) {
+            this.logger.warn('Failed to read destination quota', { error: error.message, service: to }, 'PLAN');
+        }
+        
+        this.logger.info('Transfer plan built', planner.summary(), 'PLAN');
+        return planner;
+    }
+    
+    // Extension per Workspace type under the saved export rules, or the defaults the
+    // export dialog starts from when none are saved yet
+    async plannedExportExtensions() {
+        const saved = await this.transferStore.getPreference('exportRules').catch(() => undefined);
+        const rules = { ...Config.getDefaultExportRules(), ...(saved || {}) };
+        const formats = Config.getWorkspaceExportFormats();
+        const extensions = {};
+        
+        Object.entries(rules).forEach(([mimeType, exportMimeType]) => {
+            const format = formats[mimeType]?.[exportMimeType];
+            if (format) extensions[mimeType] = format.extension;
+        });
+        return extensions;
+    }
+    
+    // Mirrors createFolderTree, but only looks up destination folders; names can
+    // only collide inside folders that already exist
+    async collectPlanTree(folder, from, to, destinationParentId, path, planner) {
+        const folderPath = path ? `${path}/${folder.name}` : folder.name;
+        planner.addFolder(folder.name, path);
+        
+        try {
+            const destinationFolderId = destinationParentId
+                ? await this.findFolder(folder.name, to, destinationParentId)
+                : null;
+            const contents = await this.getFolderContents(folder.id, from);
+            const existing = destinationFolderId ? await this.getFolderContents(destinationFolderId, to) : null;
+            const existingNames = existing ? planner.nameIndex(existing.map(item => item.name)) : null;
+            
+            for (const item of contents) {
+                if (this.isFolder(item, from)) {
+                    await this.collectPlanTree(item, from, to, destinationFolderId, folderPath, planner);
                 } else {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    planner.addFile(item, folderPath, from === 'google' && this.isGoogleWorkspaceFile(item), existingNames);
                 }
             }
         } catch (error) {
-            this.logger.error('Failed to get folder contents', { error: error.message, folderId, service });
-            throw error;
+            planner.addError(folderPath, error.message);
         }
     }
-
-    async transferGoogleWorkspaceFile(fileInfo) {
-        return new Promise((resolve, reject) => {
-            const formats = Config.getWorkspaceExportFormats()[fileInfo.mimeType] || {};
-            
-            // Create export format modal
-            const modal = this.uiManager.createModal('export-format-modal', 'Choose Export Format');
+    
+    // Resolves with { limit, used } in bytes; limit is null for unlimited storage
+    async getDestinationQuota(service) {
+        // Shared Drives draw on the organization's pooled storage, not the user's quota
+        if (service === 'google' && this.currentSharedDriveId()) {
+            return { limit: null, used: 0 };
+        }
+        
+        await this.waitForRateLimit(service);
+        
+        if (service === 'google') {
+            const response = await fetch(`${this.config.endpoints.google.drive}/about?fields=storageQuota`, {
+                headers: { 'Authorization': `Bearer ${this.state.googleToken}` }
+            });
+            if (!response.ok) {
+                throw new Error(`Google Drive quota lookup failed: ${response.status}`);
+            }
+            const { storageQuota } = await response.json();
+            return {
+                limit: storageQuota.limit ? parseInt(storageQuota.limit, 10) : null,
+                used: parseInt(storageQuota.usage || 0, 10)
+            };
+        }
+        
+        const response = await fetch(`${this.config.endpoints.microsoft.graph}/me/drive?$select=quota`, {
+            headers: { 'Authorization': `Bearer ${this.state.microsoftToken}` }
+        });
+        if (!response.ok) {
+            throw new Error(`OneDrive quota lookup failed: ${response.status}`);
+        }
+        const { quota } = await response.json();
+        return { limit: quota.total || null, used: quota.used || 0 };
+    }
+    
+    // Resolves with true when the user starts the transfer
+    showTransferPlanModal(planner) {
+        return new Promise((resolve) => {
+            const plan = planner.summary();
+            const target = plan.destination === 'google' ? 'Google Drive' : 'OneDrive';
+            const modal = this.uiManager.createModal('transfer-plan-modal', 'Transfer Plan');
             const content = modal.querySelector('.modal-content');
+            const quotaText = !plan.quota ? 'unknown'
+                : plan.quota.available === null ? 'unlimited'
+                : `${this.formatFileSize(plan.quota.available) || '0 Bytes'} free`;
+            
+            const section = (title, entries, describe) => entries.length === 0 ? '' : `
+                <details class="plan-section" open>
+                    <summary>${this.escapeHtml(title)} (${entries.length})</summary>
+                    <ul>
+                        ${entries.slice(0, 50).map(entry => `<li>${this.escapeHtml(describe(entry))}</li>`).join('')}
+                        ${entries.length > 50 ? `<li>…and ${entries.length - 50} more (see the exported plan)</li>` : ''}
+                    </ul>
+                </details>
+            `;
             
             content.innerHTML = `
-                <p class="export-info">Select format to export "${this.escapeHtml(fileInfo.name)}":</p>
-                <div class="export-format-grid">
-                    ${Object.entries(formats).map(([mimeType, formatInfo]) => `
-                        <div class="export-format-option" data-mime-type="${mimeType}" onclick="app.selectExportFormat(this, '${mimeType}')">
-                            <div class="format-icon">${this.getFileIcon({ mimeType })}</div>
-                            <div class="format-name">${this.escapeHtml(formatInfo.name)}</div>
-                            <div class="format-description">Standard format</div>
-                        </div>
-                    `).join('')}
+                <div class="plan-totals">
+                    <div><strong>${plan.files}</strong> file(s)</div>
+                    <div><strong>${plan.folders}</strong> folder(s)</div>
+                    <div><strong>${this.formatFileSize(plan.bytes) || '0 Bytes'}</strong> to copy</div>
+                    <div><strong>${plan.workspaceFiles}</strong> Workspace file(s) to export</div>
+                    <div class="${plan.quota && !plan.quota.sufficient ? 'plan-warning' : ''}"><strong>${this.escapeHtml(quotaText)}</strong> on ${target}</div>
                 </div>
+                ${plan.quota && !plan.quota.sufficient ? `
+                    <p class="plan-warning">⚠️ The batch is larger than the free space on ${target}; the transfer will fail once it is full.</p>
+                ` : ''}
+                ${section('Too large for ' + target, plan.tooLarge, entry =>
+                    `${entry.path}: ${this.formatFileSize(entry.size)} (limit ${this.formatFileSize(entry.limit)})`)}
+                ${section('Names ' + target + ' does not allow', plan.invalidNames, entry => `${entry.path}: ${entry.reason}` +
+                    (this.config.settings.sanitizeNames && plan.destination === 'onedrive' ? ` (will be renamed to "${entry.sanitized}")` : ''))}
+                ${section('Name collisions', plan.collisions, entry =>
+                    `${entry.path}: ${entry.with === 'existing' ? 'already exists' : 'appears twice in this batch'} (${entry.policy})`)}
+                ${section('Folders that could not be read', plan.unreadable, entry => `${entry.path}: ${entry.error}`)}
+                ${planner.hasProblems() ? '' : '<p class="plan-ok">✅ No problems found.</p>'}
                 <div class="modal-actions">
-                    <button class="btn btn--primary" onclick="app.confirmExportFormat('${fileInfo.id}')">Export & Transfer</button>
-                    <button class="btn btn--secondary" onclick="app.cancelExportFormat()">Cancel</button>
+                    <button class="btn btn--primary" onclick="app.confirmTransferPlan()">Start Transfer</button>
+                    <button class="btn btn--secondary" onclick="app.exportTransferPlan()">Export Plan</button>
+                    <button class="btn btn--secondary" onclick="app.cancelTransferPlan()">Cancel</button>
                 </div>
             `;
             
-            // Store callbacks
-            this.state.currentExportFile = {
-                fileInfo,
-                resolve,
-                reject
-            };
-            this.state.selectedExportFormat = null;
-            
-            this.uiManager.showModal('export-format-modal');
-            
-            // Auto-select first format
-            const firstOption = content.querySelector('.export-format-option');
-            if (firstOption) {
-                this.selectExportFormat(firstOption, firstOption.dataset.mimeType);
-            }
+            // Any other way of closing the plan (×, overlay, Escape) cancels it
+            this.state.pendingTransferPlan = { resolve, planner };
+            this.uiManager.onModalClose('transfer-plan-modal', () => this.cancelTransferPlan());
+            this.uiManager.showModal('transfer-plan-modal');
         });
     }
-
-    selectExportFormat(element, mimeType) {
-        // Clear previous selection
-        document.querySelectorAll('.export-format-option').forEach(el => {
-            el.classList.remove('selected');
-        });
+    
+    confirmTransferPlan() {
+        const pending = this.state.pendingTransferPlan;
+        this.state.pendingTransferPlan = null;
+        this.uiManager.closeModal('transfer-plan-modal');
+        if (pending) pending.resolve(true);
+    }
+    
+    cancelTransferPlan() {
+        const pending = this.state.pendingTransferPlan;
+        this.state.pendingTransferPlan = null;
+        this.uiManager.closeModal('transfer-plan-modal');
+        if (pending) pending.resolve(false);
+    }
+    
+    // Download the plan as CSV, one row per file
+    exportTransferPlan() {
+        const pending = this.state.pendingTransferPlan;
+        if (!pending) return;
+        
+        const blob = new Blob([pending.planner.toCsv()], { type: 'text/csv' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = `drivebridge-transfer-plan-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.csv`;
+        
+        document.body.appendChild(a);
+        a.click();
+        
+        setTimeout(() => {
+            window.URL.revokeObjectURL(url);
+            if (document.body.contains(a)) {
+                document.body.removeChild(a);
+            }
+        }, 100);
         
-        // Select current
-        element.classList.add('selected');
-        this.state.selectedExportFormat = mimeType;
+        this.logger.info('Transfer plan exported', { filename: a.download }, 'PLAN');
     }
-
-    async confirmExportFormat(fileId) {
-        if (this.state.selectedExportFormat && this.state.currentExportFile) {
-            try {
-                // Export the file
-                const exportedBlob = await this.transferEngine.exportGoogleWorkspaceFile(
-                    this.state.currentExportFile.fileInfo.id, 
-                    this.state.googleToken, 
-                    this.state.selectedExportFormat
-                );
-                
-                // Update filename with correct extension
-                const formats = Config.getWorkspaceExportFormats()[this.state.currentExportFile.fileInfo.mimeType] || {};
-                const formatInfo = formats[this.state.selectedExportFormat];
-                if (formatInfo && formatInfo.extension) {
-                    const baseName = this.state.currentExportFile.fileInfo.name.replace(/\.[^/.]+$/, "");
-                    this.state.currentExportFile.fileInfo.name = baseName + formatInfo.extension;
-                }
-                
-                // Upload using chunked engine
-                const result = await this.transferEngine.uploadFileInChunks(
-                    exportedBlob,
-                    this.state.currentExportFile.fileInfo.name,
-                    this.state.microsoftToken,
-                    this.state.currentOneDriveFolder,
-                    'workspace_' + Date.now(),
-                    (progressData) => this.uiManager.updateProgressBar(this.state.currentExportFile.fileInfo.id, progressData)
-                );
-                
-                this.state.currentExportFile.resolve({ success: true, result });
-                this.uiManager.closeModal('export-format-modal');
-                
-            } catch (error) {
-                this.state.currentExportFile.reject(error);
+    
+    // Reuse a folder of the same name so a re-run merges into the earlier copy
+    async findOrCreateFolder(folderName, service, parentId, folderTree) {
+        const existingId = await this.findFolder(folderName, service, parentId);
+        if (existingId) {
+            this.logger.info(`Using existing destination folder: ${folderName}`, { parentId, service });
+            return existingId;
+        }
+        
+        const folderId = await this.createFolder(folderName, service, parentId);
+        folderTree.foldersCreated++;
+        this.logger.info(`Created destination folder: ${folderName}`, { parentId, service });
+        return folderId;
+    }
+    
+    async findFolder(folderName, service, parentId) {
+        await this.waitForRateLimit(service);
+        
+        if (service === 'google') {
+            const escapedName = folderName.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+            const query = `'${parentId}' in parents and name = '${escapedName}' and mimeType = 'application/vnd.google-apps.folder' and trashed = false`;
+            const response = await fetch(
+                ChunkedTransferEngine.driveListUrl(`${this.config.endpoints.google.drive}/files?q=${encodeURIComponent(query)}&fields=files(id)&pageSize=1`),
+                { headers: { 'Authorization': `Bearer ${this.state.googleToken}` } }
+            );
+            if (!response.ok) {
+                throw new Error(`Google Drive folder lookup failed: ${response.status}`);
             }
+            const data = await response.json();
+            return data.files?.[0]?.id || null;
+        }
+        
+        const parentPath = parentId === 'root' ? 'me/drive/root' : `me/drive/items/${parentId}`;
+        const response = await fetch(
+            `${this.config.endpoints.microsoft.graph}/${parentPath}:/${encodeURIComponent(folderName)}?select=id,folder`,
+            { headers: { 'Authorization': `Bearer ${this.state.microsoftToken}` } }
+        );
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`OneDrive folder lookup failed: ${response.status}`);
         }
+        const item = await response.json();
+        if (!item.folder) {
+            throw new Error(`A file named ${folderName} already exists where a folder is needed`);
+        }
+        return item.id;
     }
 
-    cancelExportFormat() {
-        if (this.state.currentExportFile) {
-            this.state.currentExportFile.reject(new Error('Export cancelled by user'));
-            this.uiManager.closeModal('export-format-modal');
+    // Per-batch conflict options for the engine. With 'ask', questions are shown one
+    // at a time and an answer can be applied to the rest of the batch.
+    createConflictOptions(conflictPolicy) {
+        const batchOptions = { conflictPolicy, onConflict: null };
+        
+        if (conflictPolicy === 'ask') {
+            let queue = Promise.resolve();
+            let rememberedPolicy = null;
+            
+            batchOptions.onConflict = (existing, transfer) => {
+                const answer = queue.then(() => rememberedPolicy ||
+                    this.askConflictPolicy(transfer.fileName, transfer.destination).then(({ policy, applyToAll }) => {
+                        if (applyToAll) rememberedPolicy = policy;
+                        return policy;
+                    })
+                );
+                queue = answer.catch(() => {});
+                return answer;
+            };
         }
+        
+        return batchOptions;
     }
-
-    async transferFileSimple(fileInfo, from, to) {
-        try {
-            const blob = await this.downloadFileBlob(fileInfo.id, from);
-            const success = await this.uploadFileBlob(blob, fileInfo.name, to);
-            return { success };
-        } catch (error) {
-            return { success: false, error };
+    
+    askConflictPolicy(fileName, destination) {
+        // A prompt still open from another batch is answered with skip rather than lost
+        if (this.state.pendingConflict) {
+            this.answerConflict('skip');
         }
+        
+        return new Promise((resolve) => {
+            const target = destination === 'google' ? 'Google Drive' : 'OneDrive';
+            const modal = this.uiManager.createModal('conflict-modal', 'File Already Exists');
+            const content = modal.querySelector('.modal-content');
+            
+            content.innerHTML = `
+                <p class="conflict-info">"${this.escapeHtml(fileName)}" already exists in the ${target} destination folder.</p>
+                <label class="conflict-apply-all">
+                    <input type="checkbox" id="conflict-apply-all"> Do this for the remaining conflicts in this batch
+                </label>
+                <div class="modal-actions">
+                    <button class="btn btn--primary" onclick="app.answerConflict('keepBoth')">Keep Both</button>
+                    <button class="btn btn--secondary" onclick="app.answerConflict('replace')">Replace</button>
+                    <button class="btn btn--secondary" onclick="app.answerConflict('skipIfIdentical')">Skip if Identical</button>
+                    <button class="btn btn--ghost" onclick="app.answerConflict('skip')">Skip</button>
+                </div>
+            `;
+            
+            // Closing the dialog without choosing leaves the existing file alone
+            this.state.pendingConflict = { resolve };
+            this.uiManager.onModalClose('conflict-modal', () => this.answerConflict('skip'));
+            this.uiManager.showModal('conflict-modal');
+        });
     }
-
-    validateTokens(from, to) {
-        const fromToken = from === 'google' ? this.state.googleToken : this.state.microsoftToken;
-        const toToken = to === 'google' ? this.state.googleToken : this.state.microsoftToken;
-        return fromToken && toToken;
+    
+    answerConflict(policy) {
+        const pending = this.state.pendingConflict;
+        if (!pending) return;
+        
+        const applyToAll = document.getElementById('conflict-apply-all')?.checked || false;
+        this.state.pendingConflict = null;
+        this.uiManager.closeModal('conflict-modal');
+        pending.resolve({ policy, applyToAll });
+    }
+    
+    // Progress bar label for how a name conflict or Office conversion was settled
+    describeOutcome(result) {
+        if (result.conflict) {
+            switch (result.conflict.outcome) {
+                case 'replaced': return '✅ Replaced existing file';
+                case 'renamed': return `✅ Saved as "${result.conflict.finalName}"`;
+                case 'skipped': return '⏭️ Skipped (already exists)';
+                case 'skipped-identical': return '⏭️ Skipped (identical)';
+                case 'skipped-unchanged': return '⏭️ Skipped (unchanged)';
+            }
+        }
+        if (result.conversion) {
+            switch (result.conversion.status) {
+                case 'convert': return '✅ Converted to Google format';
+                case 'too-large': return '⚠️ Uploaded unconverted (too large)';
+            }
+        }
+        return null;
     }
 
-    getFileInfo(fileId, service) {
-        if (service === 'google') {
+    // Transfer one file of a batch; always resolves with a result entry
+    async transferQueuedFile(fileInfo, from, to, batchControl, batchOptions = {}) {
+        const control = new TransferControl(batchControl);
+        // Archived sources keep the folder path they had in the batch
+        const fileOptions = { ...batchOptions, sourceFolderPath: fileInfo._originalFolder || '' };
+        
+        try {
+            // Hold queued files while the batch is paused
+            await batchControl.waitIfPaused();
+            
+            // Create progress bar
+            const expectedChunks = fileInfo.size ? Math.ceil(fileInfo.size / this.transferEngine.currentChunkSize(to)) : 1;
+            this.uiManager.createProgressBar(fileInfo.id, fileInfo.name, expectedChunks, control);
+            this.state.activeTransfers.set(fileInfo.id, control);
+            
+            let success = false;
+            
+            if (from === 'google' && to === 'onedrive') {
+                if (this.isGoogleWorkspaceFile(fileInfo)) {
+                    success = await this.transferGoogleWorkspaceFile(fileInfo, control, fileOptions);
+                } else {
+                    const result = await this.transferEngine.transferFileChunked(
+                        fileInfo,                                  // ✅ File info
+                        fileInfo._destinationFolder || this.state.currentOneDriveFolder,  // ✅ Destination folder ID
+                        (progressData) => this.uiManager.updateProgressBar(fileInfo.id, progressData),
+                        { ...fileOptions, control }
+                    );
+
+                    success = result;
+                }
+            } else if (from === 'onedrive' && to === 'google') {
+                success = await this.transferEngine.transferFileChunked(
+                    fileInfo,
+                    fileInfo._destinationFolder || this.state.currentGoogleFolder,
+                    (progressData) => this.uiManager.updateProgressBar(fileInfo.id, progressData),
+                    { ...fileOptions, source: 'onedrive', destination: 'google', control }
+                );
+            } else {
+                // For other directions, use simpler transfer
+                success = await this.transferFileSimple(fileInfo, from, to);
+            }
+            
+            this.uiManager.completeProgressBar(fileInfo.id, success.success !== false, this.describeOutcome(success));
+            
+            if (success.success !== false) {
+                return {
+                    success: true,
+                    skipped: success.skipped || false,
+                    fileId: fileInfo.id,
+                    fileName: fileInfo.name,
+                    destinationId: success.destinationId,
+                    savedAs: success.fileName && success.fileName !== fileInfo.name ? success.fileName : null,
+                    verification: success.verification,
+                    conflict: success.conflict,
+                    conversion: success.conversion,
+                    permissions: success.permissions,
+                    disposition: success.disposition
+                };
+            }
+            return { success: false, fileId: fileInfo.id, fileName: fileInfo.name, error: success.error || new Error('Transfer failed') };
+            
+        } catch (error) {
+            if (control.cancelled) {
+                this.uiManager.cancelProgressBar(fileInfo.id);
+                return { success: false, cancelled: true, fileId: fileInfo.id, fileName: fileInfo.name, error };
+            }
+            
+            this.logger.error(`Transfer failed for ${fileInfo.name}`, { error: error.message });
+            this.uiManager.completeProgressBar(fileInfo.id, false);
+            
+            return { 
+                success: false, 
+                fileId: fileInfo.id, 
+                fileName: fileInfo.name, 
+                error,
+                verification: error.integrity
+            };
+        } finally {
+            this.state.activeTransfers.delete(fileInfo.id);
+        }
+    }
+
+    // Offer to continue transfers whose upload sessions survived a reload or crash
+    async checkResumableTransfers() {
+        try {
+            const sessions = await this.transferStore.getAllSessions();
+            this.state.resumableSessions = sessions;
+            
+            if (sessions.length === 0) return;
+            
+            this.logger.info(`Found ${sessions.length} resumable transfer(s)`, {
+                sessions: sessions.map(session => session.fileName)
+            }, 'RESUME');
+            
+            const modal = this.uiManager.createModal('resume-transfers-modal', 'Resume Interrupted Transfers');
+            const content = modal.querySelector('.modal-content');
+            
+            content.innerHTML = `
+                <p class="resume-info">${sessions.length} transfer(s) were interrupted before they finished:</p>
+                <div class="resume-list">
+                    ${sessions.map(session => {
+                        const completed = TransferStore.contiguousBytes(session.completedRanges);
+                        const percent = session.fileSize ? Math.round((completed / session.fileSize) * 100) : 0;
+                        const target = session.destination === 'google' ? 'Google Drive' : 'OneDrive';
+                        const safeSessionId = this.escapeHtml(session.id);
+                        return `
+                            <div class="resume-item" data-session-id="${safeSessionId}">
+                                <div class="resume-file-name">📄 ${this.escapeHtml(session.fileName)}</div>
+                                <div class="resume-details">
+                                    → ${target} • ${this.formatFileSize(completed) || '0 Bytes'} of ${this.formatFileSize(session.fileSize)} (${percent}%)
+                                    • ${new Date(session.updatedAt).toLocaleString()}
+                                </div>
+                                <div class="resume-actions">
+                                    <button class="btn btn--primary btn--small" onclick="app.resumeTransfers(['${safeSessionId}'])">Resume</button>
+                                    <button class="btn btn--ghost btn--small" onclick="app.discardResumableTransfer('${safeSessionId}')">Discard</button>
+                                </div>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+                <div class="modal-actions">
+                    <button class="btn btn--primary" onclick="app.resumeTransfers()">Resume All</button>
+                    <button class="btn btn--secondary" onclick="app.discardResumableTransfer()">Discard All</button>
+                </div>
+            `;
+            
+            this.uiManager.showModal('resume-transfers-modal');
+        } catch (error) {
+            this.logger.warn('Failed to read resumable transfers', { error: error.message }, 'RESUME');
+        }
+    }
+
+    async resumeTransfers(sessionIds) {
+        const sessions = this.state.resumableSessions.filter(session => !sessionIds || sessionIds.includes(session.id));
+        if (sessions.length === 0) return;
+        
+        this.uiManager.closeModal('resume-transfers-modal');
+        
+        if (sessions.some(session => !this.validateTokens(session.source, session.destination))) {
+            this.uiManager.showNotification('Authentication required. Please reconnect your services.', 'error');
+            return;
+        }
+        
+        this.state.resumableSessions = this.state.resumableSessions.filter(session => !sessions.includes(session));
+        this.uiManager.showNotification(`Resuming ${sessions.length} transfer(s)...`, 'info');
+        
+        const results = [];
+        const batchControl = new TransferControl();
+        this.uiManager.showBatchControls(batchControl, sessions.length);
+        
+        for (const session of sessions) {
+            const control = new TransferControl(batchControl);
+            const expectedChunks = session.fileSize ? Math.ceil(session.fileSize / this.transferEngine.currentChunkSize(session.destination)) : 1;
+            this.uiManager.createProgressBar(session.fileId, session.fileName, expectedChunks, control);
+            this.state.activeTransfers.set(session.fileId, control);
+            
+            try {
+                const result = await this.transferEngine.resumeTransfer(session, {
+                    control,
+                    onProgress: (progressData) => this.uiManager.updateProgressBar(session.fileId, progressData)
+                });
+                this.uiManager.completeProgressBar(session.fileId, true);
+                results.push({ success: true, fileId: session.fileId, fileName: session.fileName, verification: result.verification, disposition: result.disposition });
+            } catch (error) {
+                if (control.cancelled) {
+                    this.uiManager.cancelProgressBar(session.fileId);
+                    results.push({ success: false, cancelled: true, fileId: session.fileId, fileName: session.fileName, error });
+                } else {
+                    this.logger.error(`Resume failed for ${session.fileName}`, { error: error.message }, 'RESUME');
+                    this.uiManager.completeProgressBar(session.fileId, false);
+                    results.push({ success: false, fileId: session.fileId, fileName: session.fileName, error, verification: error.integrity });
+                }
+            } finally {
+                this.state.activeTransfers.delete(session.fileId);
+            }
+        }
+        
+        this.uiManager.hideBatchControls();
+        this.errorHandler.showTransferSummary(results);
+        
+        setTimeout(() => {
+            this.refreshFiles();
+        }, 2000);
+    }
+
+    async discardResumableTransfer(sessionId) {
+        const sessions = this.state.resumableSessions.filter(session => !sessionId || session.id === sessionId);
+        
+        for (const session of sessions) {
+            await this.transferEngine.discardSession(session);
+            this.logger.info(`Discarded interrupted transfer: ${session.fileName}`, {}, 'RESUME');
+        }
+        
+        this.state.resumableSessions = this.state.resumableSessions.filter(session => !sessions.includes(session));
+        
+        if (this.state.resumableSessions.length === 0) {
+            this.uiManager.closeModal('resume-transfers-modal');
+        } else {
+            sessions.forEach(session => {
+                const item = document.querySelector(`.resume-item[data-session-id="${CSS.escape(session.id)}"]`);
+                if (item) item.remove();
+            });
+        }
+    }
+
+    // Two-way sync pairs: a Google Drive folder kept in step with a OneDrive folder
+    async openSyncPairs() {
+        let pairs = [];
+        const states = {};
+        
+        try {
+            pairs = await this.transferStore.getAllSyncPairs();
+            for (const pair of pairs) {
+                states[pair.id] = await this.transferStore.getSyncState(pair.id);
+            }
+        } catch (error) {
+            this.logger.warn('Failed to read sync pairs', { error: error.message }, 'SYNC');
+        }
+        this.state.syncPairs = pairs;
+        this.state.syncConflicts = {};
+        
+        const googleName = this.state.googleFolderPath[this.state.googleFolderPath.length - 1].name;
+        const onedriveName = this.state.onedriveFolderPath[this.state.onedriveFolderPath.length - 1].name;
+        const modal = this.uiManager.createModal('sync-pairs-modal', 'Sync Pairs');
+        const content = modal.querySelector('.modal-content');
+        
+        content.innerHTML = `
+            <p class="sync-info">Each pair keeps a Google Drive folder and a OneDrive folder in step. New, changed and deleted files are carried over in both directions; files changed on both sides are listed here for you to decide.</p>
+            <div class="sync-list">
+                ${pairs.length === 0 ? '<p class="sync-empty">No sync pairs yet.</p>' : pairs.map(pair => {
+                    const state = states[pair.id];
+                    const conflicts = (state && state.conflicts) || [];
+                    const safePairId = this.escapeHtml(pair.id);
+                    this.state.syncConflicts[pair.id] = conflicts;
+                    return `
+                        <div class="sync-item" data-pair-id="${safePairId}">
+                            <div class="sync-pair-name">🔄 ${this.escapeHtml(pair.google.path)} ⇄ ${this.escapeHtml(pair.onedrive.path)}</div>
+                            <div class="sync-details">
+                                ${state && state.lastSync ? `Last synced ${new Date(state.lastSync).toLocaleString()}` : 'Never synced'}
+                                ${conflicts.length > 0 ? ` • <span class="sync-conflict-count">${conflicts.length} conflict(s)</span>` : ''}
+                            </div>
+                            ${conflicts.length > 0 ? `
+                                <ul class="sync-conflicts">
+                                    ${conflicts.map((conflict, index) => `
+                                        <li>
+                                            <span class="sync-conflict-path">${this.escapeHtml(conflict.path)}</span>
+                                            <span class="sync-conflict-kind">${this.describeSyncConflict(conflict)}</span>
+                                            <button class="btn btn--secondary btn--small" onclick="app.resolveSyncConflict('${safePairId}', ${index}, 'google')">Keep Google</button>
+                                            <button class="btn btn--secondary btn--small" onclick="app.resolveSyncConflict('${safePairId}', ${index}, 'onedrive')">Keep OneDrive</button>
+                                        </li>
+                                    `).join('')}
+                                </ul>
+                            ` : ''}
+                            <div class="sync-actions">
+                                <button class="btn btn--primary btn--small" onclick="app.runSyncPair('${safePairId}')">Sync Now</button>
+                                <button class="btn btn--ghost btn--small" onclick="app.removeSyncPair('${safePairId}')">Remove</button>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+            <div class="modal-actions">
+                <button class="btn btn--primary" onclick="app.createSyncPair()">Pair "${this.escapeHtml(googleName)}" ⇄ "${this.escapeHtml(onedriveName)}"</button>
+                <button class="btn btn--secondary" onclick="uiManager.closeModal('sync-pairs-modal')">Close</button>
+            </div>
+        `;
+        
+        this.uiManager.showModal('sync-pairs-modal');
+    }
+
+    describeSyncConflict(conflict) {
+        switch (conflict.kind) {
+            case 'both-created': return 'created on both sides';
+            case 'both-modified': return 'changed on both sides';
+            case 'deleted-modified': return conflict.google ? 'deleted in OneDrive, changed in Google Drive' : 'deleted in Google Drive, changed in OneDrive';
+            default: return conflict.kind;
+        }
+    }
+
+    // Pair the folders currently open in both panels
+    async createSyncPair() {
+        const googleId = this.state.currentGoogleFolder;
+        const onedriveId = this.state.currentOneDriveFolder;
+        const pathOf = (folderPath) => folderPath.map(folder => folder.name).join('/');
+        const pair = {
+            id: `sync_${googleId}_${onedriveId}`,
+            google: { id: googleId, path: pathOf(this.state.googleFolderPath) },
+            onedrive: { id: onedriveId, path: pathOf(this.state.onedriveFolderPath) },
+            createdAt: Date.now()
+        };
+        pair.name = `${pair.google.path} ⇄ ${pair.onedrive.path}`;
+        
+        if (this.state.syncPairs.some(existing => existing.id === pair.id)) {
+            this.uiManager.showNotification('These folders are already paired', 'info');
+            return;
+        }
+        
+        try {
+            await this.transferStore.saveSyncPair(pair);
+            this.logger.info(`Sync pair created: ${pair.name}`, { pair }, 'SYNC');
+            await this.openSyncPairs();
+        } catch (error) {
+            this.logger.error('Failed to save sync pair', { error: error.message }, 'SYNC');
+            this.uiManager.showNotification(`Could not save sync pair: ${error.message}`, 'error');
+        }
+    }
+
+    async runSyncPair(pairId) {
+        const pair = this.state.syncPairs.find(existing => existing.id === pairId);
+        if (!pair) return;
+        
+        if (!this.validateTokens('google', 'onedrive')) {
+            this.uiManager.showNotification('Authentication required. Please reconnect your services.', 'error');
+            return;
+        }
+        
+        this.uiManager.closeModal('sync-pairs-modal');
+        this.uiManager.showNotification(`Syncing ${pair.name}...`, 'info');
+        
+        const batchControl = new TransferControl();
+        this.uiManager.showBatchControls(batchControl, 0);
+        
+        let report;
+        try {
+            report = await this.folderSync.sync(pair, {
+                control: batchControl,
+                ...this.syncProgressHandlers(batchControl)
+            });
+        } catch (error) {
+            if (batchControl.cancelled) {
+                this.uiManager.showNotification('Sync cancelled', 'info');
+            } else {
+                this.logger.error(`Sync failed: ${pair.name}`, { error: error.message }, 'SYNC');
+                this.uiManager.showNotification(`Sync failed: ${error.message}`, 'error');
+            }
+            return;
+        } finally {
+            this.uiManager.hideBatchControls();
+        }
+        
+        pair.lastSync = Date.now();
+        pair.lastReport = {
+            copied: report.copied.length,
+            deleted: report.deleted.length,
+            foldersCreated: report.foldersCreated.length,
+            conflicts: report.conflicts.length,
+            failed: report.failed.length
+        };
+        await this.transferStore.saveSyncPair(pair).catch(error => {
+            this.logger.warn('Failed to save sync pair', { error: error.message }, 'SYNC');
+        });
+        
+        const parts = [`${report.copied.length} copied`, `${report.deleted.length} deleted`];
+        if (report.foldersCreated.length > 0) parts.push(`${report.foldersCreated.length} folder(s) created`);
+        if (report.unsupported.length > 0) parts.push(`${report.unsupported.length} not syncable`);
+        if (report.failed.length > 0) parts.push(`${report.failed.length} failed`);
+        if (report.conflicts.length > 0) parts.push(`${report.conflicts.length} conflict(s) to resolve`);
+        this.uiManager.showNotification(
+            `Sync finished: ${parts.join(', ')}`,
+            report.failed.length > 0 ? 'error' : report.conflicts.length > 0 ? 'warning' : 'success'
+        );
+        
+        if (report.conflicts.length > 0) {
+            await this.openSyncPairs();
+        }
+        
+        setTimeout(() => {
+            this.refreshFiles();
+        }, 2000);
+    }
+
+    // Progress bars for the file copies of a sync or mirror run
+    syncProgressHandlers(control) {
+        const progressId = (action) => `sync_${action.item.id}`;
+        return {
+            onTransfer: (action) => {
+                const size = parseInt(action.item.size, 10) || 0;
+                const expectedChunks = size ? Math.ceil(size / this.transferEngine.currentChunkSize(FolderSync.other(action.from))) : 1;
+                this.uiManager.createProgressBar(progressId(action), action.item.path, expectedChunks, control);
+                return (progressData) => this.uiManager.updateProgressBar(progressId(action), progressData);
+            },
+            onTransferEnd: (action, error) => {
+                if (error && control.cancelled) {
+                    this.uiManager.cancelProgressBar(progressId(action));
+                } else {
+                    this.uiManager.completeProgressBar(progressId(action), !error);
+                }
+            }
+        };
+    }
+
+    async resolveSyncConflict(pairId, index, winner) {
+        const pair = this.state.syncPairs.find(existing => existing.id === pairId);
+        const conflict = pair && (this.state.syncConflicts[pairId] || [])[index];
+        if (!conflict) return;
+        
+        if (!this.validateTokens('google', 'onedrive')) {
+            this.uiManager.showNotification('Authentication required. Please reconnect your services.', 'error');
+            return;
+        }
+        
+        try {
+            await this.folderSync.resolveConflict(pair, conflict.key, winner);
+            this.uiManager.showNotification(`Kept the ${winner === 'google' ? 'Google Drive' : 'OneDrive'} version of ${conflict.path}`, 'success');
+        } catch (error) {
+            this.logger.error(`Failed to resolve sync conflict: ${conflict.path}`, { error: error.message }, 'SYNC');
+            this.uiManager.showNotification(`Could not resolve conflict: ${error.message}`, 'error');
+        }
+        
+        await this.openSyncPairs();
+    }
+
+    async removeSyncPair(pairId) {
+        try {
+            await this.transferStore.deleteSyncPair(pairId);
+            this.logger.info('Sync pair removed', { pairId }, 'SYNC');
+        } catch (error) {
+            this.logger.warn('Failed to remove sync pair', { error: error.message }, 'SYNC');
+        }
+        await this.openSyncPairs();
+    }
+
+    // Scheduled one-way mirror jobs, run by MirrorScheduler while the tab is open
+    createMirrorScheduler() {
+        return new MirrorScheduler(this.folderSync, this.transferStore, {
+            canRun: (job) => this.validateTokens(job.from, FolderSync.other(job.from)) ? null : 'Not connected to both services',
+            onRunStart: (job, control) => {
+                this.logger.info(`Mirror job started: ${job.name}`, { jobId: job.id }, 'MIRROR');
+                this.showTransferProgress();
+                return this.syncProgressHandlers(control);
+            },
+            onRunEnd: (job, run) => {
+                const type = run.status === 'success' ? 'success' : run.status === 'partial' || run.status === 'skipped' ? 'warning' : 'error';
+                this.uiManager.showNotification(`Mirror "${job.name}": ${this.describeMirrorRun(run)}`, type);
+                if (this.uiManager.activeModals.has('mirror-jobs-modal')) {
+                    this.openMirrorJobs();
+                }
+                if (run.copied > 0 || run.foldersCreated > 0) {
+                    this.refreshFiles();
+                }
+            }
+        });
+    }
+
+    describeMirrorSchedule(job) {
+        const every = job.intervalMinutes % 60 === 0 ? `${job.intervalMinutes / 60} hour(s)` : `${job.intervalMinutes} minutes`;
+        return job.window ? `every ${every}, ${job.window.start}–${job.window.end}` : `every ${every}`;
+    }
+
+    describeMirrorRun(run) {
+        switch (run.status) {
+            case 'success':
+            case 'partial': {
+                const parts = [`${run.copied} copied`, `${run.unchanged} unchanged`];
+                if (run.foldersCreated > 0) parts.push(`${run.foldersCreated} folder(s) created`);
+                if (run.unsupported > 0) parts.push(`${run.unsupported} not mirrored`);
+                if (run.failed.length > 0) parts.push(`${run.failed.length} failed`);
+                return parts.join(', ');
+            }
+            case 'cancelled': return 'cancelled';
+            default: return `${run.status === 'skipped' ? 'skipped' : 'failed'}: ${run.error}`;
+        }
+    }
+
+    openMirrorJobs() {
+        const jobs = this.mirrorScheduler.jobs.slice().sort((a, b) => a.createdAt - b.createdAt);
+        const pathOf = (folderPath) => folderPath.map(folder => folder.name).join('/');
+        const googlePath = pathOf(this.state.googleFolderPath);
+        const onedrivePath = pathOf(this.state.onedriveFolderPath);
+        const modal = this.uiManager.createModal('mirror-jobs-modal', 'Mirror Jobs');
+        const content = modal.querySelector('.modal-content');
+        
+        content.innerHTML = `
+            <p class="mirror-info">Mirror jobs copy new and changed files from one folder into another on a schedule while DriveBridge is open. Nothing is deleted at the destination.</p>
+            <div class="mirror-list">
+                ${jobs.length === 0 ? '<p class="mirror-empty">No mirror jobs yet.</p>' : jobs.map(job => {
+                    const safeJobId = this.escapeHtml(job.id);
+                    const running = this.mirrorScheduler.running === job.id;
+                    const source = job.from === 'google' ? `Google Drive /${job.google.path}` : `OneDrive /${job.onedrive.path}`;
+                    const target = job.from === 'google' ? `OneDrive /${job.onedrive.path}` : `Google Drive /${job.google.path}`;
+                    return `
+                        <div class="mirror-item" data-job-id="${safeJobId}">
+                            <div class="mirror-job-name">🪞 ${this.escapeHtml(source)} → ${this.escapeHtml(target)}</div>
+                            <div class="mirror-details">
+                                ${this.escapeHtml(this.describeMirrorSchedule(job))} •
+                                ${running ? 'Running now' : job.enabled ? `Next run ${new Date(job.nextRun).toLocaleString()}` : 'Paused'}
+                            </div>
+                            <div class="mirror-details">
+                                ${job.lastRun ? `Last run ${new Date(job.lastRun.startedAt).toLocaleString()}: <span class="mirror-status mirror-status--${job.lastRun.status}">${this.escapeHtml(this.describeMirrorRun(job.lastRun))}</span>` : 'Not run yet'}
+                            </div>
+                            ${(job.history || []).length > 0 ? `
+                                <details class="mirror-history">
+                                    <summary>Run history (${job.history.length})</summary>
+                                    <ul>
+                                        ${job.history.map(run => `<li>${new Date(run.startedAt).toLocaleString()} — ${this.escapeHtml(this.describeMirrorRun(run))}</li>`).join('')}
+                                    </ul>
+                                </details>
+                            ` : ''}
+                            <div class="mirror-actions">
+                                <button class="btn btn--primary btn--small" onclick="app.runMirrorJobNow('${safeJobId}')" ${this.mirrorScheduler.running ? 'disabled' : ''}>Run Now</button>
+                                <button class="btn btn--secondary btn--small" onclick="app.toggleMirrorJob('${safeJobId}')">${job.enabled ? 'Pause' : 'Resume'}</button>
+                                <button class="btn btn--ghost btn--small" onclick="app.removeMirrorJob('${safeJobId}')">Remove</button>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+            <div class="mirror-form">
+                <h4>New job from the open folders</h4>
+                <select id="mirror-direction" class="mirror-input">
+                    <option value="google">Google Drive /${this.escapeHtml(googlePath)} → OneDrive /${this.escapeHtml(onedrivePath)}</option>
+                    <option value="onedrive">OneDrive /${this.escapeHtml(onedrivePath)} → Google Drive /${this.escapeHtml(googlePath)}</option>
+                </select>
+                <label>Every <input type="number" id="mirror-interval" class="mirror-input" min="5" value="${Config.getAppSettings().mirrorInterval}"> minutes</label>
+                <label><input type="checkbox" id="mirror-window-enabled"> Only between
+                    <input type="time" id="mirror-window-start" class="mirror-input" value="22:00"> and
+                    <input type="time" id="mirror-window-end" class="mirror-input" value="06:00">
+                </label>
+            </div>
+            <div class="modal-actions">
+                <button class="btn btn--primary" onclick="app.createMirrorJob()">Add Job</button>
+                <button class="btn btn--secondary" onclick="uiManager.closeModal('mirror-jobs-modal')">Close</button>
+            </div>
+        `;
+        
+        this.uiManager.showModal('mirror-jobs-modal');
+    }
+
+    async createMirrorJob() {
+        const from = document.getElementById('mirror-direction').value;
+        const intervalMinutes = parseInt(document.getElementById('mirror-interval').value, 10);
+        const windowEnabled = document.getElementById('mirror-window-enabled').checked;
+        const start = document.getElementById('mirror-window-start').value;
+        const end = document.getElementById('mirror-window-end').value;
+        
+        if (!intervalMinutes || intervalMinutes < 5) {
+            this.uiManager.showNotification('Choose an interval of at least 5 minutes', 'warning');
+            return;
+        }
+        if (windowEnabled && !TimeWindow.isValid({ start, end })) {
+            this.uiManager.showNotification('Enter the time window as HH:MM', 'warning');
+            return;
+        }
+        
+        const pathOf = (folderPath) => folderPath.map(folder => folder.name).join('/');
+        const google = { id: this.state.currentGoogleFolder, path: pathOf(this.state.googleFolderPath) };
+        const onedrive = { id: this.state.currentOneDriveFolder, path: pathOf(this.state.onedriveFolderPath) };
+        const job = {
+            id: `mirror_${from}_${google.id}_${onedrive.id}`,
+            name: from === 'google' ? `${google.path} → ${onedrive.path}` : `${onedrive.path} → ${google.path}`,
+            from,
+            google,
+            onedrive,
+            intervalMinutes,
+            window: windowEnabled ? { start, end } : null,
+            enabled: true,
+            createdAt: Date.now(),
+            history: []
+        };
+        
+        if (this.mirrorScheduler.getJob(job.id)) {
+            this.uiManager.showNotification('A mirror job for these folders already exists', 'info');
+            return;
+        }
+        
+        try {
+            await this.mirrorScheduler.saveJob(job);
+            this.logger.info(`Mirror job created: ${job.name}`, { job }, 'MIRROR');
+            this.uiManager.showNotification(`Mirror job added, first run ${new Date(job.nextRun).toLocaleString()}`, 'success');
+        } catch (error) {
+            this.logger.error('Failed to save mirror job', { error: error.message }, 'MIRROR');
+            this.uiManager.showNotification(`Could not save mirror job: ${error.message}`, 'error');
+        }
+        this.openMirrorJobs();
+    }
+
+    // Runs outside the job's time window too
+    async runMirrorJobNow(jobId) {
+        const job = this.mirrorScheduler.getJob(jobId);
+        if (!job) return;
+        
+        if (this.mirrorScheduler.running) {
+            this.uiManager.showNotification('Another mirror job is running', 'info');
+            return;
+        }
+        
+        this.uiManager.showNotification(`Running mirror "${job.name}"...`, 'info');
+        const run = this.mirrorScheduler.runJob(job);
+        this.openMirrorJobs();
+        await run;
+    }
+
+    async toggleMirrorJob(jobId) {
+        const job = this.mirrorScheduler.getJob(jobId);
+        if (!job) return;
+        
+        try {
+            await this.mirrorScheduler.setEnabled(jobId, !job.enabled);
+            this.logger.info(`Mirror job ${job.enabled ? 'resumed' : 'paused'}: ${job.name}`, { jobId }, 'MIRROR');
+        } catch (error) {
+            this.logger.warn('Failed to update mirror job', { error: error.message }, 'MIRROR');
+        }
+        this.openMirrorJobs();
+    }
+
+    async removeMirrorJob(jobId) {
+        try {
+            await this.mirrorScheduler.deleteJob(jobId);
+            this.logger.info('Mirror job removed', { jobId }, 'MIRROR');
+        } catch (error) {
+            this.logger.warn('Failed to remove mirror job', { error: error.message }, 'MIRROR');
+        }
+        this.openMirrorJobs();
+    }
+
+    // Persistent history of transfer batches with search and re-run
+    async openTransferHistory() {
+        try {
+            this.state.historyEntries = await this.transferHistory.list();
+        } catch (error) {
+            this.logger.warn('Failed to read transfer history', { error: error.message }, 'HISTORY');
+            this.state.historyEntries = [];
+        }
+        
+        const modal = this.uiManager.createModal('history-modal', 'Transfer History');
+        const content = modal.querySelector('.modal-content');
+        
+        content.innerHTML = `
+            <div class="history-filters">
+                <input type="search" id="history-search" class="history-input" placeholder="Search file names, folders and errors" oninput="app.renderTransferHistory()">
+                <select id="history-status" class="history-input" onchange="app.renderTransferHistory()">
+                    <option value="">Any result</option>
+                    <option value="completed">Completed</option>
+                    <option value="completed-with-errors">Completed with errors</option>
+                    <option value="cancelled">Cancelled</option>
+                    <option value="interrupted">Interrupted</option>
+                </select>
+                <select id="history-direction" class="history-input" onchange="app.renderTransferHistory()">
+                    <option value="">Both directions</option>
+                    <option value="google">Google Drive → OneDrive</option>
+                    <option value="onedrive">OneDrive → Google Drive</option>
+                </select>
+                <select id="history-since" class="history-input" onchange="app.renderTransferHistory()">
+                    <option value="">Any time</option>
+                    <option value="1">Last 24 hours</option>
+                    <option value="7">Last 7 days</option>
+                    <option value="30">Last 30 days</option>
+                </select>
+            </div>
+            <div id="history-list" class="history-list"></div>
+            <div class="modal-actions">
+                <button class="btn btn--ghost" onclick="app.clearTransferHistory()">Clear History</button>
+                <button class="btn btn--secondary" onclick="uiManager.closeModal('history-modal')">Close</button>
+            </div>
+        `;
+        
+        this.renderTransferHistory();
+        this.uiManager.showModal('history-modal');
+    }
+
+    renderTransferHistory() {
+        const list = document.getElementById('history-list');
+        if (!list) return;
+        
+        const days = parseInt(document.getElementById('history-since')?.value, 10);
+        const filters = {
+            query: document.getElementById('history-search')?.value.trim() || '',
+            status: document.getElementById('history-status')?.value || '',
+            direction: document.getElementById('history-direction')?.value || '',
+            since: days ? Date.now() - days * 24 * 60 * 60 * 1000 : null
+        };
+        const entries = this.state.historyEntries.filter(entry => TransferHistory.matches(entry, filters));
+        const serviceName = (service) => service === 'google' ? 'Google Drive' : 'OneDrive';
+        const statusText = {
+            'running': 'Running',
+            'completed': 'Completed',
+            'completed-with-errors': 'Completed with errors',
+            'cancelled': 'Cancelled',
+            'interrupted': 'Interrupted'
+        };
+        const query = filters.query.toLowerCase();
+        
+        if (entries.length === 0) {
+            list.innerHTML = `<p class="history-empty">${this.state.historyEntries.length === 0 ? 'No transfers recorded yet.' : 'No transfers match.'}</p>`;
+            return;
+        }
+        
+        list.innerHTML = entries.slice(0, 100).map(entry => {
+            const safeEntryId = this.escapeHtml(entry.id);
+            const totals = entry.totals;
+            const files = query
+                ? entry.files.filter(file => `${file.path}/${file.name} ${file.savedAs || ''} ${file.error || ''}`.toLowerCase().includes(query))
+                : entry.files;
+            return `
+                <div class="history-item">
+                    <div class="history-title">
+                        <span>${new Date(entry.startedAt).toLocaleString()}</span>
+                        <span class="history-status history-status--${entry.status}">${statusText[entry.status] || entry.status}</span>
+                    </div>
+                    <div class="history-details">
+                        ${serviceName(entry.from)} /${this.escapeHtml(TransferHistory.pathString(entry.sourceFolder))}
+                        → ${serviceName(entry.to)} /${this.escapeHtml(TransferHistory.pathString(entry.destinationFolder))}
+                    </div>
+                    <div class="history-details">
+                        ${totals
+                            ? `${totals.transferred} transferred (${this.formatFileSize(totals.bytes) || '0 Bytes'}), ${totals.skipped} skipped, ${totals.failed} failed${totals.cancelled ? `, ${totals.cancelled} cancelled` : ''} • ${Math.round(entry.duration / 1000)}s`
+                            : `${entry.items.length} item(s) selected`}
+                    </div>
+                    ${files.length > 0 ? `
+                        <details class="history-files" ${query ? 'open' : ''}>
+                            <summary>${query ? `${files.length} matching file(s)` : `Files (${files.length})`}</summary>
+                            <ul>
+                                ${files.slice(0, 200).map(file => `
+                                    <li class="history-file history-file--${file.outcome}">
+                                        ${this.escapeHtml(file.path ? `${file.path}/${file.name}` : file.name)}
+                                        ${file.savedAs ? ` → ${this.escapeHtml(file.savedAs)}` : ''}
+                                        • ${file.outcome}${file.size !== null ? `, ${this.formatFileSize(file.size) || '0 Bytes'}` : ''}${file.duration ? `, ${(file.duration / 1000).toFixed(1)}s` : ''}
+                                        ${file.error ? `<span class="history-error">${this.escapeHtml(file.error)}</span>` : ''}
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        </details>
+                    ` : ''}
+                    <div class="history-actions">
+                        <button class="btn btn--primary btn--small" onclick="app.rerunHistoryEntry('${safeEntryId}')">Re-run</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Open the batch's source and destination folders, select what it selected,
+    // restore its options and start it again through transferSelectedFiles
+    async rerunHistoryEntry(entryId) {
+        const entry = this.state.historyEntries.find(candidate => candidate.id === entryId);
+        if (!entry) return;
+        
+        if (!this.validateTokens(entry.from, entry.to)) {
+            this.uiManager.showNotification('Authentication required. Please reconnect your services.', 'error');
+            return;
+        }
+        
+        this.uiManager.closeModal('history-modal');
+        
+        for (const [service, folderPath] of [[entry.from, entry.sourceFolder], [entry.to, entry.destinationFolder]]) {
+            const current = folderPath[folderPath.length - 1].id;
+            if (service === 'google') {
+                this.state.currentGoogleFolder = current;
+                this.state.googleFolderPath = folderPath.slice();
+                await this.loadGoogleDriveFiles();
+            } else {
+                this.state.currentOneDriveFolder = current;
+                this.state.onedriveFolderPath = folderPath.slice();
+                await this.loadOneDriveFiles();
+            }
+        }
+        
+        const selectedFiles = entry.from === 'google' ? this.state.selectedGoogleFiles : this.state.selectedOneDriveFiles;
+        selectedFiles.clear();
+        entry.items.forEach(item => selectedFiles.add(item.id));
+        this.renderFileList(entry.from, entry.from === 'google' ? this.state.googleFiles : this.state.oneDriveFiles);
+        this.updateTransferButtons();
+        
+        const options = entry.options;
+        const controls = {
+            'conflict-policy': ['value', options.conflictPolicy],
+            'source-disposition': ['value', options.sourceDisposition],
+            'incremental-mode': ['checked', options.incremental],
+            'convert-office': ['checked', options.convertOffice],
+            'migrate-permissions': ['checked', options.migratePermissions]
+        };
+        Object.entries(controls).forEach(([id, [property, value]]) => {
+            const element = document.getElementById(id);
+            if (element && value !== undefined) element[property] = value;
+        });
+        
+        this.logger.info(`Re-running transfer batch from ${new Date(entry.startedAt).toLocaleString()}`, {
+            batchId: entry.id,
+            items: entry.items.length
+        }, 'HISTORY');
+        await this.transferSelectedFiles(entry.from, entry.to);
+    }
+
+    async clearTransferHistory() {
+        try {
+            await this.transferHistory.clear();
+            this.state.historyEntries = [];
+            this.logger.info('Transfer history cleared', {}, 'HISTORY');
+        } catch (error) {
+            this.logger.warn('Failed to clear transfer history', { error: error.message }, 'HISTORY');
+        }
+        this.renderTransferHistory();
+    }
+
+    // Lists every child of a folder, following pagination
+    async getFolderContents(folderId, service) {
+        try {
+            const items = [];
+            
+            if (service === 'google') {
+                let pageToken = null;
+                do {
+                    await this.waitForRateLimit(service);
+                    const response = await fetch(
+                        ChunkedTransferEngine.driveListUrl(
+                            `${this.config.endpoints.google.drive}/files?q='${folderId}' in parents and trashed=false&fields=nextPageToken,files(id,name,size,mimeType,createdTime,modifiedTime,description,parents,md5Checksum,sha256Checksum,driveId,capabilities(canAddChildren,canDownload,canEdit,canTrash,canMoveItemWithinDrive))&pageSize=1000` +
+                                (pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : '')
+                        ),
+                        {
+                            headers: {
+                                'Authorization': `Bearer ${this.state.googleToken}`,
+                                'X-Requested-With': 'XMLHttpRequest'
+                            }
+                        }
+                    );
+                    
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    }
+                    const data = await response.json();
+                    items.push(...(data.files || []));
+                    pageToken = data.nextPageToken || null;
+                } while (pageToken);
+            } else {
+                let endpoint = `${this.config.endpoints.microsoft.graph}/me/drive/items/${folderId}/children?$top=999`;
+                while (endpoint) {
+                    await this.waitForRateLimit(service);
+                    const response = await fetch(endpoint, {
+                        headers: {
+                            'Authorization': `Bearer ${this.state.microsoftToken}`,
+                            'X-Requested-With': 'XMLHttpRequest'
+                        }
+                    });
+                    
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    }
+                    const data = await response.json();
+                    items.push(...(data.value || []));
+                    endpoint = data['@odata.nextLink'] || null;
+                }
+            }
+            
+            return items;
+        } catch (error) {
+            this.logger.error('Failed to get folder contents', { error: error.message, folderId, service });
+            throw error;
+        }
+    }
+
+    // Export one Workspace file with the batch's rule for its type and upload the result
+    async transferGoogleWorkspaceFile(fileInfo, control, batchOptions = {}) {
+        const exportMimeType = batchOptions.exportRules?.[fileInfo.mimeType];
+        const format = Config.getWorkspaceExportFormats()[fileInfo.mimeType]?.[exportMimeType];
+        
+        if (!format) {
+            throw new Error(`${this.workspaceTypeName(fileInfo.mimeType)} files cannot be exported`);
+        }
+        
+        return this.transferEngine.transferWorkspaceExport(
+            fileInfo,
+            exportMimeType,
+            format.extension,
+            fileInfo._destinationFolder || this.state.currentOneDriveFolder,
+            (progressData) => this.uiManager.updateProgressBar(fileInfo.id, progressData),
+            { ...batchOptions, control }
+        );
+    }
+
+    workspaceTypeName(mimeType) {
+        const names = {
+            'application/vnd.google-apps.document': 'Google Docs',
+            'application/vnd.google-apps.spreadsheet': 'Google Sheets',
+            'application/vnd.google-apps.presentation': 'Google Slides',
+            'application/vnd.google-apps.drawing': 'Google Drawings',
+            'application/vnd.google-apps.form': 'Google Forms',
+            'application/vnd.google-apps.script': 'Apps Script',
+            'application/vnd.google-apps.site': 'Google Sites'
+        };
+        return names[mimeType] || mimeType;
+    }
+
+    // Export rules for a batch: the saved preference when there is one, otherwise
+    // chosen once in a dialog. Resolves with null when the batch has no Workspace
+    // files and with false when the user cancels.
+    async resolveExportRules(files) {
+        const workspaceTypes = [...new Set(files.filter(file => this.isGoogleWorkspaceFile(file)).map(file => file.mimeType))];
+        if (workspaceTypes.length === 0) return null;
+        
+        const saved = await this.transferStore.getPreference('exportRules').catch(error => {
+            this.logger.warn('Failed to read saved export rules', { error: error.message }, 'EXPORT');
+            return undefined;
+        });
+        if (saved) {
+            return { ...Config.getDefaultExportRules(), ...saved };
+        }
+        
+        return this.showExportRulesModal(workspaceTypes);
+    }
+
+    // Opened from the "Export Formats" button to change the saved rules
+    async editExportRules() {
+        const saved = await this.transferStore.getPreference('exportRules').catch(() => undefined);
+        const rules = await this.showExportRulesModal(Object.keys(Config.getWorkspaceExportFormats()), saved, true);
+        if (rules) {
+            this.uiManager.showNotification('Export formats saved', 'success');
+        }
+    }
+
+    showExportRulesModal(workspaceTypes, currentRules = null, alwaysSave = false) {
+        return new Promise((resolve) => {
+            const formats = Config.getWorkspaceExportFormats();
+            const rules = { ...Config.getDefaultExportRules(), ...(currentRules || {}) };
+            const modal = this.uiManager.createModal('export-rules-modal', 'Google Workspace Export Formats');
+            const content = modal.querySelector('.modal-content');
+            
+            content.innerHTML = `
+                <p class="export-info">Workspace files have no file of their own; choose the format each type is exported to:</p>
+                <div class="export-rules">
+                    ${workspaceTypes.map(mimeType => `
+                        <div class="export-rule">
+                            <span class="export-rule-type">${this.getFileIcon({ mimeType })} ${this.escapeHtml(this.workspaceTypeName(mimeType))}</span>
+                            ${formats[mimeType] ? `
+                                <select class="export-rule-select" data-source-type="${this.escapeHtml(mimeType)}">
+                                    ${Object.entries(formats[mimeType]).map(([exportType, format]) => `
+                                        <option value="${this.escapeHtml(exportType)}" ${rules[mimeType] === exportType ? 'selected' : ''}>${this.escapeHtml(format.name)}</option>
+                                    `).join('')}
+                                </select>
+                            ` : '<span class="export-rule-unsupported">Cannot be exported; these files will fail</span>'}
+                        </div>
+                    `).join('')}
+                </div>
+                ${alwaysSave ? '' : `
+                    <label class="export-rules-remember">
+                        <input type="checkbox" id="export-rules-remember"> Remember these formats and don't ask again
+                    </label>
+                `}
+                <div class="modal-actions">
+                    <button class="btn btn--primary" onclick="app.confirmExportRules()">${alwaysSave ? 'Save' : 'Export & Transfer'}</button>
+                    <button class="btn btn--secondary" onclick="app.cancelExportRules()">Cancel</button>
+                </div>
+            `;
+            
+            // Closing the dialog any other way cancels, like the Cancel button
+            this.state.pendingExportRules = { resolve, rules, alwaysSave };
+            this.uiManager.onModalClose('export-rules-modal', () => this.cancelExportRules());
+            this.uiManager.showModal('export-rules-modal');
+        });
+    }
+
+    async confirmExportRules() {
+        const pending = this.state.pendingExportRules;
+        if (!pending) return;
+        
+        const rules = { ...pending.rules };
+        document.querySelectorAll('.export-rule-select').forEach(select => {
+            rules[select.dataset.sourceType] = select.value;
+        });
+        
+        if (pending.alwaysSave || document.getElementById('export-rules-remember')?.checked) {
+            try {
+                await this.transferStore.savePreference('exportRules', rules);
+                this.logger.info('Export rules saved', { rules }, 'EXPORT');
+            } catch (error) {
+                this.logger.warn('Failed to save export rules', { error: error.message }, 'EXPORT');
+            }
+        }
+        
+        this.state.pendingExportRules = null;
+        this.uiManager.closeModal('export-rules-modal');
+        pending.resolve(rules);
+    }
+
+    cancelExportRules() {
+        const pending = this.state.pendingExportRules;
+        this.state.pendingExportRules = null;
+        this.uiManager.closeModal('export-rules-modal');
+        if (pending) pending.resolve(false);
+    }
+
+    // Google domains mapped to Microsoft ones for permission migration: the mapping
+    // saved from the Domain Mapping dialog, else Config.getPermissionDomainMap()
+    async loadDomainMap() {
+        const saved = await this.transferStore.getPreference('permissionDomainMap').catch(error => {
+            this.logger.warn('Failed to read the domain mapping', { error: error.message }, 'PERMISSIONS');
+            return undefined;
+        });
+        return saved || Config.getPermissionDomainMap();
+    }
+
+    // One "google-domain = microsoft-domain" per line; resolves with { map, invalid }
+    parseDomainMap(text) {
+        const domain = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+        const map = {};
+        const invalid = [];
+        
+        text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+            const [from, to, ...rest] = line.split('=').map(part => part.trim().toLowerCase());
+            if (rest.length === 0 && domain.test(from || '') && domain.test(to || '')) {
+                map[from] = to;
+            } else {
+                invalid.push(line);
+            }
+        });
+        return { map, invalid };
+    }
+
+    async editDomainMap() {
+        const map = await this.loadDomainMap();
+        const modal = this.uiManager.createModal('domain-map-modal', 'Permission Domain Mapping');
+        const content = modal.querySelector('.modal-content');
+        
+        content.innerHTML = `
+            <p class="domain-map-info">When sharing permissions are copied, addresses in a Google domain are shared with the matching Microsoft domain, and back. One mapping per line:</p>
+            <textarea id="domain-map-input" class="domain-map-input" rows="6" spellcheck="false" placeholder="example.com = example.onmicrosoft.com">${this.escapeHtml(Object.entries(map).map(([from, to]) => `${from} = ${to}`).join('\n'))}</textarea>
+            <div class="modal-actions">
+                <button class="btn btn--primary" onclick="app.saveDomainMap()">Save</button>
+                <button class="btn btn--secondary" onclick="uiManager.closeModal('domain-map-modal')">Cancel</button>
+            </div>
+        `;
+        this.uiManager.showModal('domain-map-modal');
+    }
+
+    async saveDomainMap() {
+        const { map, invalid } = this.parseDomainMap(document.getElementById('domain-map-input')?.value || '');
+        if (invalid.length > 0) {
+            this.uiManager.showNotification(`Not a "domain = domain" mapping: ${invalid[0]}`, 'warning');
+            return;
+        }
+        
+        try {
+            await this.transferStore.savePreference('permissionDomainMap', map);
+            this.logger.info('Permission domain mapping saved', { map }, 'PERMISSIONS');
+            this.uiManager.closeModal('domain-map-modal');
+            this.uiManager.showNotification('Domain mapping saved', 'success');
+        } catch (error) {
+            this.logger.error('Failed to save the domain mapping', { error: error.message }, 'PERMISSIONS');
+            this.uiManager.showNotification('Failed to save the domain mapping', 'error');
+        }
+    }
+
+    async transferFileSimple(fileInfo, from, to) {
+        try {
+            const blob = await this.downloadFileBlob(fileInfo.id, from);
+            const success = await this.uploadFileBlob(blob, fileInfo.name, to);
+            return { success };
+        } catch (error) {
+            return { success: false, error };
+        }
+    }
+
+    validateTokens(from, to) {
+        const fromToken = from === 'google' ? this.state.googleToken : this.state.microsoftToken;
+        const toToken = to === 'google' ? this.state.googleToken : this.state.microsoftToken;
+        return fromToken && toToken;
+    }
+
+    getFileInfo(fileId, service) {
+        if (service === 'google') {
             return this.state.googleFiles.find(f => f.id === fileId);
         } else {
             return this.state.oneDriveFiles.find(f => f.id === fileId);
@@ -1194,7 +2731,7 @@ waitForMSAL() {
             
             if (service === 'google') {
                 const response = await fetch(
-                    `${this.config.endpoints.google.drive}/files/${fileId}?fields=id,name,size,mimeType,modifiedTime,parents`,
+                    ChunkedTransferEngine.driveUrl(`${this.config.endpoints.google.drive}/files/${fileId}?fields=id,name,size,mimeType,createdTime,modifiedTime,description,parents,md5Checksum,sha256Checksum,driveId,capabilities(canAddChildren,canDownload,canEdit,canTrash,canMoveItemWithinDrive)`),
                     {
                         headers: {
                             'Authorization': `Bearer ${this.state.googleToken}`,
@@ -1228,7 +2765,7 @@ waitForMSAL() {
         this.checkRateLimit(service);
         
         if (service === 'google') {
-            const response = await fetch(`${this.config.endpoints.google.drive}/files/${fileId}?alt=media`, {
+            const response = await fetch(ChunkedTransferEngine.driveUrl(`${this.config.endpoints.google.drive}/files/${fileId}?alt=media`), {
                 headers: { 
                     'Authorization': `Bearer ${this.state.googleToken}`,
                     'X-Requested-With': 'XMLHttpRequest'
@@ -1285,7 +2822,7 @@ waitForMSAL() {
             form.append('metadata', new Blob([JSON.stringify(metadata)], {type: 'application/json'}));
             form.append('file', fileBlob);
             
-            const response = await fetch(`${this.config.endpoints.google.upload}/files?uploadType=multipart`, {
+            const response = await fetch(ChunkedTransferEngine.driveUrl(`${this.config.endpoints.google.upload}/files?uploadType=multipart`), {
                 method: 'POST',
                 headers: {
                     'Authorization': `Bearer ${this.state.googleToken}`
@@ -1379,6 +2916,11 @@ waitForMSAL() {
     }
 
     showCreateFolderModal(service) {
+        if (service === 'google' && !this.canAddToGoogleFolder()) {
+            this.uiManager.showNotification(`Your role in "${this.currentSharedDrive().name}" does not allow adding folders`, 'warning');
+            return;
+        }
+        
         this.currentFolderService = service;
         const modal = this.uiManager.createModal('create-folder-modal', 'Create New Folder');
         const content = modal.querySelector('.modal-content');
@@ -1439,19 +2981,23 @@ waitForMSAL() {
         }
     }
 
-    async createFolder(folderName, service) {
+    // Creates the folder under parentId, or under the folder currently open in that pane.
+    // Typed names are sanitized by confirmCreateFolder; names copied from the source
+    // tree are kept as they are (they only travel inside a JSON body).
+    async createFolder(folderName, service, parentId = null) {
         try {
-            const safeFolderName = this.sanitizeInput(folderName);
+            const safeFolderName = (folderName || '').trim();
             if (!safeFolderName) {
                 throw new Error('Invalid folder name');
             }
             
-            this.checkRateLimit(service);
+            await this.waitForRateLimit(service);
             
             if (service === 'onedrive') {
-                const parentPath = this.state.currentOneDriveFolder === 'root' 
+                const parentFolder = parentId || this.state.currentOneDriveFolder;
+                const parentPath = parentFolder === 'root' 
                     ? `${this.config.endpoints.microsoft.graph}/me/drive/root/children`
-                    : `${this.config.endpoints.microsoft.graph}/me/drive/items/${this.state.currentOneDriveFolder}/children`;
+                    : `${this.config.endpoints.microsoft.graph}/me/drive/items/${parentFolder}/children`;
                     
                 const response = await fetch(parentPath, {
                     method: 'POST',
@@ -1473,7 +3019,7 @@ waitForMSAL() {
                     throw new Error(`OneDrive folder creation failed: ${response.status}`);
                 }
             } else {
-                const response = await fetch(`${this.config.endpoints.google.drive}/files`, {
+                const response = await fetch(ChunkedTransferEngine.driveUrl(`${this.config.endpoints.google.drive}/files`), {
                     method: 'POST',
                     headers: {
                         'Authorization': `Bearer ${this.state.googleToken}`,
@@ -1483,7 +3029,7 @@ waitForMSAL() {
                     body: JSON.stringify({
                         name: safeFolderName,
                         mimeType: 'application/vnd.google-apps.folder',
-                        parents: [this.state.currentGoogleFolder]
+                        parents: [parentId || this.state.currentGoogleFolder]
                     })
                 });
                 
@@ -1508,6 +3054,7 @@ waitForMSAL() {
     }
 
     disconnectAll() {
+        this.mirrorScheduler.stop();
         this.secureCleanup();
         
         this.state.selectedGoogleFiles.clear();
@@ -1516,6 +3063,8 @@ waitForMSAL() {
         this.state.currentOneDriveFolder = 'root';
         this.state.googleFolderPath = [{ id: 'root', name: 'Root' }];
         this.state.onedriveFolderPath = [{ id: 'root', name: 'Root' }];
+        this.state.sharedDrives = [];
+        this.renderDriveSwitcher();
         this.state.rateLimiter.clear();
         
         this.updateConnectionStatus('google', false);
@@ -1529,6 +3078,77 @@ waitForMSAL() {
         this.uiManager.showNotification('Disconnected from all services', 'info');
     }
 
+    // Saved caps win over the configured ones. The panel edits the first
+    // scheduled window only.
+    async loadBandwidthLimits() {
+        const saved = await this.transferStore.getPreference('bandwidthLimits').catch(error => {
+            this.logger.warn('Failed to read saved bandwidth limits', { error: error.message }, 'BANDWIDTH');
+            return undefined;
+        });
+        const limits = BandwidthLimiter.normalize(saved || this.config.settings.bandwidthLimits);
+        const rule = limits.schedule[0];
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input && value) input.value = value;
+        };
+        
+        setValue('bandwidth-download', limits.download);
+        setValue('bandwidth-upload', limits.upload);
+        const scheduleCheckbox = document.getElementById('bandwidth-schedule-enabled');
+        if (scheduleCheckbox) scheduleCheckbox.checked = !!rule;
+        if (rule) {
+            setValue('bandwidth-schedule-start', rule.start);
+            setValue('bandwidth-schedule-end', rule.end);
+            setValue('bandwidth-schedule-download', rule.download);
+            setValue('bandwidth-schedule-upload', rule.upload);
+        }
+        
+        this.transferEngine.limiter.setLimits(limits);
+        this.updateBandwidthStatus();
+        // The scheduled caps switch on their own; this only keeps the label current
+        if (!this.bandwidthStatusTimer) {
+            this.bandwidthStatusTimer = setInterval(() => this.updateBandwidthStatus(), 60 * 1000);
+        }
+    }
+
+    readBandwidthLimits() {
+        const value = (id) => document.getElementById(id)?.value || 0;
+        const scheduled = document.getElementById('bandwidth-schedule-enabled')?.checked;
+        
+        return BandwidthLimiter.normalize({
+            download: value('bandwidth-download'),
+            upload: value('bandwidth-upload'),
+            schedule: scheduled ? [{
+                start: value('bandwidth-schedule-start'),
+                end: value('bandwidth-schedule-end'),
+                download: value('bandwidth-schedule-download'),
+                upload: value('bandwidth-schedule-upload')
+            }] : []
+        });
+    }
+
+    async applyBandwidthLimits() {
+        const limits = this.readBandwidthLimits();
+        this.transferEngine.limiter.setLimits(limits);
+        this.updateBandwidthStatus();
+        
+        try {
+            await this.transferStore.savePreference('bandwidthLimits', limits);
+        } catch (error) {
+            this.logger.warn('Failed to save bandwidth limits', { error: error.message }, 'BANDWIDTH');
+        }
+    }
+
+    updateBandwidthStatus() {
+        const status = document.getElementById('bandwidth-status');
+        if (!status) return;
+        
+        const active = this.transferEngine.limiter.activeLimits();
+        const describe = (rate) => rate ? `${rate}` : '∞';
+        status.textContent = `Now ↓ ${describe(active.download)} ↑ ${describe(active.upload)}` +
+            (active.scheduled ? ' (scheduled)' : '');
+    }
+
     showTransferProgress() {
         const progressPanel = document.getElementById('transfer-progress');
         if (progressPanel) {
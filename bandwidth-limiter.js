@@ -0,0 +1,168 @@
+// DriveBridge Bandwidth Limiter - ES5 Compatible token buckets for chunk requests
+// Caps download and upload throughput separately, optionally with different caps
+// during set hours of the day. Each chunk request waits until its direction's
+// bucket is out of debt and then charges its size, so the average rate stays at
+// the cap. A request itself runs at full speed, so while a cap is active the
+// engine also keeps chunks to about a second's worth (maxChunkSize) to avoid
+// saturating the link in long bursts.
+
+function BandwidthLimiter(limits) {
+    var now = Date.now();
+    this.buckets = {
+        download: { tokens: 0, updatedAt: now },
+        upload: { tokens: 0, updatedAt: now }
+    };
+    // Waiting requests are served in order, one direction at a time
+    this.queues = {
+        download: Promise.resolve(),
+        upload: Promise.resolve()
+    };
+    this.setLimits(limits);
+}
+
+BandwidthLimiter.BYTES_PER_MBIT = 125000;
+// Unused allowance carried over, so an idle connection can send this many seconds' worth at once
+BandwidthLimiter.BURST_SECONDS = 1;
+// Waiting requests re-read the cap at least this often, so changes apply live
+BandwidthLimiter.MAX_WAIT_STEP = 1000;
+// Under a cap, one chunk carries at most this many seconds' worth of bytes
+BandwidthLimiter.CHUNK_SECONDS = 1;
+BandwidthLimiter.MIN_CHUNK_SIZE = 256 * 1024;
+
+// limits is { download, upload, schedule } in megabits per second, 0 meaning no cap.
+// schedule is a list of { start: 'HH:MM', end: 'HH:MM', download, upload } overriding
+// the caps during those local hours; the first matching entry wins.
+BandwidthLimiter.normalize = function(limits) {
+    limits = limits || {};
+
+    function rate(value) {
+        var parsed = parseFloat(value);
+        return parsed > 0 ? parsed : 0;
+    }
+
+    return {
+        download: rate(limits.download),
+        upload: rate(limits.upload),
+        schedule: (limits.schedule || []).filter(function(entry) {
+            return TimeWindow.isValid(entry);
+        }).map(function(entry) {
+            return { start: entry.start, end: entry.end, download: rate(entry.download), upload: rate(entry.upload) };
+        })
+    };
+};
+
+BandwidthLimiter.prototype.setLimits = function(limits) {
+    this.limits = BandwidthLimiter.normalize(limits);
+
+    if (window.logger) {
+        window.logger.info('Bandwidth limits set', this.limits, 'BANDWIDTH');
+    }
+};
+
+// Caps in effect at time, as { download, upload, scheduled } in megabits per second
+BandwidthLimiter.prototype.activeLimits = function(time) {
+    var at = time || Date.now();
+    var rule = this.limits.schedule.filter(function(entry) {
+        return TimeWindow.contains(entry, at);
+    })[0];
+
+    return rule
+        ? { download: rule.download, upload: rule.upload, scheduled: true }
+        : { download: this.limits.download, upload: this.limits.upload, scheduled: false };
+};
+
+// Bytes per second for direction ('download' or 'upload'), 0 for no cap
+BandwidthLimiter.prototype.rate = function(direction, time) {
+    return this.activeLimits(time)[direction] * BandwidthLimiter.BYTES_PER_MBIT;
+};
+
+// Largest chunk for direction under the current cap, a multiple of granularity,
+// or null when there is no cap
+BandwidthLimiter.prototype.maxChunkSize = function(direction, granularity) {
+    var rate = this.rate(direction);
+    if (!rate) {
+        return null;
+    }
+    granularity = granularity || BandwidthLimiter.MIN_CHUNK_SIZE;
+    return Math.max(granularity, Math.floor(rate * BandwidthLimiter.CHUNK_SECONDS / granularity) * granularity);
+};
+
+BandwidthLimiter.prototype.refill = function(direction, rate, now) {
+    var bucket = this.buckets[direction];
+    bucket.tokens = Math.min(rate * BandwidthLimiter.BURST_SECONDS,
+        bucket.tokens + (now - bucket.updatedAt) / 1000 * rate);
+    bucket.updatedAt = now;
+};
+
+// Wait for a turn to send bytes in direction. Rejects when signal aborts.
+BandwidthLimiter.prototype.consume = function(direction, bytes, signal) {
+    var self = this;
+
+    if (!this.rate(direction)) {
+        return Promise.resolve();
+    }
+
+    var turn = this.queues[direction].then(function() {
+        return self.waitForTokens(direction, bytes, signal);
+    });
+    this.queues[direction] = turn.catch(function() {});
+    return turn;
+};
+
+// Charge bytes already transferred, e.g. a response whose size was unknown up front.
+// The debt delays the next request instead of this one.
+BandwidthLimiter.prototype.charge = function(direction, bytes) {
+    var rate = this.rate(direction);
+    if (rate) {
+        this.refill(direction, rate, Date.now());
+        this.buckets[direction].tokens -= bytes;
+    }
+};
+
+BandwidthLimiter.prototype.waitForTokens = function(direction, bytes, signal) {
+    var self = this;
+    var bucket = this.buckets[direction];
+
+    return new Promise(function(resolve, reject) {
+        var timer = null;
+
+        function onAbort() {
+            clearTimeout(timer);
+            reject(TransferControl.cancelledError());
+        }
+
+        function check() {
+            var now = Date.now();
+            var rate = self.rate(direction, now);
+
+            if (!rate) {
+                // Cap lifted while waiting
+                bucket.tokens = 0;
+                bucket.updatedAt = now;
+            } else {
+                self.refill(direction, rate, now);
+                if (bucket.tokens < 0) {
+                    timer = setTimeout(check, Math.min(-bucket.tokens / rate * 1000, BandwidthLimiter.MAX_WAIT_STEP));
+                    return;
+                }
+                bucket.tokens -= bytes;
+            }
+
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }
+
+        if (signal) {
+            if (signal.aborted) {
+                reject(TransferControl.cancelledError());
+                return;
+            }
+            signal.addEventListener('abort', onAbort);
+        }
+        check();
+    });
+};
+
+if (typeof window !== 'undefined') {
+    window.BandwidthLimiter = BandwidthLimiter;
+}
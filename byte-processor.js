@@ -0,0 +1,124 @@
+// DriveBridge Byte Processor - ES5 Compatible client for the byte worker
+// Sends hashing, slicing and combining of chunk buffers to byte-worker.js so
+// large transfers do not stall the UI. ArrayBuffers are transferred rather than
+// copied: a buffer passed to update, split or combine is detached afterwards and
+// must not be used again. Without worker support the same operations run inline.
+
+function ByteProcessor(workerUrl) {
+    this.pending = {};
+    this.nextId = 1;
+    this.nextSession = 1;
+    this.worker = null;
+    this.inline = null;
+
+    try {
+        this.worker = new Worker(workerUrl || ByteProcessor.WORKER_URL);
+        this.worker.onmessage = this.onMessage.bind(this);
+        this.worker.onerror = this.onWorkerError.bind(this);
+    } catch (error) {
+        // e.g. the page was opened from file://
+        this.useInline(error);
+    }
+}
+
+ByteProcessor.WORKER_URL = 'byte-worker.js';
+
+ByteProcessor.prototype.useInline = function(error) {
+    if (this.worker) {
+        this.worker.terminate();
+        this.worker = null;
+    }
+    this.inline = new ByteOperations();
+
+    if (window.logger) {
+        window.logger.warn('Byte worker unavailable, hashing on the main thread', {
+            error: error && error.message
+        }, 'WORKER');
+    }
+};
+
+ByteProcessor.prototype.onMessage = function(event) {
+    var message = event.data;
+    var call = this.pending[message.id];
+
+    if (!call) return;
+    delete this.pending[message.id];
+
+    if (message.error) {
+        call.reject(new Error('Byte worker: ' + message.error));
+    } else {
+        call.resolve(message.result);
+    }
+};
+
+// The worker script failed to load or crashed. Calls it held fail, later calls
+// run inline; hash sessions it held are lost, so their digests come back null.
+ByteProcessor.prototype.onWorkerError = function(event) {
+    var pending = this.pending;
+    var error = new Error('Byte worker failed: ' + (event.message || 'script error'));
+
+    if (event.preventDefault) event.preventDefault();
+    this.pending = {};
+    this.useInline(error);
+
+    Object.keys(pending).forEach(function(id) {
+        pending[id].reject(error);
+    });
+};
+
+// transfer lists the ArrayBuffers in payload to hand over to the worker
+ByteProcessor.prototype.call = function(type, payload, transfer) {
+    var self = this;
+
+    return new Promise(function(resolve, reject) {
+        if (!self.worker) {
+            resolve(self.inline[type](payload).result);
+            return;
+        }
+        var id = self.nextId++;
+        self.pending[id] = { resolve: resolve, reject: reject };
+        self.worker.postMessage({ id: id, type: type, payload: payload }, transfer || []);
+    });
+};
+
+// Start hashing with algorithms (md5Checksum, sha256Checksum, quickXorHash) and
+// return the session id. Messages are handled in order, so it can be used at once.
+ByteProcessor.prototype.openSession = function(algorithms) {
+    var session = this.nextSession++;
+
+    this.call('open', { session: session, algorithms: algorithms }).catch(function(error) {
+        if (window.logger) {
+            window.logger.warn('Failed to start hashing', { error: error.message }, 'WORKER');
+        }
+    });
+    return session;
+};
+
+// Feed buffer to session; resolves once it has been hashed
+ByteProcessor.prototype.update = function(session, buffer) {
+    return this.call('update', { session: session, buffer: buffer }, [buffer]);
+};
+
+// Resolves with the digests keyed by algorithm (null if the session was lost) and ends the session
+ByteProcessor.prototype.digest = function(session) {
+    return this.call('digest', { session: session });
+};
+
+// End a session without a digest, e.g. when its transfer failed
+ByteProcessor.prototype.close = function(session) {
+    this.call('close', { session: session }).catch(function() {});
+};
+
+// Resolves with buffer cut into chunkSize ArrayBuffers, hashed into session first when given
+ByteProcessor.prototype.split = function(buffer, chunkSize, session) {
+    return this.call('split', { buffer: buffer, chunkSize: chunkSize, session: session || null }, [buffer]);
+};
+
+// Resolves with one ArrayBuffer holding buffers in order
+ByteProcessor.prototype.combine = function(buffers) {
+    return this.call('combine', { buffers: buffers }, buffers.slice());
+};
+
+if (typeof window !== 'undefined') {
+    window.ByteProcessor = ByteProcessor;
+}
@@ -0,0 +1,118 @@
+// DriveBridge Byte Worker - ES5 Compatible byte work off the main thread
+// Runs hashing (MD5, SHA-256, QuickXorHash), chunk slicing and chunk combining
+// as a dedicated worker started by ByteProcessor. Loaded with a <script> tag it
+// only defines ByteOperations, which ByteProcessor runs inline when workers are
+// not available.
+//
+// Messages in:  { id, type, payload }   type is a ByteOperations method name
+// Messages out: { id, result } or { id, error }
+
+function ByteOperations() {
+    // Running hashers per session id, kept between update messages
+    this.sessions = {};
+}
+
+ByteOperations.HASHERS = {
+    md5Checksum: 'Md5',
+    sha256Checksum: 'Sha256',
+    quickXorHash: 'QuickXorHash'
+};
+
+// Each operation returns { result, transfer } where transfer lists the
+// ArrayBuffers in result that are handed back instead of copied.
+
+// payload: { session, algorithms } with algorithms keyed like ByteOperations.HASHERS
+ByteOperations.prototype.open = function(payload) {
+    var hashers = {};
+    payload.algorithms.forEach(function(algorithm) {
+        hashers[algorithm] = new Hashing[ByteOperations.HASHERS[algorithm]]();
+    });
+    this.sessions[payload.session] = hashers;
+    return { result: null };
+};
+
+ByteOperations.prototype.feed = function(session, data) {
+    var hashers = this.sessions[session];
+    if (!hashers) return;
+
+    Object.keys(hashers).forEach(function(algorithm) {
+        hashers[algorithm].update(data);
+    });
+};
+
+// payload: { session, buffer }; buffers must arrive in file order
+ByteOperations.prototype.update = function(payload) {
+    this.feed(payload.session, payload.buffer);
+    return { result: payload.buffer.byteLength };
+};
+
+// Digests keyed by algorithm, or null for an unknown session. Closes the session.
+ByteOperations.prototype.digest = function(payload) {
+    var hashers = this.sessions[payload.session];
+    var digests = null;
+    delete this.sessions[payload.session];
+
+    if (hashers) {
+        digests = {};
+        Object.keys(hashers).forEach(function(algorithm) {
+            digests[algorithm] = hashers[algorithm].digest();
+        });
+    }
+    return { result: digests };
+};
+
+ByteOperations.prototype.close = function(payload) {
+    delete this.sessions[payload.session];
+    return { result: null };
+};
+
+// payload: { buffer, chunkSize, session }. Hashes the whole buffer into session
+// (when given) and cuts it into chunkSize pieces, the last one shorter.
+ByteOperations.prototype.split = function(payload) {
+    var buffer = payload.buffer;
+    var chunks = [];
+
+    if (payload.session) {
+        this.feed(payload.session, buffer);
+    }
+    for (var start = 0; start < buffer.byteLength; start += payload.chunkSize) {
+        chunks.push(buffer.slice(start, Math.min(start + payload.chunkSize, buffer.byteLength)));
+    }
+    return { result: chunks, transfer: chunks };
+};
+
+// payload: { buffers } in order; resolves with one ArrayBuffer holding them all
+ByteOperations.prototype.combine = function(payload) {
+    var total = payload.buffers.reduce(function(sum, buffer) {
+        return sum + buffer.byteLength;
+    }, 0);
+    var combined = new Uint8Array(total);
+    var offset = 0;
+
+    payload.buffers.forEach(function(buffer) {
+        combined.set(new Uint8Array(buffer), offset);
+        offset += buffer.byteLength;
+    });
+    return { result: combined.buffer, transfer: [combined.buffer] };
+};
+
+if (typeof window === 'undefined' && typeof importScripts === 'function') {
+    importScripts('hashing.js');
+
+    var operations = new ByteOperations();
+
+    self.onmessage = function(event) {
+        var message = event.data;
+        var outcome;
+
+        try {
+            outcome = operations[message.type](message.payload);
+        } catch (error) {
+            self.postMessage({ id: message.id, error: error.message || String(error) });
+            return;
+        }
+        self.postMessage({ id: message.id, result: outcome.result }, outcome.transfer || []);
+    };
+} else if (typeof window !== 'undefined') {
+    window.ByteOperations = ByteOperations;
+}
@@ -1,18 +1,213 @@
 // DriveBridge Chunked Transfer Engine - ES5 Compatible with proper token handling
-function ChunkedTransferEngine(downloadChunkSize, uploadChunkSize, maxConcurrentChunks) {
+function ChunkedTransferEngine(downloadChunkSize, uploadChunkSize, maxConcurrentChunks, options) {
+    options = options || {};
     this.downloadChunkSize = downloadChunkSize || 32 * 1024 * 1024;
     this.uploadChunkSize = uploadChunkSize || 8 * 1024 * 1024;
     this.maxConcurrentChunks = maxConcurrentChunks || 3;
+    // Pipelined mode uploads each range as soon as it is downloaded instead of
+    // assembling the whole file in memory first
+    this.pipelinedTransfers = options.pipelinedTransfers !== false;
+    // Hash the bytes while they stream and compare with the providers' checksums
+    this.verifyIntegrity = options.verifyIntegrity !== false;
+    // Hashing, slicing and combining of chunk buffers run in a worker
+    this.bytes = new ByteProcessor();
+    // Optional TransferStore used to persist upload sessions for resume
+    this.store = options.store || null;
+    // Global cap on concurrent chunk requests, shared by all files transferring in parallel
+    this.maxConcurrentRequests = options.maxConcurrentRequests || this.maxConcurrentChunks * 2;
+    this.requestQueue = new TransferQueue(this.maxConcurrentRequests, 'requests');
+    // Adjust chunk size and per-file concurrency to measured throughput and errors
+    this.adaptiveTransfers = options.adaptiveTransfers !== false;
+    this.tuner = this.adaptiveTransfers ? new ThroughputTuner({
+        chunkSize: this.uploadChunkSize,
+        minChunkSize: options.minChunkSize,
+        maxChunkSize: options.maxChunkSize,
+        concurrency: this.maxConcurrentChunks,
+        maxConcurrency: options.maxAdaptiveConcurrency
+    }) : null;
+    // Default for files whose name already exists in the destination folder
+    this.conflictPolicy = options.conflictPolicy || 'keepBoth';
+    this.conflicts = new ConflictResolver(this);
+    // options.endpoints (Config.getApiEndpoints()) is the API base for sharing requests
+    this.permissions = new PermissionMigrator(this, options.endpoints);
+    // Download and upload caps around every chunk request; adjustable with limiter.setLimits
+    this.limiter = new BandwidthLimiter(options.bandwidthLimits);
+    this.disposition = new SourceDisposition(this);
     
     if (window.logger) {
         window.logger.info('Chunked Transfer Engine initialized', {
             downloadChunkSize: this.downloadChunkSize,
             uploadChunkSize: this.uploadChunkSize,
-            maxConcurrentChunks: this.maxConcurrentChunks
+            maxConcurrentChunks: this.maxConcurrentChunks,
+            maxConcurrentRequests: this.maxConcurrentRequests,
+            pipelinedTransfers: this.pipelinedTransfers,
+            verifyIntegrity: this.verifyIntegrity,
+            adaptiveTransfers: this.adaptiveTransfers,
+            conflictPolicy: this.conflictPolicy
         }, 'ENGINE');
     }
 }
 
+// Upload chunks must be multiples of these sizes (except the last one)
+ChunkedTransferEngine.CHUNK_GRANULARITY = {
+    onedrive: 320 * 1024,
+    google: 256 * 1024
+};
+
+// Drive ignores Shared Drive items unless each call opts in
+ChunkedTransferEngine.driveUrl = function(url) {
+    return url + (url.indexOf('?') === -1 ? '?' : '&') + 'supportsAllDrives=true';
+};
+
+// Listings must also ask for Shared Drive items; driveId searches that Shared Drive only
+ChunkedTransferEngine.driveListUrl = function(url, driveId) {
+    return ChunkedTransferEngine.driveUrl(url) + '&includeItemsFromAllDrives=true' +
+        (driveId ? '&corpora=drive&driveId=' + encodeURIComponent(driveId) : '');
+};
+
+// Upload chunk size for the destination, following the tuner when enabled. Under a
+// bandwidth cap it shrinks to what the cap allows in about a second; pipelined
+// transfers download in the same ranges, so the download cap counts too.
+ChunkedTransferEngine.prototype.currentChunkSize = function(destination) {
+    var granularity = ChunkedTransferEngine.CHUNK_GRANULARITY[destination] || ChunkedTransferEngine.CHUNK_GRANULARITY.onedrive;
+    var size = this.tuner
+        ? this.tuner.chunkSizeFor(granularity)
+        : Math.max(granularity, Math.floor(this.uploadChunkSize / granularity) * granularity);
+    
+    return [this.limiter.maxChunkSize('upload', granularity), this.limiter.maxChunkSize('download', granularity)]
+        .reduce(function(smallest, capped) {
+            return capped ? Math.min(smallest, capped) : smallest;
+        }, size);
+};
+
+// Download chunk size for buffered transfers, shrunk like upload chunks under a cap
+ChunkedTransferEngine.prototype.currentDownloadChunkSize = function() {
+    var capped = this.limiter.maxChunkSize('download');
+    return capped ? Math.min(this.downloadChunkSize, capped) : this.downloadChunkSize;
+};
+
+// Number of chunk requests one file may have in flight
+ChunkedTransferEngine.prototype.currentConcurrency = function() {
+    return this.tuner ? this.tuner.concurrency : this.maxConcurrentChunks;
+};
+
+ChunkedTransferEngine.prototype.recordThroughput = function(bytes, startTime) {
+    if (this.tuner) {
+        this.tuner.recordSample(bytes, Date.now() - startTime);
+    }
+};
+
+// Cancelled requests say nothing about the link and are not counted
+ChunkedTransferEngine.prototype.recordRequestFailure = function(signal) {
+    if (this.tuner && !(signal && signal.aborted)) {
+        this.tuner.recordFailure();
+    }
+};
+
+// Pause/resume/cancel handle for a single transfer or a whole batch.
+// Cancelling aborts in-flight requests through the AbortController signal;
+// pausing takes effect at the next chunk boundary. A child control follows
+// its parent, so pausing or cancelling a batch applies to every file in it.
+function TransferControl(parent) {
+    var self = this;
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+    this.parent = parent || null;
+    this.children = [];
+    this.paused = false;
+    this.cancelled = false;
+    this.resumeWaiters = [];
+    this.listeners = [];
+    
+    if (parent) {
+        parent.children.push(this);
+        if (parent.cancelled) {
+            this.cancel();
+        } else {
+            parent.signal.addEventListener('abort', function() {
+                self.cancel();
+            });
+        }
+    }
+}
+
+TransferControl.cancelledError = function() {
+    var error = new Error('Transfer cancelled by user');
+    error.name = 'AbortError';
+    error.cancelled = true;
+    return error;
+};
+
+TransferControl.prototype.isPaused = function() {
+    return this.paused || (this.parent !== null && this.parent.isPaused());
+};
+
+TransferControl.prototype.pause = function() {
+    if (this.cancelled || this.paused) return;
+    this.paused = true;
+    this.notify();
+};
+
+TransferControl.prototype.resume = function() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.releaseWaiters();
+    this.notify();
+};
+
+TransferControl.prototype.cancel = function() {
+    if (this.cancelled) return;
+    this.cancelled = true;
+    this.paused = false;
+    this.controller.abort();
+    this.releaseWaiters();
+    this.notify();
+};
+
+// Resolve once the transfer may continue; reject if it was cancelled meanwhile
+TransferControl.prototype.waitIfPaused = function() {
+    var self = this;
+    
+    if (this.cancelled) {
+        return Promise.reject(TransferControl.cancelledError());
+    }
+    if (!this.isPaused()) {
+        return Promise.resolve();
+    }
+    
+    return new Promise(function(resolve) {
+        self.resumeWaiters.push(resolve);
+    }).then(function() {
+        return self.waitIfPaused();
+    });
+};
+
+TransferControl.prototype.releaseWaiters = function() {
+    var waiters = this.resumeWaiters;
+    this.resumeWaiters = [];
+    waiters.forEach(function(resolve) {
+        resolve();
+    });
+    this.children.forEach(function(child) {
+        child.releaseWaiters();
+    });
+};
+
+// Register a listener called with the control whenever its state changes
+TransferControl.prototype.onChange = function(listener) {
+    this.listeners.push(listener);
+};
+
+TransferControl.prototype.notify = function() {
+    var self = this;
+    this.listeners.forEach(function(listener) {
+        listener(self);
+    });
+    this.children.forEach(function(child) {
+        child.notify();
+    });
+};
+
 // Get Google Auth Token
 ChunkedTransferEngine.prototype.getGoogleToken = function() {
     try {
@@ -88,61 +283,313 @@ ChunkedTransferEngine.prototype.getMicrosoftToken = function() {
     });
 };
 
-ChunkedTransferEngine.prototype.downloadChunk = function(fileId, start, end, fileName) {
+ChunkedTransferEngine.prototype.downloadChunk = function(fileId, start, end, fileName, signal) {
     var self = this;
-    var googleToken = this.getGoogleToken();
     
-    if (!googleToken) {
-        return Promise.reject(new Error('No Google access token available'));
-    }
+    return this.downloadRangeWithRetry(function() {
+        // Read the token on every attempt so a retry picks up a refreshed one
+        var googleToken = self.getGoogleToken();
+        
+        if (!googleToken) {
+            return Promise.reject(new Error('No Google access token available'));
+        }
+        
+        var headers = {
+            'Authorization': 'Bearer ' + googleToken,
+            'Accept': 'application/octet-stream'
+        };
+        
+        if (start !== undefined && end !== undefined) {
+            headers['Range'] = 'bytes=' + start + '-' + end;
+        }
+        
+        return self.fetchRange(ChunkedTransferEngine.driveUrl('https://www.googleapis.com/drive/v3/files/' + fileId + '?alt=media'), headers,
+            'drive/v3/files/' + fileId, start, end, signal);
+    }, start, end, fileName, signal, 1);
+};
+
+// Fetch one byte range through the request queue and check that exactly the
+// requested bytes came back; a server that ignores Range answers 200 with the whole file
+ChunkedTransferEngine.prototype.fetchRange = function(url, headers, logUrl, start, end, signal) {
+    var self = this;
+    var size = start !== undefined && end !== undefined ? end - start + 1 : null;
     
-    var headers = {
-        'Authorization': 'Bearer ' + googleToken,
-        'Accept': 'application/octet-stream'
-    };
+    // Wait for bandwidth outside the request queue so throttled downloads do not hold upload slots
+    return this.limiter.consume('download', size || 0, signal).then(function() {
+        return self.requestQueue.add(function() {
+            var startTime = Date.now();
+        
+            return fetch(url, {
+                method: 'GET',
+                headers: headers,
+                mode: 'cors',
+                signal: signal
+            }).then(function(response) {
+                var duration = Date.now() - startTime;
+        
+                if (window.logger) {
+                    window.logger.debug('API GET ' + (response.ok ? 'success' : 'failed') + ': ' + logUrl, {
+                        method: 'GET',
+                        url: logUrl,
+                        responseStatus: response.status,
+                        duration: duration,
+                        success: response.ok,
+                        error: response.ok ? null : response.statusText
+                    }, 'API_CALL');
+                }
+        
+                if (!response.ok) {
+                    throw self.httpError(response, 'Download failed');
+                }
+        
+                return response.arrayBuffer();
+            }).then(function(buffer) {
+                if (start !== undefined && end !== undefined && buffer.byteLength !== end - start + 1) {
+                    throw new Error('Range ' + start + '-' + end + ' returned ' + buffer.byteLength +
+                        ' bytes, expected ' + (end - start + 1));
+                }
+                if (size === null) {
+                    self.limiter.charge('download', buffer.byteLength);
+                }
+                self.recordThroughput(buffer.byteLength, startTime);
+                return buffer;
+            }, function(error) {
+                self.recordRequestFailure(signal);
+                throw error;
+            });
+        });
+    });
+};
+
+// Resolve the pre-authenticated download URL for a OneDrive item.
+// Graph's /content endpoint answers with a redirect that drops CORS headers,
+// so ranges are requested directly from @microsoft.graph.downloadUrl instead.
+ChunkedTransferEngine.prototype.getOneDriveDownloadUrl = function(fileId, signal) {
+    return this.getMicrosoftToken().then(function(msToken) {
+        var startTime = Date.now();
+        
+        return fetch('https://graph.microsoft.com/v1.0/me/drive/items/' + fileId + '?select=id,size,@microsoft.graph.downloadUrl', {
+            method: 'GET',
+            headers: {
+                'Authorization': 'Bearer ' + msToken
+            },
+            mode: 'cors',
+            signal: signal
+        }).then(function(response) {
+            var duration = Date.now() - startTime;
+            
+            if (window.logger) {
+                window.logger.debug('API GET ' + (response.ok ? 'success' : 'failed') + ': graph/me/drive/items/' + fileId, {
+                    method: 'GET',
+                    url: 'graph/me/drive/items/' + fileId,
+                    responseStatus: response.status,
+                    duration: duration,
+                    success: response.ok,
+                    error: response.ok ? null : response.statusText
+                }, 'API_CALL');
+            }
+            
+            if (!response.ok) {
+                throw new Error('Failed to resolve OneDrive download URL: ' + response.status + ' ' + response.statusText);
+            }
+            
+            return response.json();
+        });
+    }).then(function(item) {
+        var downloadUrl = item['@microsoft.graph.downloadUrl'];
+        if (!downloadUrl) {
+            throw new Error('OneDrive did not return a download URL for item ' + fileId);
+        }
+        return downloadUrl;
+    });
+};
+
+ChunkedTransferEngine.prototype.downloadOneDriveChunk = function(downloadUrl, start, end, fileName, signal) {
+    var self = this;
+    var headers = {};
     
     if (start !== undefined && end !== undefined) {
         headers['Range'] = 'bytes=' + start + '-' + end;
     }
     
-    var startTime = Date.now();
+    return this.downloadRangeWithRetry(function() {
+        return self.fetchRange(downloadUrl, headers, 'onedrive/downloadUrl', start, end, signal);
+    }, start, end, fileName, signal, 1);
+};
+
+// Maximum tries for one chunk request, shared by downloads and uploads
+ChunkedTransferEngine.MAX_ATTEMPTS = 5;
+// Upper bound on a server-requested Retry-After wait
+ChunkedTransferEngine.MAX_RETRY_AFTER = 5 * 60 * 1000;
+
+// Convert a Retry-After header (delta seconds or HTTP date) to milliseconds
+ChunkedTransferEngine.parseRetryAfter = function(value) {
+    if (!value) return null;
     
-    return fetch('https://www.googleapis.com/drive/v3/files/' + fileId + '?alt=media', {
-        method: 'GET',
-        headers: headers,
-        mode: 'cors'
-    }).then(function(response) {
-        var duration = Date.now() - startTime;
+    if (/^\s*\d+\s*$/.test(value)) {
+        return parseInt(value, 10) * 1000;
+    }
+    var date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Network failures, timeouts, throttling and server errors are worth another try;
+// other 4xx responses will fail the same way again
+ChunkedTransferEngine.isRetryable = function(error) {
+    var status = error.status;
+    return !status || status === 408 || status === 429 || status >= 500;
+};
+
+ChunkedTransferEngine.prototype.httpError = function(response, message) {
+    var error = new Error(message + ': ' + response.status + ' ' + response.statusText);
+    error.status = response.status;
+    if (response.status === 429 || response.status === 503) {
+        error.retryAfter = ChunkedTransferEngine.parseRetryAfter(response.headers.get('Retry-After'));
+    }
+    return error;
+};
+
+// Wait before the next attempt: the server's Retry-After when it sent one,
+// exponential backoff otherwise. Rejects early if the transfer is cancelled.
+ChunkedTransferEngine.prototype.waitBeforeRetry = function(error, attempt, signal) {
+    var delay = (error.retryAfter !== undefined && error.retryAfter !== null)
+        ? Math.min(error.retryAfter, ChunkedTransferEngine.MAX_RETRY_AFTER)
+        : Math.pow(2, attempt - 1) * 1000;
+    
+    return new Promise(function(resolve, reject) {
+        var timer = setTimeout(function() {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve(delay);
+        }, delay);
         
-        if (window.logger) {
-            window.logger.debug('API GET ' + (response.ok ? 'success' : 'failed') + ': drive/v3/files/' + fileId, {
-                method: 'GET',
-                url: 'drive/v3/files/' + fileId,
-                responseStatus: response.status,
-                duration: duration,
-                success: response.ok,
-                error: response.ok ? null : response.statusText
-            }, 'API_CALL');
+        function onAbort() {
+            clearTimeout(timer);
+            reject(TransferControl.cancelledError());
         }
         
-        if (!response.ok) {
-            throw new Error('Download failed: ' + response.status + ' ' + response.statusText);
+        if (signal) signal.addEventListener('abort', onAbort);
+    });
+};
+
+ChunkedTransferEngine.prototype.downloadRangeWithRetry = function(attemptDownload, start, end, fileName, signal, attempt) {
+    return this.requestWithRetry(attemptDownload, 'Download of bytes ' + start + '-' + end + ' of ' + fileName, signal, attempt);
+};
+
+// Run attemptRequest until it succeeds, retrying network failures, throttling and
+// server errors up to MAX_ATTEMPTS times. description names the request in errors.
+ChunkedTransferEngine.prototype.requestWithRetry = function(attemptRequest, description, signal, attempt) {
+    var self = this;
+    var maxAttempts = ChunkedTransferEngine.MAX_ATTEMPTS;
+    attempt = attempt || 1;
+    
+    return attemptRequest().catch(function(error) {
+        // A cancelled transfer must not be retried
+        if (signal && signal.aborted) {
+            throw error;
+        }
+        
+        if (attempt >= maxAttempts || !ChunkedTransferEngine.isRetryable(error)) {
+            throw new Error(description + ' failed after ' + attempt + ' attempt(s): ' + error.message);
+        }
+        
+        if (window.logger) {
+            window.logger.debug('Retrying: ' + description, {
+                attempt: attempt,
+                maxAttempts: maxAttempts,
+                status: error.status,
+                retryAfter: error.retryAfter,
+                error: error.message
+            }, 'RETRY');
         }
         
-        return response.arrayBuffer();
+        return self.waitBeforeRetry(error, attempt, signal).then(function() {
+            return self.requestWithRetry(attemptRequest, description, signal, attempt + 1);
+        });
+    });
+};
+
+// Resolve a function(start, end) that fetches one byte range from the source provider
+ChunkedTransferEngine.prototype.getRangeFetcher = function(fileId, fileName, source, signal) {
+    var self = this;
+    
+    if (source === 'onedrive') {
+        return this.getOneDriveDownloadUrl(fileId, signal).then(function(downloadUrl) {
+            return function(start, end) {
+                return self.downloadOneDriveChunk(downloadUrl, start, end, fileName, signal);
+            };
+        });
+    }
+    
+    return Promise.resolve(function(start, end) {
+        return self.downloadChunk(fileId, start, end, fileName, signal);
+    });
+};
+
+// Emit a progress event to the transfer's callback. Events carry the phase
+// ('download', 'upload' or 'verify'), completedChunks/totalChunks, bytes done in
+// that phase, totalSize and an overall percentage. In buffered mode the download
+// phase covers 0-50% and the upload phase 50-100%. Pipelined transfers interleave
+// both phases, so there the percentage follows the uploaded bytes only.
+ChunkedTransferEngine.prototype.reportProgress = function(transfer, phase, completedChunks, totalChunks, bytes) {
+    if (typeof transfer.onProgress !== 'function') return;
+    
+    var totalSize = transfer.fileSize;
+    var fraction = totalSize > 0 ? Math.min(bytes / totalSize, 1) : 1;
+    var progress = fraction * 100;
+    
+    if (phase === 'upload') {
+        transfer.uploadedBytes = bytes;
+    }
+    if (transfer.buffered) {
+        progress = phase === 'download' ? fraction * 50 : 50 + fraction * 50;
+    } else if (phase === 'download') {
+        progress = totalSize > 0 ? Math.min((transfer.uploadedBytes || 0) / totalSize, 1) * 100 : 0;
+    }
+    
+    try {
+        transfer.onProgress({
+            phase: phase,
+            fileName: transfer.fileName,
+            completedChunks: completedChunks,
+            totalChunks: totalChunks,
+            bytes: bytes,
+            totalSize: totalSize,
+            progress: progress
+        });
+    } catch (error) {
+        if (window.logger) {
+            window.logger.warn('Progress callback failed: ' + error.message, {}, 'ENGINE');
+        }
+    }
+};
+
+// Wait at a chunk boundary while the transfer is paused
+ChunkedTransferEngine.prototype.checkpoint = function(control) {
+    return control ? control.waitIfPaused() : Promise.resolve();
+};
+
+// onChunk(completedChunks, totalChunks, bytesDownloaded) is called after each range
+ChunkedTransferEngine.prototype.downloadFileInChunks = function(fileId, fileSize, fileName, source, control, onChunk) {
+    var self = this;
+    
+    return this.getRangeFetcher(fileId, fileName, source, control && control.signal).then(function(fetchRange) {
+        return self.downloadRangesInChunks(fileId, fileSize, fileName, fetchRange, control, onChunk);
     });
 };
 
-ChunkedTransferEngine.prototype.downloadFileInChunks = function(fileId, fileSize, fileName) {
+ChunkedTransferEngine.prototype.downloadRangesInChunks = function(fileId, fileSize, fileName, fetchRange, control, onChunk) {
     var self = this;
-    var chunks = Math.ceil(fileSize / this.downloadChunkSize);
+    var chunkSize = this.currentDownloadChunkSize();
+    var chunks = Math.ceil(fileSize / chunkSize);
     var downloadedChunks = [];
+    var completedChunks = 0;
+    var bytesDownloaded = 0;
     
     if (window.logger) {
         window.logger.debug('Planning chunked download', {
             fileId: fileId,
             totalSize: fileSize,
-            chunkSize: this.downloadChunkSize,  // FIXED: Use actual number, not logger object
+            chunkSize: chunkSize,  // FIXED: Use actual number, not logger object
             totalChunks: chunks
         }, 'DOWNLOAD');
     }
@@ -151,20 +598,29 @@ ChunkedTransferEngine.prototype.downloadFileInChunks = function(fileId, fileSize
     var chunkIndex = 0;
     
     function processNextChunk() {
-        if (chunkIndex >= chunks || activeDownloads >= self.maxConcurrentChunks) {
+        if (chunkIndex >= chunks || activeDownloads >= self.currentConcurrency()) {
             return Promise.resolve();
         }
         
         var currentIndex = chunkIndex++;
-        var start = currentIndex * self.downloadChunkSize;
-        var end = Math.min(start + self.downloadChunkSize - 1, fileSize - 1);
+        var start = currentIndex * chunkSize;
+        var end = Math.min(start + chunkSize - 1, fileSize - 1);
         
         activeDownloads++;
         
-        return self.downloadChunk(fileId, start, end, fileName)
+        return self.checkpoint(control)
+            .then(function() {
+                return fetchRange(start, end);
+            })
             .then(function(arrayBuffer) {
                 downloadedChunks[currentIndex] = arrayBuffer;
                 activeDownloads--;
+                completedChunks++;
+                bytesDownloaded += arrayBuffer.byteLength;
+                
+                if (onChunk) {
+                    onChunk(completedChunks, chunks, bytesDownloaded);
+                }
                 
                 if (window.logger && window.logger.chunkTransfer) {
                     window.logger.chunkTransfer(fileId, fileName, currentIndex, chunks, true, 0, null);
@@ -184,7 +640,7 @@ ChunkedTransferEngine.prototype.downloadFileInChunks = function(fileId, fileSize
     }
     
     var concurrentPromises = [];
-    for (var i = 0; i < this.maxConcurrentChunks && i < chunks; i++) {
+    for (var i = 0; i < this.currentConcurrency() && i < chunks; i++) {
         concurrentPromises.push(processNextChunk());
     }
     
@@ -193,18 +649,6 @@ ChunkedTransferEngine.prototype.downloadFileInChunks = function(fileId, fileSize
             return acc + (chunk ? chunk.byteLength : 0);
         }, 0);
         
-        var combinedBuffer = new ArrayBuffer(totalSize);
-        var combinedView = new Uint8Array(combinedBuffer);
-        var offset = 0;
-        
-        downloadedChunks.forEach(function(chunk) {
-            if (chunk) {
-                var chunkView = new Uint8Array(chunk);
-                combinedView.set(chunkView, offset);
-                offset += chunk.byteLength;
-            }
-        });
-        
         if (window.logger) {
             window.logger.info('Chunked download completed', {
                 fileId: fileId,
@@ -214,11 +658,17 @@ ChunkedTransferEngine.prototype.downloadFileInChunks = function(fileId, fileSize
             }, 'DOWNLOAD');
         }
         
-        return combinedBuffer;
+        if (totalSize !== fileSize) {
+            throw new Error('Downloaded size mismatch for ' + fileName + ': expected ' + fileSize + ' bytes, got ' + totalSize);
+        }
+        
+        return self.bytes.combine(downloadedChunks.filter(Boolean));
     });
 };
 
-ChunkedTransferEngine.prototype.createUploadSession = function(fileName, fileSize, destinationFolderId) {
+// conflictBehavior is Graph's: 'replace', 'fail' or 'rename'
+// metadata holds extra driveItem properties for the new item (description, fileSystemInfo)
+ChunkedTransferEngine.prototype.createUploadSession = function(fileName, fileSize, destinationFolderId, signal, conflictBehavior, metadata) {
     var self = this;
     
     // Ensure we have a valid OneDrive folder ID, not a Google token
@@ -240,11 +690,12 @@ ChunkedTransferEngine.prototype.createUploadSession = function(fileName, fileSiz
                 'Content-Type': 'application/json'
             },
             mode: 'cors',
+            signal: signal,
             body: JSON.stringify({
-                item: {
-                    '@microsoft.graph.conflictBehavior': 'replace',
+                item: Object.assign({
+                    '@microsoft.graph.conflictBehavior': conflictBehavior || 'replace',
                     name: fileName
-                }
+                }, metadata || {})
             })
         }).then(function(response) {
             var duration = Date.now() - startTime;
@@ -280,84 +731,214 @@ ChunkedTransferEngine.prototype.createUploadSession = function(fileName, fileSiz
     });
 };
 
-ChunkedTransferEngine.prototype.uploadChunkWithRetry = function(uploadUrl, chunkData, chunkIndex, totalChunks, attempt, fileName) {
-    attempt = attempt || 1;
-    var maxAttempts = 5;
-    var self = this;
+// Open a Google Drive resumable upload session. The session URI comes back in
+// the Location header and accepts Content-Range PUTs without further auth.
+// With replaceFileId the session uploads new content for that file (a new revision)
+// instead of creating a file
+// metadata holds extra file properties (createdTime, modifiedTime, description, mimeType);
+// a Google Workspace mimeType makes Drive convert the upload on import
+ChunkedTransferEngine.prototype.createGoogleUploadSession = function(fileName, fileSize, destinationFolderId, mimeType, signal, replaceFileId, metadata) {
+    var googleToken = this.getGoogleToken();
+    
+    if (!googleToken) {
+        return Promise.reject(new Error('No Google access token available'));
+    }
+    if (!destinationFolderId) {
+        return Promise.reject(new Error('Invalid Google Drive folder ID: ' + destinationFolderId));
+    }
+    
+    var headers = {
+        'Authorization': 'Bearer ' + googleToken,
+        'Content-Type': 'application/json; charset=UTF-8',
+        'X-Upload-Content-Length': String(fileSize)
+    };
+    
+    if (mimeType) {
+        headers['X-Upload-Content-Type'] = mimeType;
+    }
+    
+    var startTime = Date.now();
+    var url = ChunkedTransferEngine.driveUrl('https://www.googleapis.com/upload/drive/v3/files' + (replaceFileId ? '/' + replaceFileId : '') +
+        '?uploadType=resumable&fields=id,name,size,md5Checksum');
     
-    return fetch(uploadUrl, {
-        method: 'PUT',
-        headers: {
-            'Content-Range': 'bytes ' + chunkData.start + '-' + chunkData.end + '/' + chunkData.total,
-            'Content-Type': 'application/octet-stream'
-        },
+    return fetch(url, {
+        method: replaceFileId ? 'PATCH' : 'POST',
+        headers: headers,
         mode: 'cors',
-        body: chunkData.buffer
-    })
-    .then(function(response) {
-        if (response.ok || response.status === 202) {
-            if (window.logger && window.logger.chunkTransfer) {
-                window.logger.chunkTransfer(fileName, fileName, chunkIndex, totalChunks, true, attempt - 1, null);
-            }
-            return response.status === 202 ? null : response.json();
-        } else {
+        signal: signal,
+        // parents cannot be set on update
+        body: JSON.stringify(Object.assign(replaceFileId ? { name: fileName } : {
+            name: fileName,
+            parents: [destinationFolderId]
+        }, metadata || {}))
+    }).then(function(response) {
+        var duration = Date.now() - startTime;
+        
+        if (window.logger) {
+            window.logger.debug('API POST ' + (response.ok ? 'success' : 'failed') + ': upload/drive/v3/files?uploadType=resumable', {
+                method: 'POST',
+                url: 'upload/drive/v3/files?uploadType=resumable',
+                responseStatus: response.status,
+                duration: duration,
+                success: response.ok,
+                error: response.ok ? null : response.statusText
+            }, 'API_CALL');
+        }
+        
+        if (!response.ok) {
             return response.text().then(function(text) {
-                throw new Error('HTTP ' + response.status + ': ' + response.statusText + ' - ' + text);
+                throw new Error('Failed to create Google upload session: ' + response.status + ' ' + response.statusText + ' - ' + text);
             });
         }
-    })
-    .catch(function(error) {
-        if (window.logger && window.logger.chunkTransfer) {
-            window.logger.chunkTransfer(fileName, fileName, chunkIndex, totalChunks, false, attempt - 1, { message: error.message });
+        
+        var uploadUrl = response.headers.get('Location');
+        if (!uploadUrl) {
+            throw new Error('Google Drive did not return a resumable session URI');
         }
         
-        if (attempt < maxAttempts) {
-            var delay = Math.pow(2, attempt - 1) * 1000;
-            
-            if (window.logger) {
-                window.logger.debug('Retrying upload chunk ' + (chunkIndex + 1) + ' in ' + delay + 'ms', {
-                    attempt: attempt,
-                    maxAttempts: maxAttempts
-                }, 'RETRY');
-            }
-            
-            return new Promise(function(resolve) {
-                setTimeout(function() {
-                    resolve(self.uploadChunkWithRetry(uploadUrl, chunkData, chunkIndex, totalChunks, attempt + 1, fileName));
-                }, delay);
-            });
-        } else {
-            throw new Error('Upload chunk ' + (chunkIndex + 1) + ' failed after ' + maxAttempts + ' attempts: ' + error.message);
+        if (window.logger) {
+            window.logger.info('Upload session created for ' + fileName, {
+                uploadUrl: 'received',
+                fileSize: fileSize,
+                destination: 'google'
+            }, 'UPLOAD');
         }
+        
+        return uploadUrl;
     });
 };
 
-ChunkedTransferEngine.prototype.uploadFileInChunks = function(fileBuffer, fileName, uploadUrl) {
+ChunkedTransferEngine.prototype.uploadChunkWithRetry = function(uploadUrl, chunkData, chunkIndex, totalChunks, attempt, fileName, signal) {
+    attempt = attempt || 1;
+    var maxAttempts = ChunkedTransferEngine.MAX_ATTEMPTS;
     var self = this;
-    var fileSize = fileBuffer.byteLength;
-    var totalChunks = Math.ceil(fileSize / this.uploadChunkSize);
-    
-    if (window.logger) {
-        window.logger.debug('Planning chunked upload', {
-            fileName: fileName,
-            totalSize: fileSize,
-            chunkSize: this.uploadChunkSize,
-            totalChunks: totalChunks
-        }, 'UPLOAD');
-    }
     
-    var activeUploads = 0;
+    return this.limiter.consume('upload', chunkData.buffer.byteLength, signal).then(function() {
+        return self.requestQueue.add(function() {
+            var startTime = Date.now();
+            
+            return fetch(uploadUrl, {
+                method: 'PUT',
+                headers: {
+                    'Content-Range': 'bytes ' + chunkData.start + '-' + chunkData.end + '/' + chunkData.total,
+                    'Content-Type': 'application/octet-stream'
+                },
+                mode: 'cors',
+                signal: signal,
+                body: chunkData.buffer
+            })
+            .then(function(response) {
+                // Drive may persist only part of a chunk; its Range header says how much
+                if (response.status === 308) {
+                    var range = response.headers.get('Range');
+                    var match = range && /bytes=0-(\d+)/.exec(range);
+                    var persisted = match ? parseInt(match[1], 10) + 1 : 0;
+                    
+                    if (persisted <= chunkData.end) {
+                        var partial = new Error('Drive stored bytes up to ' + persisted + ' of chunk ' +
+                            chunkData.start + '-' + chunkData.end);
+                        partial.persistedOffset = persisted;
+                        throw partial;
+                    }
+                }
+                
+                // Graph acknowledges intermediate chunks with 202, Google with 308 Resume Incomplete
+                if (response.ok || response.status === 202 || response.status === 308) {
+                    self.recordThroughput(chunkData.buffer.byteLength, startTime);
+                    if (window.logger && window.logger.chunkTransfer) {
+                        window.logger.chunkTransfer(fileName, fileName, chunkIndex, totalChunks, true, attempt - 1, null);
+                    }
+                    return (response.status === 202 || response.status === 308) ? null : response.json();
+                } else {
+                    return response.text().then(function(text) {
+                        var error = self.httpError(response, 'HTTP');
+                        error.message = 'HTTP ' + response.status + ': ' + response.statusText + ' - ' + text;
+                        throw error;
+                    });
+                }
+            });
+        });
+    })
+    .catch(function(error) {
+        self.recordRequestFailure(signal);
+        
+        if (window.logger && window.logger.chunkTransfer) {
+            window.logger.chunkTransfer(fileName, fileName, chunkIndex, totalChunks, false, attempt - 1, { message: error.message });
+        }
+        
+        // A cancelled transfer must not be retried
+        if (signal && signal.aborted) {
+            throw error;
+        }
+        
+        if (attempt < maxAttempts && ChunkedTransferEngine.isRetryable(error)) {
+            // Resend only the part of the chunk Drive did not keep
+            var retryData = chunkData;
+            if (error.persistedOffset !== undefined && error.persistedOffset > chunkData.start) {
+                retryData = {
+                    start: error.persistedOffset,
+                    end: chunkData.end,
+                    total: chunkData.total,
+                    buffer: chunkData.buffer.slice(error.persistedOffset - chunkData.start)
+                };
+            }
+            
+            if (window.logger) {
+                window.logger.debug('Retrying upload chunk ' + (chunkIndex + 1), {
+                    attempt: attempt,
+                    maxAttempts: maxAttempts,
+                    status: error.status,
+                    retryAfter: error.retryAfter,
+                    resendFrom: retryData.start
+                }, 'RETRY');
+            }
+            
+            return self.waitBeforeRetry(error, attempt, signal).then(function() {
+                return self.uploadChunkWithRetry(uploadUrl, retryData, chunkIndex, totalChunks, attempt + 1, fileName, signal);
+            });
+        } else {
+            throw new Error('Upload chunk ' + (chunkIndex + 1) + ' failed after ' + attempt + ' attempt(s): ' + error.message);
+        }
+    });
+};
+
+// chunks are the file's ArrayBuffers in order (see ByteProcessor.split); each is
+// released once uploaded.
+// onChunk(completedChunks, totalChunks, bytesUploaded) is called after each chunk is accepted
+ChunkedTransferEngine.prototype.uploadFileInChunks = function(chunks, fileName, uploadUrl, maxConcurrent, control, onChunk) {
+    var self = this;
+    var totalChunks = chunks.length;
+    var concurrency = maxConcurrent || this.maxConcurrentChunks;
+    var offsets = [];
+    var fileSize = chunks.reduce(function(offset, chunk) {
+        offsets.push(offset);
+        return offset + chunk.byteLength;
+    }, 0);
+    
+    if (window.logger) {
+        window.logger.debug('Planning chunked upload', {
+            fileName: fileName,
+            totalSize: fileSize,
+            chunkSize: totalChunks ? chunks[0].byteLength : 0,
+            totalChunks: totalChunks
+        }, 'UPLOAD');
+    }
+    
+    var activeUploads = 0;
     var chunkIndex = 0;
+    var uploadResult = null;
+    var completedChunks = 0;
+    var bytesUploaded = 0;
     
     function processNextChunk() {
-        if (chunkIndex >= totalChunks || activeUploads >= self.maxConcurrentChunks) {
+        if (chunkIndex >= totalChunks || activeUploads >= concurrency) {
             return Promise.resolve();
         }
         
         var currentIndex = chunkIndex++;
-        var start = currentIndex * self.uploadChunkSize;
-        var end = Math.min(start + self.uploadChunkSize, fileSize) - 1;
-        var chunkBuffer = fileBuffer.slice(start, end + 1);
+        var chunkBuffer = chunks[currentIndex];
+        var start = offsets[currentIndex];
+        var end = start + chunkBuffer.byteLength - 1;
         
         var chunkData = {
             start: start,
@@ -368,9 +949,21 @@ ChunkedTransferEngine.prototype.uploadFileInChunks = function(fileBuffer, fileNa
         
         activeUploads++;
         
-        return self.uploadChunkWithRetry(uploadUrl, chunkData, currentIndex, totalChunks, 1, fileName)
+        return self.checkpoint(control)
+            .then(function() {
+                return self.uploadChunkWithRetry(uploadUrl, chunkData, currentIndex, totalChunks, 1, fileName, control && control.signal);
+            })
             .then(function(result) {
                 activeUploads--;
+                completedChunks++;
+                bytesUploaded += chunkBuffer.byteLength;
+                chunks[currentIndex] = null;
+                if (result) {
+                    uploadResult = result;
+                }
+                if (onChunk) {
+                    onChunk(completedChunks, totalChunks, bytesUploaded);
+                }
                 return processNextChunk();
             })
             .catch(function(error) {
@@ -380,18 +973,916 @@ ChunkedTransferEngine.prototype.uploadFileInChunks = function(fileBuffer, fileNa
     }
     
     var concurrentPromises = [];
-    for (var i = 0; i < this.maxConcurrentChunks && i < totalChunks; i++) {
+    for (var i = 0; i < concurrency && i < totalChunks; i++) {
         concurrentPromises.push(processNextChunk());
     }
     
-    return Promise.all(concurrentPromises);
+    // Resolve with the destination's response to the final chunk (the created item)
+    return Promise.all(concurrentPromises).then(function() {
+        return uploadResult;
+    });
+};
+
+// Open an upload session on the destination provider and resolve its upload URL
+ChunkedTransferEngine.prototype.openUploadSession = function(transfer) {
+    var signal = transfer.control && transfer.control.signal;
+    var metadata = this.destinationMetadata(transfer);
+    
+    if (transfer.destination === 'google') {
+        return this.createGoogleUploadSession(transfer.fileName, transfer.fileSize, transfer.destinationFolderId, transfer.mimeType, signal,
+            transfer.replaceItemId, metadata);
+    }
+    return this.createUploadSession(transfer.fileName, transfer.fileSize, transfer.destinationFolderId, signal, transfer.conflictBehavior,
+        metadata);
+};
+
+// Map the source metadata onto the destination's upload properties. Drive takes
+// createdTime/modifiedTime/description/mimeType, Graph takes description and
+// fileSystemInfo; anything that cannot be carried over is logged under METADATA.
+ChunkedTransferEngine.prototype.destinationMetadata = function(transfer) {
+    var source = transfer.metadata || {};
+    var fields = {};
+    var unmapped = [];
+    
+    function skip(field, reason) {
+        if (source[field]) {
+            unmapped.push({ field: field, value: source[field], reason: reason });
+        }
+    }
+    
+    if (transfer.destination === 'google') {
+        if (transfer.replaceItemId) {
+            skip('createdTime', 'cannot be changed on an existing Drive file');
+        } else if (source.createdTime) {
+            fields.createdTime = source.createdTime;
+        }
+        if (source.modifiedTime) fields.modifiedTime = source.modifiedTime;
+        if (source.description) fields.description = source.description;
+        
+        if (transfer.exportMimeType) {
+            skip('mimeType', 'exported as ' + transfer.exportMimeType);
+        } else if (transfer.convertTo) {
+            fields.mimeType = transfer.convertTo;
+            skip('mimeType', 'converted to ' + transfer.convertTo);
+        } else if (transfer.replaceItemId) {
+            skip('mimeType', 'kept from the existing Drive file');
+        } else if (source.mimeType) {
+            fields.mimeType = source.mimeType;
+        }
+    } else {
+        if (source.createdTime || source.modifiedTime) {
+            fields.fileSystemInfo = {};
+            if (source.createdTime) fields.fileSystemInfo.createdDateTime = source.createdTime;
+            if (source.modifiedTime) fields.fileSystemInfo.lastModifiedDateTime = source.modifiedTime;
+        }
+        if (source.description) fields.description = source.description;
+        skip('mimeType', transfer.exportMimeType
+            ? 'exported as ' + transfer.exportMimeType
+            : 'OneDrive derives the type from the file extension');
+    }
+    
+    if (window.logger) {
+        window.logger.info('Metadata mapped for ' + transfer.fileName, {
+            destination: transfer.destination,
+            fields: Object.keys(fields),
+            unmapped: unmapped
+        }, 'METADATA');
+        
+        if (unmapped.length > 0) {
+            window.logger.warn('Metadata not carried over: ' + transfer.fileName, {
+                unmapped: unmapped
+            }, 'METADATA');
+        }
+    }
+    
+    return fields;
+};
+
+// Stream ranges from source to destination. Up to currentConcurrency() ranges are
+// downloaded ahead of the upload cursor, and chunks are uploaded strictly in order
+// (both Graph upload sessions and Drive resumable sessions require sequential bytes),
+// so memory use is bounded by chunk size x (lookahead + 1). Each range is planned
+// when it enters the window, so chunk size and lookahead follow the tuner mid-transfer.
+// Streaming starts at transfer.startOffset so a resumed session skips stored bytes.
+ChunkedTransferEngine.prototype.streamFileInChunks = function(transfer, fetchRange, uploadUrl) {
+    var self = this;
+    var fileSize = transfer.fileSize;
+    var fileName = transfer.fileName;
+    var startOffset = transfer.startOffset || 0;
+    var plannedRanges = [];
+    var nextPlanOffset = startOffset;
+    var uploadResult = null;
+    var control = transfer.control;
+    var requestedChunks = 0;
+    var downloadedChunks = 0;
+    var downloadedBytes = startOffset;
+    
+    if (window.logger) {
+        window.logger.debug('Planning pipelined transfer', {
+            fileName: fileName,
+            totalSize: fileSize,
+            startOffset: startOffset,
+            chunkSize: this.currentChunkSize(transfer.destination),
+            lookahead: this.currentConcurrency()
+        }, 'PIPELINE');
+    }
+    
+    // Chunk count so far plus the remainder at the current chunk size
+    function estimatedTotal(index) {
+        var remaining = fileSize - nextPlanOffset;
+        return index + plannedRanges.length + Math.ceil(remaining / self.currentChunkSize(transfer.destination));
+    }
+    
+    // Ranges may arrive out of order, so bytes counts what has arrived so far
+    function reportDownload(buffer) {
+        downloadedChunks++;
+        downloadedBytes += buffer.byteLength;
+        self.reportProgress(transfer, 'download', downloadedChunks,
+            requestedChunks + Math.ceil((fileSize - nextPlanOffset) / self.currentChunkSize(transfer.destination)), downloadedBytes);
+        return buffer;
+    }
+    
+    function fillDownloadWindow() {
+        var lookahead = self.currentConcurrency();
+        
+        while (nextPlanOffset < fileSize && plannedRanges.length < lookahead) {
+            var range = {
+                start: nextPlanOffset,
+                end: Math.min(nextPlanOffset + self.currentChunkSize(transfer.destination), fileSize) - 1
+            };
+            range.download = fetchRange(range.start, range.end).then(reportDownload);
+            // Failures surface when the upload cursor reaches this range
+            range.download.catch(function() {});
+            plannedRanges.push(range);
+            requestedChunks++;
+            nextPlanOffset = range.end + 1;
+        }
+    }
+    
+    function uploadNext(index) {
+        if (nextPlanOffset >= fileSize && plannedRanges.length === 0) {
+            return Promise.resolve(uploadResult);
+        }
+        
+        var range;
+        var totalChunks;
+        var chunk;
+        
+        return self.checkpoint(control).then(function() {
+            fillDownloadWindow();
+            range = plannedRanges.shift();
+            return range.download;
+        }).then(function(buffer) {
+            chunk = buffer;
+            totalChunks = estimatedTotal(index + 1);
+            
+            if (window.logger && window.logger.chunkTransfer) {
+                window.logger.chunkTransfer(fileName, fileName, index, totalChunks, true, 0, null);
+            }
+            
+            var chunkData = {
+                start: range.start,
+                end: range.end,
+                total: fileSize,
+                buffer: buffer
+            };
+            
+            // Start the next downloads while this chunk uploads
+            fillDownloadWindow();
+            
+            return self.uploadChunkWithRetry(uploadUrl, chunkData, index, totalChunks, 1, fileName, control && control.signal);
+        }).then(function(result) {
+            if (result) {
+                uploadResult = result;
+            }
+            self.reportProgress(transfer, 'upload', index + 1, totalChunks, range.end + 1);
+            // The chunk is hashed after its upload, since handing it to the worker detaches it
+            return Promise.all([
+                self.updateHashes(transfer, chunk),
+                self.recordUploadedRange(transfer, range.start, range.end)
+            ]);
+        }).then(function() {
+            return uploadNext(index + 1);
+        });
+    }
+    
+    // A resumed transfer starts part way through the bar
+    this.reportProgress(transfer, 'upload', 0, estimatedTotal(0), startOffset);
+    this.reportProgress(transfer, 'download', 0, estimatedTotal(0), startOffset);
+    
+    return uploadNext(0);
+};
+
+// Persist the upload session so the transfer can resume after a reload
+ChunkedTransferEngine.prototype.persistSession = function(transfer) {
+    if (!this.store) {
+        return Promise.resolve();
+    }
+    
+    return this.store.saveSession({
+        id: transfer.sessionId,
+        fileId: transfer.fileId,
+        fileName: transfer.fileName,
+        fileSize: transfer.fileSize,
+        mimeType: transfer.mimeType,
+        source: transfer.source,
+        destination: transfer.destination,
+        destinationFolderId: transfer.destinationFolderId,
+        uploadUrl: transfer.uploadUrl,
+        completedRanges: transfer.completedRanges || [],
+        sourceHashes: transfer.sourceHashes || {},
+        conflict: transfer.conflict || null,
+        conversion: transfer.conversion || null,
+        metadata: transfer.metadata || null,
+        permissionMapping: transfer.permissionMapping || null,
+        disposition: transfer.disposition ? {
+            policy: transfer.disposition.policy,
+            archiveParentId: transfer.disposition.archiveParentId,
+            archiveName: transfer.disposition.archiveName
+        } : null,
+        sourceFolderPath: transfer.sourceFolderPath || '',
+        createdAt: transfer.createdAt || Date.now()
+    }).catch(function(error) {
+        if (window.logger) {
+            window.logger.warn('Failed to persist upload session: ' + transfer.fileName, {
+                error: error.message
+            }, 'STORE');
+        }
+    });
+};
+
+ChunkedTransferEngine.prototype.recordUploadedRange = function(transfer, start, end) {
+    transfer.completedRanges = TransferStore.mergeRange(transfer.completedRanges, start, end);
+    return this.persistSession(transfer);
+};
+
+ChunkedTransferEngine.prototype.forgetSession = function(transfer) {
+    if (!this.store || !transfer.sessionId) {
+        return Promise.resolve();
+    }
+    
+    return this.store.deleteSession(transfer.sessionId).catch(function(error) {
+        if (window.logger) {
+            window.logger.warn('Failed to remove stored upload session: ' + transfer.fileName, {
+                error: error.message
+            }, 'STORE');
+        }
+    });
+};
+
+// Cancel a stored upload session on the destination and drop the local record.
+// Graph and Drive both discard partially uploaded bytes on DELETE.
+ChunkedTransferEngine.prototype.discardSession = function(session) {
+    var self = this;
+    var transfer = { sessionId: session.id || session.sessionId, fileName: session.fileName };
+    
+    var cleanup = session.uploadUrl
+        ? fetch(session.uploadUrl, { method: 'DELETE', mode: 'cors' }).then(function(response) {
+            if (window.logger) {
+                window.logger.debug('Upload session deleted: ' + session.fileName, {
+                    responseStatus: response.status
+                }, 'UPLOAD');
+            }
+        }).catch(function(error) {
+            if (window.logger) {
+                window.logger.warn('Failed to delete upload session: ' + session.fileName, {
+                    error: error.message
+                }, 'UPLOAD');
+            }
+        })
+        : Promise.resolve();
+    
+    return cleanup.then(function() {
+        return self.forgetSession(transfer);
+    });
+};
+
+// Ask the destination how many bytes of an existing session it already holds.
+// Resolves with the next byte offset to send, or fileSize when the upload is complete.
+// Only the destination's answer counts; our own record of completed ranges is
+// logged as a hint but never used as the offset.
+ChunkedTransferEngine.prototype.queryUploadOffset = function(transfer) {
+    var storedBytes = TransferStore.contiguousBytes(transfer.completedRanges);
+    var compare = function(offset) {
+        if (offset !== storedBytes && window.logger) {
+            window.logger.warn('Upload session holds a different offset than recorded: ' + transfer.fileName, {
+                serverOffset: offset,
+                recordedBytes: storedBytes
+            }, 'RESUME');
+        }
+        return offset;
+    };
+    
+    if (transfer.destination === 'google') {
+        return fetch(transfer.uploadUrl, {
+            method: 'PUT',
+            headers: {
+                'Content-Range': 'bytes */' + transfer.fileSize
+            },
+            mode: 'cors',
+            signal: transfer.control && transfer.control.signal
+        }).then(function(response) {
+            if (response.ok) {
+                return transfer.fileSize;
+            }
+            if (response.status !== 308) {
+                throw new Error('Upload session is no longer valid: ' + response.status + ' ' + response.statusText);
+            }
+            
+            // Range: bytes=0-N lists what Drive has persisted; no Range header means nothing yet
+            var range = response.headers.get('Range');
+            var match = range && /bytes=0-(\d+)/.exec(range);
+            return compare(match ? parseInt(match[1], 10) + 1 : 0);
+        });
+    }
+    
+    return fetch(transfer.uploadUrl, {
+        method: 'GET',
+        mode: 'cors',
+        signal: transfer.control && transfer.control.signal
+    }).then(function(response) {
+        if (!response.ok) {
+            throw new Error('Upload session is no longer valid: ' + response.status + ' ' + response.statusText);
+        }
+        return response.json();
+    }).then(function(status) {
+        // A live session always expects more bytes; with nothing left to accept it
+        // cannot be resumed; the session is dropped and the next attempt starts over.
+        var nextRanges = status.nextExpectedRanges || [];
+        if (nextRanges.length === 0) {
+            throw new Error('Upload session is no longer valid: no expected ranges');
+        }
+        return compare(parseInt(String(nextRanges[0]).split('-')[0], 10));
+    });
+};
+
+// Checksums the source provider reports for a file, keyed like the local digests
+ChunkedTransferEngine.sourceHashesFor = function(fileMeta) {
+    var hashes = (fileMeta.file && fileMeta.file.hashes) || {};
+    return {
+        md5Checksum: fileMeta.md5Checksum || null,
+        sha256Checksum: fileMeta.sha256Checksum || null,
+        quickXorHash: hashes.quickXorHash || null
+    };
+};
+
+// Timestamps, description and MIME type the source reports, normalized to Drive's
+// field names. Graph's fileSystemInfo holds the client-side times, so it wins
+// over the service-side createdDateTime/lastModifiedDateTime.
+ChunkedTransferEngine.sourceMetadataFor = function(fileMeta) {
+    var fileSystemInfo = fileMeta.fileSystemInfo || {};
+    return {
+        createdTime: fileMeta.createdTime || fileSystemInfo.createdDateTime || fileMeta.createdDateTime || null,
+        modifiedTime: fileMeta.modifiedTime || fileSystemInfo.lastModifiedDateTime || fileMeta.lastModifiedDateTime || null,
+        description: fileMeta.description || null,
+        mimeType: fileMeta.mimeType || (fileMeta.file && fileMeta.file.mimeType) || null
+    };
+};
+
+// Start the worker hash session for a transfer; null when integrity checks are off
+ChunkedTransferEngine.prototype.openHashSession = function(transfer) {
+    if (!this.verifyIntegrity) {
+        return null;
+    }
+    
+    var sourceHashes = transfer.sourceHashes || {};
+    var algorithms = ['md5Checksum', 'quickXorHash'];
+    
+    // Drive sometimes reports only a SHA-256
+    if (sourceHashes.sha256Checksum && !sourceHashes.md5Checksum) {
+        algorithms.push('sha256Checksum');
+    }
+    return this.bytes.openSession(algorithms);
+};
+
+// Hand bytes to the transfer's hash session; chunks must arrive in file order and
+// buffer is detached afterwards. Resolves once the previous chunk is hashed, so at
+// most one chunk waits in the worker while the next one moves.
+ChunkedTransferEngine.prototype.updateHashes = function(transfer, buffer) {
+    var self = this;
+    
+    if (!transfer.hashSession) {
+        return Promise.resolve();
+    }
+    return (transfer.hashing || Promise.resolve()).then(function() {
+        transfer.hashing = self.bytes.update(transfer.hashSession, buffer);
+        // Failures surface at the next chunk or at verification
+        transfer.hashing.catch(function() {});
+    });
+};
+
+ChunkedTransferEngine.prototype.closeHashSession = function(transfer) {
+    if (transfer.hashSession) {
+        this.bytes.close(transfer.hashSession);
+        transfer.hashSession = null;
+    }
+};
+
+// A resumed session has no hash state for the bytes uploaded before the reload,
+// so re-read that prefix from the source (download only) to rebuild it
+ChunkedTransferEngine.prototype.hashSourcePrefix = function(transfer, fetchRange) {
+    var self = this;
+    var prefixLength = transfer.startOffset || 0;
+    var chunkSize = this.uploadChunkSize;
+    
+    if (!transfer.hashSession || prefixLength === 0) {
+        return Promise.resolve();
+    }
+    
+    if (window.logger) {
+        window.logger.info('Re-reading ' + prefixLength + ' uploaded bytes for integrity check: ' + transfer.fileName, {}, 'INTEGRITY');
+    }
+    
+    function hashFrom(start) {
+        if (start >= prefixLength) {
+            return Promise.resolve();
+        }
+        var end = Math.min(start + chunkSize, prefixLength) - 1;
+        return self.checkpoint(transfer.control).then(function() {
+            return fetchRange(start, end);
+        }).then(function(buffer) {
+            return self.updateHashes(transfer, buffer);
+        }).then(function() {
+            self.reportProgress(transfer, 'verify', Math.ceil((end + 1) / chunkSize),
+                Math.ceil(prefixLength / chunkSize), end + 1);
+            return hashFrom(end + 1);
+        });
+    }
+    
+    return hashFrom(0);
+};
+
+// Read the checksums of the uploaded item, fetching its metadata when the
+// final upload response did not include them
+ChunkedTransferEngine.prototype.fetchDestinationHashes = function(transfer, uploadedItem) {
+    var item = uploadedItem || {};
+    
+    function fromItem(data) {
+        var hashes = (data.file && data.file.hashes) || {};
+        return {
+            id: data.id || item.id || null,
+            size: data.size !== undefined ? parseInt(data.size, 10) : null,
+            md5Checksum: data.md5Checksum || null,
+            sha256Checksum: data.sha256Checksum || null,
+            quickXorHash: hashes.quickXorHash || null
+        };
+    }
+    
+    var current = fromItem(item);
+    
+    // A converted file is a new Google document; it has no checksum or byte size
+    // that could match the source
+    if (transfer.convertTo) {
+        return Promise.resolve({ id: current.id, size: null });
+    }
+    
+    var hasHash = transfer.destination === 'google' ? !!current.md5Checksum : !!current.quickXorHash;
+    
+    if (hasHash || !current.id) {
+        return Promise.resolve(current);
+    }
+    
+    var request;
+    if (transfer.destination === 'google') {
+        var googleToken = this.getGoogleToken();
+        request = fetch(ChunkedTransferEngine.driveUrl('https://www.googleapis.com/drive/v3/files/' + current.id + '?fields=id,size,md5Checksum,sha256Checksum'), {
+            headers: { 'Authorization': 'Bearer ' + googleToken },
+            mode: 'cors'
+        });
+    } else {
+        request = this.getMicrosoftToken().then(function(msToken) {
+            return fetch('https://graph.microsoft.com/v1.0/me/drive/items/' + current.id + '?select=id,size,file', {
+                headers: { 'Authorization': 'Bearer ' + msToken },
+                mode: 'cors'
+            });
+        });
+    }
+    
+    return request.then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+        }
+        return response.json();
+    }).then(fromItem).catch(function(error) {
+        if (window.logger) {
+            window.logger.warn('Failed to read destination checksums: ' + transfer.fileName, {
+                error: error.message
+            }, 'INTEGRITY');
+        }
+        return current;
+    });
+};
+
+// Compare local digests with the source and destination checksums.
+// Resolves with { status, checks } where status is 'verified' (both sides match),
+// 'partial' (only one side could be checked), 'unverified' or 'mismatch'.
+ChunkedTransferEngine.prototype.verifyTransfer = function(transfer, uploadedItem) {
+    var self = this;
+    var session = transfer.hashSession;
+    var local;
+    
+    if (!session) {
+        return Promise.resolve({ status: 'unverified', checks: [] });
+    }
+    transfer.hashSession = null;
+    
+    return (transfer.hashing || Promise.resolve()).then(function() {
+        return self.bytes.digest(session);
+    }).then(function(digests) {
+        // The worker went away mid-transfer
+        if (!digests) {
+            return null;
+        }
+        local = digests;
+        self.reportProgress(transfer, 'verify', 0, 0, transfer.fileSize);
+        return self.fetchDestinationHashes(transfer, uploadedItem);
+    }).then(function(destinationHashes) {
+        if (!destinationHashes) {
+            return { status: 'unverified', checks: [] };
+        }
+        
+        var checks = [];
+        
+        function compare(side, hashes) {
+            Object.keys(local).forEach(function(algorithm) {
+                if (!hashes[algorithm]) return;
+                var expected = hashes[algorithm];
+                // Hex digests are case-insensitive, base64 digests are not
+                var match = algorithm === 'quickXorHash'
+                    ? expected === local[algorithm]
+                    : expected.toLowerCase() === local[algorithm];
+                checks.push({ side: side, algorithm: algorithm, expected: expected, actual: local[algorithm], match: match });
+            });
+        }
+        
+        compare('source', transfer.sourceHashes || {});
+        compare('destination', destinationHashes);
+        
+        if (destinationHashes.size !== null && !isNaN(destinationHashes.size)) {
+            checks.push({
+                side: 'destination',
+                algorithm: 'size',
+                expected: transfer.fileSize,
+                actual: destinationHashes.size,
+                match: destinationHashes.size === transfer.fileSize
+            });
+        }
+        
+        var hashChecks = checks.filter(function(check) { return check.algorithm !== 'size'; });
+        var sides = {};
+        hashChecks.forEach(function(check) { sides[check.side] = true; });
+        
+        var status;
+        if (checks.some(function(check) { return !check.match; })) {
+            status = 'mismatch';
+        } else if (sides.source && sides.destination) {
+            status = 'verified';
+        } else if (sides.source || sides.destination) {
+            status = 'partial';
+        } else {
+            status = 'unverified';
+        }
+        
+        var verification = { status: status, checks: checks, localHashes: local };
+        
+        if (window.logger) {
+            window.logger[status === 'mismatch' ? 'error' : 'info']('Integrity check ' + status + ': ' + transfer.fileName, {
+                fileId: transfer.fileId,
+                destinationId: destinationHashes.id,
+                checks: checks
+            }, 'INTEGRITY');
+        }
+        
+        if (status === 'mismatch') {
+            var failed = checks.filter(function(check) { return !check.match; }).map(function(check) {
+                return check.side + ' ' + check.algorithm + ' expected ' + check.expected + ' but got ' + check.actual;
+            });
+            var error = new Error('Integrity check failed for ' + transfer.fileName + ': ' + failed.join('; '));
+            error.integrity = verification;
+            throw error;
+        }
+        
+        return verification;
+    });
+};
+
+ChunkedTransferEngine.prototype.transferFilePipelined = function(transfer) {
+    var self = this;
+    
+    if (window.logger) {
+        window.logger.info((transfer.uploadUrl ? 'Resuming' : 'Starting') + ' pipelined transfer: ' + transfer.fileName, {
+            fileId: transfer.fileId,
+            fileSize: transfer.fileSize,
+            chunkSize: this.currentChunkSize(transfer.destination),
+            destinationFolderId: transfer.destinationFolderId,
+            source: transfer.source,
+            destination: transfer.destination
+        }, 'PIPELINE');
+    }
+    
+    var session = transfer.uploadUrl
+        ? this.queryUploadOffset(transfer).then(function(offset) {
+            transfer.startOffset = offset;
+            if (window.logger) {
+                window.logger.info('Upload session resumes at byte ' + offset + ': ' + transfer.fileName, {
+                    fileSize: transfer.fileSize,
+                    startOffset: offset
+                }, 'RESUME');
+            }
+            return transfer.uploadUrl;
+        }, function(error) {
+            // An expired or rejected session cannot be resumed again
+            if (transfer.control && transfer.control.cancelled) {
+                throw error;
+            }
+            return self.forgetSession(transfer).then(function() {
+                throw error;
+            });
+        })
+        : this.openUploadSession(transfer).then(function(uploadUrl) {
+            transfer.uploadUrl = uploadUrl;
+            transfer.startOffset = 0;
+            return self.persistSession(transfer).then(function() {
+                return uploadUrl;
+            });
+        });
+    
+    return Promise.all([
+        this.getRangeFetcher(transfer.fileId, transfer.fileName, transfer.source, transfer.control && transfer.control.signal),
+        session
+    ]).then(function(results) {
+        var fetchRange = results[0];
+        return self.hashSourcePrefix(transfer, fetchRange).then(function() {
+            return self.streamFileInChunks(transfer, fetchRange, results[1]);
+        });
+    });
+};
+
+ChunkedTransferEngine.prototype.transferFileBuffered = function(transfer) {
+    var self = this;
+    
+    // Step 1: Download file in chunks
+    if (window.logger) {
+        window.logger.info('Starting chunked download: ' + transfer.fileName, {
+            fileId: transfer.fileId,
+            fileSize: transfer.fileSize.toString(),
+            chunkSize: this.currentDownloadChunkSize()
+        }, 'DOWNLOAD');
+    }
+    
+    transfer.buffered = true;
+    
+    return this.downloadFileInChunks(transfer.fileId, transfer.fileSize, transfer.fileName, transfer.source, transfer.control,
+        function(completedChunks, totalChunks, bytes) {
+            self.reportProgress(transfer, 'download', completedChunks, totalChunks, bytes);
+        })
+        .then(function(fileBuffer) {
+            if (window.logger) {
+                window.logger.info('Download completed: ' + transfer.fileName, {
+                    fileId: transfer.fileId,
+                    downloadedSize: fileBuffer.byteLength
+                }, 'DOWNLOAD');
+            }
+            
+            return self.uploadBuffer(transfer, fileBuffer);
+        });
+};
+
+// Upload a file that is already in memory through a new upload session
+ChunkedTransferEngine.prototype.uploadBuffer = function(transfer, fileBuffer) {
+    var self = this;
+    
+    // Step 2: Create upload session
+    if (window.logger) {
+        window.logger.info('Starting chunked upload: ' + transfer.fileName, {
+            fileId: transfer.fileId,
+            fileSize: fileBuffer.byteLength,
+            chunkSize: this.currentChunkSize(transfer.destination),
+            destinationFolderId: transfer.destinationFolderId,
+            destination: transfer.destination
+        }, 'UPLOAD');
+    }
+    
+    transfer.fileSize = fileBuffer.byteLength;
+    
+    return this.openUploadSession(transfer).then(function(uploadUrl) {
+        transfer.uploadUrl = uploadUrl;
+        // The worker hashes the whole file and cuts it into upload chunks
+        return self.bytes.split(fileBuffer, self.currentChunkSize(transfer.destination), transfer.hashSession);
+    }).then(function(chunks) {
+        // Step 3: Upload file in chunks. Google resumable sessions only accept chunks in order
+        var concurrency = transfer.destination === 'google' ? 1 : self.currentConcurrency();
+        return self.uploadFileInChunks(chunks, transfer.fileName, transfer.uploadUrl, concurrency, transfer.control,
+            function(completedChunks, totalChunks, bytes) {
+                self.reportProgress(transfer, 'upload', completedChunks, totalChunks, bytes);
+            });
+    });
+};
+
+// Export a Google Workspace file to exportMimeType. files.export refuses exports
+// larger than 10 MB (exportSizeLimitExceeded); those are fetched from the file's
+// exportLinks instead. Exports cannot be ranged, so the result is held in memory.
+ChunkedTransferEngine.prototype.exportWorkspaceFile = function(fileId, fileName, exportMimeType, signal) {
+    var self = this;
+    
+    return this.requestWithRetry(function() {
+        return self.requestQueue.add(function() {
+            var googleToken = self.getGoogleToken();
+            if (!googleToken) {
+                return Promise.reject(new Error('No Google access token available'));
+            }
+            
+            return fetch(ChunkedTransferEngine.driveUrl('https://www.googleapis.com/drive/v3/files/' + fileId + '/export?mimeType=' + encodeURIComponent(exportMimeType)), {
+                headers: { 'Authorization': 'Bearer ' + googleToken },
+                mode: 'cors',
+                signal: signal
+            }).then(function(response) {
+                if (response.ok) {
+                    return response.arrayBuffer();
+                }
+                return response.text().then(function(text) {
+                    if (response.status === 403 && text.indexOf('exportSizeLimitExceeded') !== -1) {
+                        return null;
+                    }
+                    var error = self.httpError(response, 'Export of ' + fileName + ' failed');
+                    error.message += ' - ' + text;
+                    throw error;
+                });
+            });
+        });
+    }, 'Export of ' + fileName, signal).then(function(buffer) {
+        if (buffer) {
+            return buffer;
+        }
+        
+        if (window.logger) {
+            window.logger.info('Export exceeds the files.export limit, using exportLinks: ' + fileName, {
+                fileId: fileId,
+                exportMimeType: exportMimeType
+            }, 'EXPORT');
+        }
+        return self.exportViaLink(fileId, fileName, exportMimeType, signal);
+    });
 };
 
-ChunkedTransferEngine.prototype.transferFileChunked = function(fileMeta, destinationFolderId) {
+// Both requests retry like chunk requests; large exports are often throttled
+ChunkedTransferEngine.prototype.exportViaLink = function(fileId, fileName, exportMimeType, signal) {
     var self = this;
+    
+    return this.requestWithRetry(function() {
+        return fetch(ChunkedTransferEngine.driveUrl('https://www.googleapis.com/drive/v3/files/' + fileId + '?fields=exportLinks'), {
+            headers: { 'Authorization': 'Bearer ' + self.getGoogleToken() },
+            mode: 'cors',
+            signal: signal
+        }).then(function(response) {
+            if (!response.ok) {
+                throw self.httpError(response, 'Failed to read export links for ' + fileName);
+            }
+            return response.json();
+        });
+    }, 'Reading export links for ' + fileName, signal).then(function(data) {
+        var link = data.exportLinks && data.exportLinks[exportMimeType];
+        if (!link) {
+            throw new Error(fileName + ' has no export link for ' + exportMimeType);
+        }
+        
+        return self.requestWithRetry(function() {
+            return self.requestQueue.add(function() {
+                return fetch(link, {
+                    headers: { 'Authorization': 'Bearer ' + self.getGoogleToken() },
+                    mode: 'cors',
+                    signal: signal
+                }).then(function(response) {
+                    if (!response.ok) {
+                        throw self.httpError(response, 'Export of ' + fileName + ' failed');
+                    }
+                    return response.arrayBuffer();
+                });
+            });
+        }, 'Export of ' + fileName + ' through its export link', signal);
+    });
+};
+
+ChunkedTransferEngine.prototype.transferExportedFile = function(transfer) {
+    var self = this;
+    transfer.buffered = true;
+    
+    return this.checkpoint(transfer.control).then(function() {
+        return self.exportWorkspaceFile(transfer.fileId, transfer.fileName, transfer.exportMimeType,
+            transfer.control && transfer.control.signal);
+    }).then(function(fileBuffer) {
+        transfer.fileSize = fileBuffer.byteLength;
+        // Export sizes are unknown up front, so the bytes are charged once they arrived
+        self.limiter.charge('download', fileBuffer.byteLength);
+        self.reportProgress(transfer, 'download', 1, 1, fileBuffer.byteLength);
+        
+        if (window.logger) {
+            window.logger.info('Export completed: ' + transfer.fileName, {
+                fileId: transfer.fileId,
+                exportMimeType: transfer.exportMimeType,
+                exportedSize: fileBuffer.byteLength
+            }, 'EXPORT');
+        }
+        
+        return self.uploadBuffer(transfer, fileBuffer);
+    });
+};
+
+// "Budget 2024" + ".xlsx" -> "Budget 2024.xlsx"; an existing matching extension is kept
+ChunkedTransferEngine.exportFileName = function(name, extension) {
+    if (!extension || name.toLowerCase().slice(-extension.length) === extension.toLowerCase()) {
+        return name;
+    }
+    return name + extension;
+};
+
+// Decide whether an upload to Google Drive should be converted to a native Google
+// type. rules map lower-case extensions to { mimeType, maxSize, enabled }.
+// Returns { status, targetMimeType, limit, fileName } where status is
+// 'convert', 'too-large' (uploaded as the Office file) or 'not-applicable'.
+ChunkedTransferEngine.planConversion = function(fileName, fileSize, rules) {
+    var dot = fileName.lastIndexOf('.');
+    var extension = dot > 0 ? fileName.slice(dot).toLowerCase() : '';
+    var rule = rules && rules[extension];
+    
+    if (!rule || rule.enabled === false) {
+        return { status: 'not-applicable', fileName: fileName };
+    }
+    if (rule.maxSize && fileSize > rule.maxSize) {
+        return { status: 'too-large', targetMimeType: rule.mimeType, limit: rule.maxSize, fileName: fileName };
+    }
+    // Native Google files carry no extension
+    return { status: 'convert', targetMimeType: rule.mimeType, limit: rule.maxSize, fileName: fileName.slice(0, dot) };
+};
+
+// Export a Google Workspace file (Docs, Sheets, ...) and upload the result.
+// Takes the same progressCallback and options as transferFileChunked.
+ChunkedTransferEngine.prototype.transferWorkspaceExport = function(fileMeta, exportMimeType, extension, destinationFolderId, progressCallback, options) {
+    options = options || {};
+    var destination = options.destination || 'onedrive';
+    
+    if (!fileMeta || !fileMeta.id) {
+        return Promise.reject(new Error('File ID is required'));
+    }
+    if (!destinationFolderId) {
+        return Promise.reject(new Error('Destination folder ID is required'));
+    }
+    
+    if (window.logger) {
+        window.logger.info('Workspace export started: ' + fileMeta.name, {
+            fileId: fileMeta.id,
+            sourceMimeType: fileMeta.mimeType,
+            exportMimeType: exportMimeType,
+            destination: destination
+        }, 'EXPORT');
+    }
+    
+    return this.executeTransfer({
+        sessionId: ChunkedTransferEngine.sessionIdFor('google', fileMeta.id, destinationFolderId),
+        fileId: fileMeta.id,
+        fileName: ChunkedTransferEngine.exportFileName(fileMeta.name, extension),
+        // Unknown until exported
+        fileSize: null,
+        mimeType: exportMimeType,
+        exportMimeType: exportMimeType,
+        source: 'google',
+        destination: destination,
+        destinationFolderId: destinationFolderId,
+        sourceHashes: {},
+        metadata: ChunkedTransferEngine.sourceMetadataFor(fileMeta),
+        capabilities: fileMeta.capabilities || null,
+        control: options.control || null,
+        onProgress: progressCallback || null,
+        conflictPolicy: options.conflictPolicy || this.conflictPolicy,
+        onConflict: options.onConflict || null,
+        permissionMapping: options.permissionMapping || null,
+        disposition: options.disposition || null,
+        sourceFolderPath: options.sourceFolderPath || '',
+        nameSanitizer: options.nameSanitizer || null,
+        incremental: !!options.incremental
+    });
+};
+
+// options.source / options.destination select the direction ('google' or 'onedrive');
+// the default is Google Drive -> OneDrive. options.control is an optional TransferControl.
+// options.conflictPolicy is one of ConflictResolver.POLICIES; with 'ask',
+// options.onConflict(existingItem, transfer) resolves with the policy to apply.
+// options.convertOffice (rules for planConversion) converts Office files on upload
+// to Google Drive. options.permissionMapping ({ domainMap }) copies the source's
+// sharing permissions onto the new item. options.nameSanitizer (a NameSanitizer
+// shared by the batch) rewrites names OneDrive would reject. With options.incremental
+// a destination file that is unchanged since the last copy is skipped.
+// options.disposition ({ policy, archiveParentId, archiveName }, see SourceDisposition)
+// says what happens to the source afterwards; options.sourceFolderPath is the file's
+// folder path within the batch, kept when archiving.
+ChunkedTransferEngine.prototype.transferFileChunked = function(fileMeta, destinationFolderId, progressCallback, options) {
+    options = options || {};
+    var source = options.source || 'google';
+    var destination = options.destination || 'onedrive';
     var fileId = fileMeta.id || fileMeta.fileId;
     var fileName = fileMeta.name || fileMeta.fileName;
     var fileSize = parseInt(fileMeta.size || fileMeta.fileSize, 10);
+    var mimeType = fileMeta.mimeType || (fileMeta.file && fileMeta.file.mimeType) || null;
     
     // Validate inputs
     if (!fileId) {
@@ -409,10 +1900,114 @@ ChunkedTransferEngine.prototype.transferFileChunked = function(fileMeta, destina
             fileId: fileId,
             fileName: fileName,
             fileSize: fileSize.toString(),
-            expectedChunks: Math.ceil(fileSize / this.downloadChunkSize)
+            expectedChunks: Math.ceil(fileSize / this.downloadChunkSize),
+            source: source,
+            destination: destination
         }, 'FILE_TRANSFER');
     }
     
+    var conversion = null;
+    if (destination === 'google' && options.convertOffice) {
+        conversion = ChunkedTransferEngine.planConversion(fileName, fileSize, options.convertOffice);
+        
+        if (conversion.status === 'too-large' && window.logger) {
+            window.logger.warn('Too large to convert, uploading as Office file: ' + fileName, {
+                fileSize: fileSize,
+                limit: conversion.limit,
+                targetMimeType: conversion.targetMimeType
+            }, 'CONVERSION');
+        }
+    }
+    
+    return this.executeTransfer({
+        sessionId: ChunkedTransferEngine.sessionIdFor(source, fileId, destinationFolderId),
+        fileId: fileId,
+        fileName: conversion ? conversion.fileName : fileName,
+        fileSize: fileSize,
+        mimeType: mimeType,
+        source: source,
+        destination: destination,
+        destinationFolderId: destinationFolderId,
+        sourceHashes: ChunkedTransferEngine.sourceHashesFor(fileMeta),
+        metadata: ChunkedTransferEngine.sourceMetadataFor(fileMeta),
+        capabilities: fileMeta.capabilities || null,
+        control: options.control || null,
+        onProgress: progressCallback || null,
+        conflictPolicy: options.conflictPolicy || this.conflictPolicy,
+        onConflict: options.onConflict || null,
+        permissionMapping: options.permissionMapping || null,
+        disposition: options.disposition || null,
+        sourceFolderPath: options.sourceFolderPath || '',
+        nameSanitizer: options.nameSanitizer || null,
+        incremental: !!options.incremental,
+        conversion: conversion,
+        convertTo: conversion && conversion.status === 'convert' ? conversion.targetMimeType : null
+    });
+};
+
+ChunkedTransferEngine.sessionIdFor = function(source, fileId, destinationFolderId) {
+    return 'transfer_' + source + '_' + fileId + '_' + destinationFolderId;
+};
+
+// Continue a transfer from a session saved by persistSession (e.g. after a page reload).
+// options.control and options.onProgress work as in transferFileChunked.
+ChunkedTransferEngine.prototype.resumeTransfer = function(session, options) {
+    options = options || {};
+    
+    if (!session || !session.uploadUrl) {
+        return Promise.reject(new Error('No resumable upload session provided'));
+    }
+    
+    if (window.logger) {
+        window.logger.info('Resuming file transfer: ' + session.fileName, {
+            fileId: session.fileId,
+            fileSize: session.fileSize,
+            completedRanges: session.completedRanges,
+            source: session.source,
+            destination: session.destination
+        }, 'RESUME');
+    }
+    
+    return this.executeTransfer({
+        sessionId: session.id,
+        fileId: session.fileId,
+        fileName: session.fileName,
+        fileSize: session.fileSize,
+        mimeType: session.mimeType,
+        source: session.source,
+        destination: session.destination,
+        destinationFolderId: session.destinationFolderId,
+        uploadUrl: session.uploadUrl,
+        completedRanges: session.completedRanges || [],
+        createdAt: session.createdAt,
+        sourceHashes: session.sourceHashes || {},
+        conflict: session.conflict || null,
+        conversion: session.conversion || null,
+        convertTo: session.conversion && session.conversion.status === 'convert' ? session.conversion.targetMimeType : null,
+        metadata: session.metadata || null,
+        permissionMapping: session.permissionMapping || null,
+        disposition: session.disposition || null,
+        sourceFolderPath: session.sourceFolderPath || '',
+        control: options.control || null,
+        onProgress: options.onProgress || null
+    });
+};
+
+ChunkedTransferEngine.prototype.executeTransfer = function(transfer) {
+    var self = this;
+    var fileId = transfer.fileId;
+    
+    // A resumed session already has its sanitized name
+    if (transfer.nameSanitizer && transfer.destination === 'onedrive' && !transfer.uploadUrl) {
+        var sanitized = transfer.nameSanitizer.claim(transfer.destinationFolderId, transfer.fileName, 'file');
+        if (sanitized !== transfer.fileName) {
+            transfer.originalName = transfer.fileName;
+            transfer.fileName = sanitized;
+        }
+    }
+    
+    var fileName = transfer.fileName;
+    
     // Acquire wake lock if available
     if ('wakeLock' in navigator) {
         navigator.wakeLock.request('screen').then(function(wakeLock) {
@@ -426,45 +2021,84 @@ ChunkedTransferEngine.prototype.transferFileChunked = function(fileMeta, destina
         });
     }
     
-    // Step 1: Download file in chunks
-    if (window.logger) {
-        window.logger.info('Starting chunked download: ' + fileName, {
-            fileId: fileId,
-            fileSize: fileSize.toString(),
-            chunkSize: this.downloadChunkSize
-        }, 'DOWNLOAD');
+    var conflict;
+    if (transfer.source === 'google' && transfer.capabilities && transfer.capabilities.canDownload === false) {
+        // Shared Drive readers, or anyone without edit access to a file that
+        // restricts copying, may not download it
+        conflict = Promise.reject(new Error(fileName + ' cannot be downloaded with your access to it in Google Drive'));
+    } else if (transfer.uploadUrl) {
+        // A resumed session already settled its target name
+        conflict = Promise.resolve(transfer.conflict || null);
+    } else {
+        conflict = this.conflicts.resolve(transfer);
     }
     
-    return this.downloadFileInChunks(fileId, fileSize, fileName)
-        .then(function(fileBuffer) {
-            if (window.logger) {
-                window.logger.info('Download completed: ' + fileName, {
-                    fileId: fileId,
-                    downloadedSize: fileBuffer.byteLength
-                }, 'DOWNLOAD');
+    return conflict
+        .then(function(resolution) {
+            transfer.conflict = resolution;
+            
+            if (resolution && resolution.skip) {
+                return { success: true, skipped: true, fileName: fileName, conflict: resolution };
             }
             
-            // Step 2: Create upload session
-            if (window.logger) {
-                window.logger.info('Starting chunked upload: ' + fileName, {
-                    fileId: fileId,
-                    fileSize: fileBuffer.byteLength,
-                    chunkSize: self.uploadChunkSize,
-                    destinationFolderId: destinationFolderId
-                }, 'UPLOAD');
+            transfer.hashSession = self.openHashSession(transfer);
+            transfer.hashing = null;
+            
+            // Stored sessions can only be continued by streaming from their offset
+            var run;
+            if (transfer.exportMimeType) {
+                run = self.transferExportedFile(transfer);
+            } else if (self.pipelinedTransfers || transfer.uploadUrl) {
+                run = self.transferFilePipelined(transfer);
+            } else {
+                run = self.transferFileBuffered(transfer);
             }
             
-            return self.createUploadSession(fileName, fileBuffer.byteLength, destinationFolderId)
-                .then(function(uploadUrl) {
-                    // Step 3: Upload file in chunks
-                    return self.uploadFileInChunks(fileBuffer, fileName, uploadUrl);
+            return run
+                .then(function(uploadedItem) {
+                    var result = {
+                        success: true,
+                        fileName: transfer.fileName,
+                        destinationId: uploadedItem && uploadedItem.id || null,
+                        originalName: transfer.originalName || null,
+                        verification: null,
+                        conflict: resolution,
+                        conversion: transfer.conversion || null,
+                        permissions: null,
+                        disposition: null
+                    };
+                    
+                    return self.forgetSession(transfer).then(function() {
+                        return self.verifyTransfer(transfer, uploadedItem);
+                    }).then(function(verification) {
+                        result.verification = verification;
+                        
+                        // Sharing problems are reported, they do not fail the file
+                        if (!transfer.permissionMapping || !result.destinationId) {
+                            return null;
+                        }
+                        return self.permissions.migrate(transfer, result.destinationId, transfer.permissionMapping);
+                    }).then(function(report) {
+                        result.permissions = report;
+                        
+                        // Last, so the source is only touched once the copy is complete
+                        if (!transfer.disposition || !result.destinationId) {
+                            return result;
+                        }
+                        return self.disposition.apply(transfer, result, transfer.disposition).then(function(record) {
+                            result.disposition = record;
+                            return result;
+                        });
+                    });
                 });
         })
-        .then(function() {
+        .then(function(result) {
+            self.conflicts.release(transfer);
+            
             if (window.logger) {
-                window.logger.info('File transfer completed: ' + fileName, {
+                window.logger.info('File transfer ' + (result.skipped ? 'skipped' : 'completed') + ': ' + fileName, {
                     fileId: fileId,
-                    fileName: fileName,
+                    fileName: result.fileName,
                     success: true
                 }, 'FILE_TRANSFER');
             }
@@ -476,9 +2110,16 @@ ChunkedTransferEngine.prototype.transferFileChunked = function(fileMeta, destina
                 }
             }
             
-            return { success: true, fileName: fileName };
+            return result;
         })
         .catch(function(error) {
+            self.closeHashSession(transfer);
+            self.conflicts.release(transfer);
+            
+            if (transfer.control && transfer.control.cancelled) {
+                return self.cancelTransferCleanup(transfer);
+            }
+            
             if (window.logger) {
                 window.logger.error('File transfer failed: ' + fileName, {
                     fileId: fileId,
@@ -516,6 +2157,30 @@ ChunkedTransferEngine.prototype.transferFileChunked = function(fileMeta, destina
         });
 };
 
+// Remove the half-written destination upload session of a cancelled transfer
+ChunkedTransferEngine.prototype.cancelTransferCleanup = function(transfer) {
+    if (window.logger) {
+        window.logger.info('File transfer cancelled: ' + transfer.fileName, {
+            fileId: transfer.fileId,
+            fileName: transfer.fileName,
+            cancelled: true
+        }, 'FILE_TRANSFER');
+        
+        if ('wakeLock' in navigator) {
+            window.logger.info('Wake lock released', {}, 'WAKE_LOCK');
+        }
+    }
+    
+    return this.discardSession({
+        id: transfer.sessionId,
+        fileName: transfer.fileName,
+        uploadUrl: transfer.uploadUrl
+    }).then(function() {
+        throw TransferControl.cancelledError();
+    });
+};
+
 if (typeof window !== 'undefined') {
     window.ChunkedTransferEngine = ChunkedTransferEngine;
+    window.TransferControl = TransferControl;
 }
@@ -23,9 +23,120 @@ const Config = {
     return {
       downloadChunkSize: 64 * 1024 * 1024,
       uploadChunkSize: 16 * 1024 * 1024,
-      maxConcurrentChunks: 5
+      maxConcurrentChunks: 5,
+      maxConcurrentFiles: 3,
+      maxConcurrentRequests: 8,
+      pipelinedTransfers: true,
+      verifyIntegrity: true,
+      // Adaptive tuning starts from the sizes above and stays within these bounds.
+      // Chunks are aligned to 320 KiB (Graph) or 256 KiB (Drive) per destination;
+      // Graph rejects fragments of 60 MiB or more, so the cap stays one step below.
+      adaptiveTransfers: true,
+      minChunkSize: 1280 * 1024,
+      maxChunkSize: 60 * 1024 * 1024 - 320 * 1024,
+      maxAdaptiveConcurrency: 8,
+      // Default for the "If a file already exists" selector:
+      // replace, keepBoth, skip, skipIfIdentical or ask
+      conflictPolicy: 'keepBoth',
+      // Opt-in default for converting Office files on upload to Google Drive
+      convertOfficeFiles: false,
+      // Opt-in default for recreating the source's sharing permissions on the copy
+      migratePermissions: false,
+      // Show the pre-flight plan (totals, quota, size and naming checks) and ask
+      // for confirmation before a batch starts
+      showTransferPlan: true,
+      // Rewrite names OneDrive rejects (illegal characters, reserved names, trailing
+      // dots and spaces) and shorten names so paths stay within maxPathLength
+      sanitizeNames: true,
+      maxPathLength: 400,
+      // Default for "Copy only new or changed files": skip files whose destination
+      // copy has the same size and hash, or is not older than the source
+      incrementalTransfers: false,
+      // Default for "After copying": 'keep', 'mark', 'archive' or 'trash'. Archived
+      // sources go to a folder of this name in the folder the batch started from.
+      sourceDisposition: 'keep',
+      archiveFolderName: 'Migrated',
+      // Interval in minutes offered for new scheduled mirror jobs
+      mirrorInterval: 30,
+      // Bandwidth caps in Mbit/s, 0 meaning unlimited. Schedule entries
+      // { start: 'HH:MM', end: 'HH:MM', download, upload } apply during those
+      // local hours instead. Changes made in the transfer panel are saved over these.
+      bandwidthLimits: { download: 0, upload: 0, schedule: [] }
     };
   },
+  // Export targets per Google Workspace type, keyed by export MIME type.
+  // Forms and Sites have no export format and cannot be transferred.
+  getWorkspaceExportFormats() {
+    return {
+      'application/vnd.google-apps.document': {
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { name: 'Word (DOCX)', extension: '.docx' },
+        'application/vnd.oasis.opendocument.text': { name: 'OpenDocument Text (ODT)', extension: '.odt' },
+        'application/pdf': { name: 'PDF', extension: '.pdf' },
+        'text/markdown': { name: 'Markdown', extension: '.md' },
+        'text/html': { name: 'Web Page (HTML)', extension: '.html' },
+        'application/rtf': { name: 'Rich Text (RTF)', extension: '.rtf' },
+        'text/plain': { name: 'Plain Text', extension: '.txt' },
+        'application/epub+zip': { name: 'EPUB', extension: '.epub' }
+      },
+      'application/vnd.google-apps.spreadsheet': {
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { name: 'Excel (XLSX)', extension: '.xlsx' },
+        'application/x-vnd.oasis.opendocument.spreadsheet': { name: 'OpenDocument Spreadsheet (ODS)', extension: '.ods' },
+        'application/pdf': { name: 'PDF', extension: '.pdf' },
+        'text/csv': { name: 'CSV (first sheet)', extension: '.csv' }
+      },
+      'application/vnd.google-apps.presentation': {
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation': { name: 'PowerPoint (PPTX)', extension: '.pptx' },
+        'application/vnd.oasis.opendocument.presentation': { name: 'OpenDocument Presentation (ODP)', extension: '.odp' },
+        'application/pdf': { name: 'PDF', extension: '.pdf' }
+      },
+      'application/vnd.google-apps.drawing': {
+        'image/svg+xml': { name: 'SVG', extension: '.svg' },
+        'image/png': { name: 'PNG', extension: '.png' },
+        'image/jpeg': { name: 'JPEG', extension: '.jpg' },
+        'application/pdf': { name: 'PDF', extension: '.pdf' }
+      },
+      'application/vnd.google-apps.script': {
+        'application/vnd.google-apps.script+json': { name: 'Apps Script (JSON)', extension: '.json' }
+      }
+    };
+  },
+  // Export rule used for each Workspace type until the user saves their own
+  getDefaultExportRules() {
+    return {
+      'application/vnd.google-apps.document': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.google-apps.spreadsheet': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.google-apps.presentation': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/vnd.google-apps.drawing': 'image/svg+xml',
+      'application/vnd.google-apps.script': 'application/vnd.google-apps.script+json'
+    };
+  },
+  // Office files Drive can convert to a native Google type on import, by extension.
+  // maxSize is Drive's import limit for that type; larger files upload unconverted.
+  // Set enabled to false to keep an extension as an Office file.
+  getOfficeConversionRules() {
+    const docs = { mimeType: 'application/vnd.google-apps.document', maxSize: 50 * 1024 * 1024 };
+    const sheets = { mimeType: 'application/vnd.google-apps.spreadsheet', maxSize: 100 * 1024 * 1024 };
+    const slides = { mimeType: 'application/vnd.google-apps.presentation', maxSize: 100 * 1024 * 1024 };
+    return {
+      '.docx': { ...docs, enabled: true },
+      '.doc': { ...docs, enabled: true },
+      '.odt': { ...docs, enabled: true },
+      '.rtf': { ...docs, enabled: false },
+      '.xlsx': { ...sheets, enabled: true },
+      '.xls': { ...sheets, enabled: true },
+      '.ods': { ...sheets, enabled: true },
+      '.csv': { ...sheets, enabled: false },
+      '.pptx': { ...slides, enabled: true },
+      '.ppt': { ...slides, enabled: true },
+      '.odp': { ...slides, enabled: true }
+    };
+  },
+  // Email domains of the Google tenant mapped to the matching Microsoft tenant domain,
+  // e.g. { 'example.com': 'example.onmicrosoft.com' }. Used in both directions when
+  // permissions are migrated; unmapped domains are shared with unchanged.
+  getPermissionDomainMap() {
+    return {};
+  },
   getSecuritySettings() {
     return {
       maxRequestsPerMinute: 100
@@ -0,0 +1,437 @@
+// DriveBridge Conflict Resolver - ES5 Compatible name-conflict handling
+// Looks up an existing item with the same name in the destination folder and
+// applies the batch's conflict policy the same way for both providers
+
+function ConflictResolver(engine) {
+    this.engine = engine;
+    // Names picked for uploads still in flight, by reservationKey. Parallel files
+    // see the same listing, so without these they could pick the same free name.
+    this.reserved = {};
+}
+
+// replace:         overwrite the existing item (Drive keeps it as a new revision)
+// keepBoth:        upload under a free name with a " (n)" suffix
+// skip:            leave the existing item alone
+// skipIfIdentical: skip when size and content hash match, replace otherwise
+// ask:             defer to the transfer's onConflict callback for each file
+ConflictResolver.POLICIES = ['replace', 'keepBoth', 'skip', 'skipIfIdentical', 'ask'];
+
+// Give up looking for a free " (n)" name after this many attempts
+ConflictResolver.MAX_SUFFIX = 100;
+
+// Modified times closer than this count as equal (providers round differently)
+ConflictResolver.TIME_TOLERANCE = 2000;
+
+// Resolves with { policy, outcome, existingId, originalName, finalName, skip }.
+// outcome is 'new', 'replaced', 'renamed', 'skipped', 'skipped-identical' or
+// 'skipped-unchanged'. With transfer.incremental the policy is not consulted:
+// an existing item unchanged since it was copied is skipped, any other is replaced.
+// Sets transfer.fileName, transfer.replaceItemId and transfer.conflictBehavior
+// for openUploadSession.
+ConflictResolver.prototype.resolve = function(transfer) {
+    var self = this;
+    var policy = transfer.conflictPolicy || 'replace';
+    var signal = transfer.control && transfer.control.signal;
+    var resolution = {
+        policy: policy,
+        outcome: 'new',
+        existingId: null,
+        originalName: transfer.fileName,
+        finalName: transfer.fileName,
+        skip: false
+    };
+
+    if (ConflictResolver.POLICIES.indexOf(policy) === -1) {
+        return Promise.reject(new Error('Unknown conflict policy: ' + policy));
+    }
+
+    // A new file must not silently replace one created since the lookup
+    transfer.conflictBehavior = 'fail';
+
+    return this.findExisting(transfer.destination, transfer.destinationFolderId, transfer.fileName, signal)
+        .then(function(existing) {
+            if (!existing) {
+                if (self.reserve(transfer, transfer.fileName)) {
+                    return resolution;
+                }
+                // Another file of the batch is still uploading under this name; there
+                // is nothing to replace or compare with yet, so skip or keep both
+                var pending = policy === 'skip' && !transfer.incremental ? 'skip' : 'keepBoth';
+                resolution.policy = pending;
+                return self.apply(transfer, null, pending, resolution);
+            }
+
+            resolution.existingId = existing.id;
+
+            if (transfer.incremental) {
+                if (self.isUnchanged(transfer, existing)) {
+                    resolution.outcome = 'skipped-unchanged';
+                    resolution.skip = true;
+                    return resolution;
+                }
+                // Keeping both would leave an outdated copy beside the new one
+                resolution.policy = 'replace';
+                return self.apply(transfer, existing, 'replace', resolution);
+            }
+
+            var decision = policy === 'ask'
+                ? self.askPolicy(transfer, existing)
+                : Promise.resolve(policy);
+
+            return decision.then(function(chosen) {
+                resolution.policy = chosen;
+                return self.apply(transfer, existing, chosen, resolution);
+            });
+        })
+        .then(function(result) {
+            transfer.fileName = result.finalName;
+
+            if (window.logger) {
+                window.logger.info('Name conflict ' + result.outcome + ': ' + result.originalName, {
+                    policy: result.policy,
+                    finalName: result.finalName,
+                    existingId: result.existingId,
+                    destination: transfer.destination
+                }, 'CONFLICT');
+            }
+            return result;
+        });
+};
+
+// Without an onConflict handler an unattended batch keeps both copies
+ConflictResolver.prototype.askPolicy = function(transfer, existing) {
+    if (typeof transfer.onConflict !== 'function') {
+        return Promise.resolve('keepBoth');
+    }
+
+    var signal = transfer.control && transfer.control.signal;
+
+    // Cancelling the transfer must not wait for an answer
+    var answer = new Promise(function(resolve, reject) {
+        Promise.resolve(transfer.onConflict(existing, transfer)).then(resolve, reject);
+        if (signal) {
+            signal.addEventListener('abort', function() {
+                reject(TransferControl.cancelledError());
+            });
+        }
+    });
+
+    return answer.then(function(chosen) {
+        if (ConflictResolver.POLICIES.indexOf(chosen) === -1 || chosen === 'ask') {
+            throw new Error('Invalid conflict decision: ' + chosen);
+        }
+        return chosen;
+    });
+};
+
+ConflictResolver.prototype.apply = function(transfer, existing, policy, resolution) {
+    var self = this;
+
+    if (policy === 'skip') {
+        resolution.outcome = 'skipped';
+        resolution.skip = true;
+        return Promise.resolve(resolution);
+    }
+
+    if (policy === 'keepBoth') {
+        return this.findFreeName(transfer).then(function(name) {
+            resolution.outcome = 'renamed';
+            resolution.finalName = name;
+            return resolution;
+        });
+    }
+
+    if (policy === 'skipIfIdentical') {
+        return this.isIdentical(transfer, existing).then(function(identical) {
+            if (identical) {
+                resolution.outcome = 'skipped-identical';
+                resolution.skip = true;
+                return resolution;
+            }
+            return self.apply(transfer, existing, 'replace', resolution);
+        });
+    }
+
+    // Drive cannot take uploaded bytes as a new revision of a native Google file
+    // (e.g. a Doc sitting where an exported .docx goes), so keep both instead
+    if (transfer.destination === 'google' && ConflictResolver.isNativeGoogleFile(existing)) {
+        if (window.logger) {
+            window.logger.warn('Cannot replace a native Google file, keeping both: ' + existing.name, {
+                existingId: existing.id,
+                existingMimeType: existing.mimeType
+            }, 'CONFLICT');
+        }
+        return this.apply(transfer, existing, 'keepBoth', resolution);
+    }
+
+    // replace
+    transfer.replaceItemId = existing.id;
+    transfer.conflictBehavior = 'replace';
+    resolution.outcome = 'replaced';
+    return Promise.resolve(resolution);
+};
+
+// Look up an item by exact name in a destination folder; resolves with null when
+// there is none. Items are normalized to { id, name, size, modifiedTime, hashes },
+// plus mimeType on Drive.
+ConflictResolver.prototype.findExisting = function(destination, folderId, name, signal) {
+    var engine = this.engine;
+
+    if (destination === 'google') {
+        var googleToken = engine.getGoogleToken();
+        if (!googleToken) {
+            return Promise.reject(new Error('No Google access token available'));
+        }
+
+        // Drive query strings escape backslashes and single quotes
+        var escapedName = name.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+        var query = "'" + folderId + "' in parents and name = '" + escapedName + "' and trashed = false";
+        var url = ChunkedTransferEngine.driveListUrl('https://www.googleapis.com/drive/v3/files?q=' + encodeURIComponent(query) +
+            '&fields=files(id,name,size,mimeType,modifiedTime,md5Checksum,sha256Checksum)&pageSize=10');
+
+        return fetch(url, {
+            headers: { 'Authorization': 'Bearer ' + googleToken },
+            mode: 'cors',
+            signal: signal
+        }).then(function(response) {
+            if (!response.ok) {
+                throw engine.httpError(response, 'Failed to check for existing file');
+            }
+            return response.json();
+        }).then(function(data) {
+            var file = (data.files || []).filter(function(item) {
+                return item.mimeType !== 'application/vnd.google-apps.folder';
+            })[0];
+
+            // Native Google files (e.g. converted Office files) have no size
+            return file ? {
+                id: file.id,
+                name: file.name,
+                mimeType: file.mimeType,
+                size: file.size !== undefined ? parseInt(file.size, 10) : null,
+                modifiedTime: file.modifiedTime || null,
+                hashes: ChunkedTransferEngine.sourceHashesFor(file)
+            } : null;
+        });
+    }
+
+    return engine.getMicrosoftToken().then(function(msToken) {
+        var path = folderId === 'root'
+            ? 'me/drive/root:/' + encodeURIComponent(name)
+            : 'me/drive/items/' + folderId + ':/' + encodeURIComponent(name);
+
+        return fetch('https://graph.microsoft.com/v1.0/' + path + '?select=id,name,size,file,folder,fileSystemInfo,lastModifiedDateTime', {
+            headers: { 'Authorization': 'Bearer ' + msToken },
+            mode: 'cors',
+            signal: signal
+        });
+    }).then(function(response) {
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw engine.httpError(response, 'Failed to check for existing file');
+        }
+        return response.json();
+    }).then(function(item) {
+        if (!item) {
+            return null;
+        }
+        if (item.folder) {
+            throw new Error('A folder named ' + name + ' already exists in the destination');
+        }
+
+        return {
+            id: item.id,
+            name: item.name,
+            size: item.size || 0,
+            modifiedTime: (item.fileSystemInfo && item.fileSystemInfo.lastModifiedDateTime) || item.lastModifiedDateTime || null,
+            hashes: ChunkedTransferEngine.sourceHashesFor(item)
+        };
+    });
+};
+
+ConflictResolver.isNativeGoogleFile = function(item) {
+    return !!item.mimeType && item.mimeType.indexOf('application/vnd.google-apps.') === 0;
+};
+
+// "report.pdf" -> "report (1).pdf", "report (2).pdf", ...
+ConflictResolver.suffixedName = function(name, n) {
+    var dot = name.lastIndexOf('.');
+
+    if (dot <= 0) {
+        return name + ' (' + n + ')';
+    }
+    return name.slice(0, dot) + ' (' + n + ')' + name.slice(dot);
+};
+
+// Providers differ in case sensitivity, so names are compared lowercased
+ConflictResolver.reservationKey = function(destination, folderId, name) {
+    return destination + ':' + folderId + ':' + name.toLowerCase();
+};
+
+ConflictResolver.prototype.isReserved = function(transfer, name) {
+    return !!this.reserved[ConflictResolver.reservationKey(transfer.destination, transfer.destinationFolderId, name)];
+};
+
+// Hold name in the destination folder for transfer until release; false when
+// another transfer holds it
+ConflictResolver.prototype.reserve = function(transfer, name) {
+    var key = ConflictResolver.reservationKey(transfer.destination, transfer.destinationFolderId, name);
+
+    if (this.reserved[key]) {
+        return false;
+    }
+    this.release(transfer);
+    this.reserved[key] = true;
+    transfer.reservedName = key;
+    return true;
+};
+
+// Called once the transfer's upload has finished or failed; the name is then
+// either taken at the destination or free again
+ConflictResolver.prototype.release = function(transfer) {
+    if (transfer.reservedName) {
+        delete this.reserved[transfer.reservedName];
+        transfer.reservedName = null;
+    }
+};
+
+ConflictResolver.prototype.findFreeName = function(transfer) {
+    var self = this;
+    var signal = transfer.control && transfer.control.signal;
+
+    function tryName(n) {
+        if (n > ConflictResolver.MAX_SUFFIX) {
+            return Promise.reject(new Error('No free name found for ' + transfer.fileName));
+        }
+
+        var candidate = ConflictResolver.suffixedName(transfer.fileName, n);
+        if (self.isReserved(transfer, candidate)) {
+            return tryName(n + 1);
+        }
+        return self.findExisting(transfer.destination, transfer.destinationFolderId, candidate, signal)
+            .then(function(existing) {
+                // Another file may have taken the name while this lookup ran
+                return existing || !self.reserve(transfer, candidate) ? tryName(n + 1) : candidate;
+            });
+    }
+
+    return tryName(1);
+};
+
+// Same size and same content hash. The providers report different algorithms
+// (Drive MD5/SHA-256, OneDrive QuickXorHash), so when no algorithm is shared the
+// existing copy is read back and hashed with the one the source reports.
+ConflictResolver.prototype.isIdentical = function(transfer, existing) {
+    var sourceHashes = transfer.sourceHashes || {};
+    var existingHashes = existing.hashes || {};
+
+    if (existing.size !== transfer.fileSize) {
+        return Promise.resolve(false);
+    }
+    if (transfer.fileSize === 0) {
+        return Promise.resolve(true);
+    }
+
+    var shared = ['md5Checksum', 'sha256Checksum', 'quickXorHash'].filter(function(algorithm) {
+        return sourceHashes[algorithm] && existingHashes[algorithm];
+    })[0];
+
+    if (shared) {
+        return Promise.resolve(ConflictResolver.sameHash(shared, sourceHashes[shared], existingHashes[shared]));
+    }
+
+    var algorithm = ['md5Checksum', 'quickXorHash', 'sha256Checksum'].filter(function(name) {
+        return sourceHashes[name];
+    })[0];
+
+    if (!algorithm) {
+        if (window.logger) {
+            window.logger.warn('Source reports no checksum, cannot compare: ' + transfer.fileName, {}, 'CONFLICT');
+        }
+        return Promise.resolve(false);
+    }
+
+    return this.hashExisting(transfer, existing, algorithm).then(function(digest) {
+        // null when the hashing worker failed part way
+        return !!digest && ConflictResolver.sameHash(algorithm, sourceHashes[algorithm], digest);
+    });
+};
+
+// Cheap check for incremental transfers, using only the listings: sizes must
+// match where both are known, a hash both providers report decides, and without
+// one the source must not be newer than the destination copy. The existing copy
+// is never downloaded here.
+ConflictResolver.prototype.isUnchanged = function(transfer, existing) {
+    var sourceHashes = transfer.sourceHashes || {};
+    var existingHashes = existing.hashes || {};
+    var sourceModified = Date.parse(transfer.metadata ? transfer.metadata.modifiedTime : null);
+    var existingModified = Date.parse(existing.modifiedTime);
+
+    if (typeof transfer.fileSize === 'number' && existing.size !== null && existing.size !== transfer.fileSize) {
+        return false;
+    }
+
+    var shared = ['md5Checksum', 'sha256Checksum', 'quickXorHash'].filter(function(algorithm) {
+        return sourceHashes[algorithm] && existingHashes[algorithm];
+    })[0];
+
+    if (shared) {
+        return ConflictResolver.sameHash(shared, sourceHashes[shared], existingHashes[shared]);
+    }
+    if (isNaN(sourceModified) || isNaN(existingModified)) {
+        return false;
+    }
+    return sourceModified <= existingModified + ConflictResolver.TIME_TOLERANCE;
+};
+
+// Hex digests are case-insensitive, base64 digests are not
+ConflictResolver.sameHash = function(algorithm, a, b) {
+    return algorithm === 'quickXorHash' ? a === b : a.toLowerCase() === b.toLowerCase();
+};
+
+// Download the existing destination item range by range and hash it in the
+// engine's byte worker
+ConflictResolver.prototype.hashExisting = function(transfer, existing, algorithm) {
+    var engine = this.engine;
+    var signal = transfer.control && transfer.control.signal;
+    var session = engine.bytes.openSession([algorithm]);
+    var chunkSize = engine.uploadChunkSize;
+
+    if (window.logger) {
+        window.logger.info('Reading existing copy to compare contents: ' + existing.name, {
+            size: existing.size,
+            algorithm: algorithm
+        }, 'CONFLICT');
+    }
+
+    return engine.getRangeFetcher(existing.id, existing.name, transfer.destination, signal).then(function(fetchRange) {
+        function hashFrom(start) {
+            if (start >= existing.size) {
+                return engine.bytes.digest(session).then(function(digests) {
+                    return digests && digests[algorithm];
+                });
+            }
+            var end = Math.min(start + chunkSize, existing.size) - 1;
+            return engine.checkpoint(transfer.control).then(function() {
+                return fetchRange(start, end);
+            }).then(function(buffer) {
+                return engine.bytes.update(session, buffer);
+            }).then(function() {
+                engine.reportProgress(transfer, 'verify', Math.ceil((end + 1) / chunkSize),
+                    Math.ceil(existing.size / chunkSize), end + 1);
+                return hashFrom(end + 1);
+            });
+        }
+
+        return hashFrom(0);
+    }).catch(function(error) {
+        engine.bytes.close(session);
+        throw error;
+    });
+};
+
+if (typeof window !== 'undefined') {
+    window.ConflictResolver = ConflictResolver;
+}
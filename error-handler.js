@@ -169,8 +169,17 @@ class ErrorHandler {
         const errorMessage = error.message?.toLowerCase() || '';
         const statusCode = error.status;
 
+        // Checksum mismatch between source, transferred bytes and destination
+        if (error.integrity) {
+            userMessage = 'File contents changed in transit: checksums do not match';
+            suggestions = [
+                'Transfer the file again; the destination copy should not be trusted',
+                'Check whether the source file was edited during the transfer',
+                'Download the log for the expected and actual checksums'
+            ];
+        }
         // Network-related errors
-        if (errorMessage.includes('network') || errorMessage.includes('fetch') || 
+        else if (errorMessage.includes('network') || errorMessage.includes('fetch') || 
             errorMessage.includes('connection') || error.name === 'TypeError') {
             userMessage = 'Network connection error during transfer';
             suggestions = [
@@ -264,26 +273,55 @@ class ErrorHandler {
     }
 
     // Show transfer summary with detailed results
-    showTransferSummary(results) {
+    // renamed is the batch's NameSanitizer manifest (original -> sanitized names)
+    showTransferSummary(results, renamed = []) {
         const totalFiles = results.length;
-        const successfulFiles = results.filter(r => r.success).length;
-        const failedFiles = results.filter(r => !r.success);
+        const skippedFiles = results.filter(r => r.skipped);
+        const successfulFiles = results.filter(r => r.success && !r.skipped).length;
+        const cancelledFiles = results.filter(r => r.cancelled).length;
+        const failedFiles = results.filter(r => !r.success && !r.cancelled);
+        const verifiedFiles = results.filter(r => r.success && r.verification?.status === 'verified').length;
+        const convertedFiles = results.filter(r => r.success && r.conversion?.status === 'convert').length;
+        const tooLargeToConvert = results.filter(r => r.success && r.conversion?.status === 'too-large');
+        const permissionProblems = results.filter(r =>
+            r.permissions && (r.permissions.untranslated.length > 0 || r.permissions.failed.length > 0)
+        );
+        const dispositions = results.filter(r => r.disposition && r.disposition.status !== 'kept');
 
         this.logger.info('Transfer summary', {
             total: totalFiles,
             successful: successfulFiles,
-            failed: failedFiles.length
+            failed: failedFiles.length,
+            cancelled: cancelledFiles,
+            skipped: skippedFiles.map(r => ({ fileName: r.fileName, reason: r.conflict?.outcome })),
+            verified: verifiedFiles,
+            converted: convertedFiles,
+            tooLargeToConvert: tooLargeToConvert.map(r => r.fileName),
+            permissionProblems: permissionProblems.length,
+            renamed: renamed.length,
+            sourceDispositions: dispositions.map(r => ({ fileName: r.fileName, status: r.disposition.status })),
+            integrityFailures: results.filter(r => r.verification?.status === 'mismatch').length
         }, 'TRANSFER_SUMMARY');
 
-        if (failedFiles.length === 0) {
+        if (failedFiles.length === 0 && cancelledFiles > 0) {
             this.uiManager.showNotification(
-                `✅ All ${totalFiles} file(s) transferred successfully!`,
-                'success',
+                `✖️ Transfer cancelled: ${successfulFiles}/${totalFiles} file(s) transferred, ${skippedFiles.length} skipped, ${cancelledFiles} cancelled.`,
+                'info',
+                5000
+            );
+        } else if (failedFiles.length === 0) {
+            this.uiManager.showNotification(
+                (skippedFiles.length > 0
+                    ? `✅ ${successfulFiles} file(s) transferred, ${skippedFiles.length} skipped.`
+                    : `✅ All ${totalFiles} file(s) transferred successfully!`) +
+                    ` ${verifiedFiles} verified against provider checksums.` +
+                    (tooLargeToConvert.length > 0 ? ` ${tooLargeToConvert.length} too large to convert, kept in Office format.` : ''),
+                tooLargeToConvert.length > 0 ? 'warning' : 'success',
                 5000
             );
         } else {
             const message = successfulFiles > 0 
-                ? `⚠️ ${successfulFiles}/${totalFiles} files transferred successfully. ${failedFiles.length} failed.`
+                ? `⚠️ ${successfulFiles}/${totalFiles} files transferred successfully, ${skippedFiles.length} skipped. ${failedFiles.length} failed.`
                 : `❌ All ${totalFiles} file(s) failed to transfer.`;
 
             this.uiManager.showNotification(message, 'warning', 8000);
@@ -293,6 +331,178 @@ class ErrorHandler {
                 this.showTransferErrorsModal(failedFiles);
             }, 1000);
         }
+
+        if (permissionProblems.length > 0) {
+            setTimeout(() => {
+                this.showPermissionReportModal(permissionProblems);
+            }, 1500);
+        }
+
+        if (renamed.length > 0) {
+            this.logger.info('Names changed for the destination', { renamed }, 'SANITIZE');
+            setTimeout(() => {
+                this.showRenamedItemsModal(renamed);
+            }, 2000);
+        }
+
+        if (skippedFiles.length > 0) {
+            setTimeout(() => {
+                this.showSkippedFilesModal(skippedFiles);
+            }, 2500);
+        }
+
+        if (dispositions.length > 0) {
+            setTimeout(() => {
+                this.showSourceDispositionModal(dispositions);
+            }, 3000);
+        }
+    }
+
+    // What happened to each source file after its copy, grouped by outcome
+    showSourceDispositionModal(results) {
+        const outcomes = {
+            failed: 'Could not be changed',
+            withheld: 'Left in place, copy not verified',
+            marked: 'Marked as migrated',
+            archived: 'Moved to the archive folder',
+            trashed: 'Moved to trash'
+        };
+        const groups = {};
+        results.forEach(result => {
+            const status = result.disposition.status;
+            (groups[status] = groups[status] || []).push(result);
+        });
+        const describe = (result) => {
+            const disposition = result.disposition;
+            const detail = disposition.error || disposition.reason || (disposition.location ? `→ ${disposition.location}` : '');
+            return detail ? `${result.fileName} — ${detail}` : result.fileName;
+        };
+
+        const modal = this.uiManager.createModal('source-disposition-modal', 'Source Files');
+        const content = modal.querySelector('.modal-content');
+
+        content.innerHTML = `
+            <p class="export-info">What happened to the ${results.length} source file(s) after they were copied:</p>
+            ${Object.keys(outcomes).filter(status => groups[status]).map(status => `
+                <details class="plan-section" ${status === 'failed' || status === 'withheld' ? 'open' : ''}>
+                    <summary>${this.escapeHtml(outcomes[status])} (${groups[status].length})</summary>
+                    <ul>
+                        ${groups[status].map(result => `<li>${this.escapeHtml(describe(result))}</li>`).join('')}
+                    </ul>
+                </details>
+            `).join('')}
+            <div class="modal-actions">
+                <button class="btn btn--ghost" onclick="uiManager.closeModal('source-disposition-modal')">Close</button>
+            </div>
+        `;
+
+        this.uiManager.showModal('source-disposition-modal');
+    }
+
+    // Files left alone at the destination, grouped by why they were skipped
+    showSkippedFilesModal(skippedFiles) {
+        const reasons = {
+            'skipped-unchanged': 'Unchanged since the last copy',
+            'skipped-identical': 'Identical copy already exists',
+            'skipped': 'Already exists'
+        };
+        const groups = {};
+        skippedFiles.forEach(result => {
+            const reason = reasons[result.conflict?.outcome] || 'Skipped';
+            (groups[reason] = groups[reason] || []).push(result);
+        });
+
+        const modal = this.uiManager.createModal('skipped-files-modal', 'Skipped Files');
+        const content = modal.querySelector('.modal-content');
+
+        content.innerHTML = `
+            <p class="export-info">${skippedFiles.length} file(s) were not copied:</p>
+            ${Object.keys(groups).map(reason => `
+                <details class="plan-section">
+                    <summary>${this.escapeHtml(reason)} (${groups[reason].length})</summary>
+                    <ul>
+                        ${groups[reason].map(result => `<li>${this.escapeHtml(result.fileName)}</li>`).join('')}
+                    </ul>
+                </details>
+            `).join('')}
+            <div class="modal-actions">
+                <button class="btn btn--ghost" onclick="uiManager.closeModal('skipped-files-modal')">Close</button>
+            </div>
+        `;
+
+        this.uiManager.showModal('skipped-files-modal');
+    }
+
+    // Original -> sanitized names of the items OneDrive would have rejected
+    showRenamedItemsModal(renamed) {
+        const modal = this.uiManager.createModal('renamed-items-modal', 'Renamed for OneDrive');
+        const content = modal.querySelector('.modal-content');
+
+        content.innerHTML = `
+            <p class="export-info">${renamed.length} item(s) were renamed because OneDrive does not allow their original names:</p>
+            <table class="renamed-items">
+                <thead>
+                    <tr><th>Original</th><th>Renamed to</th><th>Why</th></tr>
+                </thead>
+                <tbody>
+                    ${renamed.map(entry => `
+                        <tr>
+                            <td>${entry.type === 'folder' ? '📁' : '📄'} ${this.escapeHtml(entry.path ? `${entry.path}/${entry.original}` : entry.original)}</td>
+                            <td>${this.escapeHtml(entry.sanitized)}</td>
+                            <td>${this.escapeHtml(entry.reasons.join('; '))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="modal-actions">
+                <button class="btn btn--ghost" onclick="uiManager.closeModal('renamed-items-modal')">Close</button>
+            </div>
+        `;
+
+        this.uiManager.showModal('renamed-items-modal');
+    }
+
+    // List the sharing permissions that could not be recreated on the copies
+    showPermissionReportModal(results) {
+        const modal = this.uiManager.createModal('permission-report-modal', 'Sharing Not Migrated');
+        const content = modal.querySelector('.modal-content');
+
+        const describe = (permission, grant) => {
+            const who = grant?.label || permission?.label || 'all permissions';
+            const role = permission?.role ? ` (${permission.role})` : '';
+            return `${who}${role}`;
+        };
+
+        content.innerHTML = `
+            <div class="error-summary">
+                <p><strong>${results.length} file(s) were copied without some of their sharing:</strong></p>
+                <p class="error-help">Share these manually or add the missing domains to the permission domain map.</p>
+            </div>
+
+            <div class="error-list">
+                ${results.map(result => `
+                    <div class="error-item">
+                        <div class="error-file-name">📄 ${this.escapeHtml(result.fileName)}</div>
+                        <ul class="permission-problems">
+                            ${result.permissions.untranslated.map(entry => `
+                                <li>${this.escapeHtml(describe(entry.permission))}: ${this.escapeHtml(entry.reason)}</li>
+                            `).join('')}
+                            ${result.permissions.failed.map(entry => `
+                                <li>${this.escapeHtml(describe(entry.permission, entry.grant))}: ${this.escapeHtml(entry.error)}</li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                `).join('')}
+            </div>
+
+            <div class="error-actions">
+                <button class="btn btn--ghost" onclick="uiManager.closeModal('permission-report-modal')">
+                    Close
+                </button>
+            </div>
+        `;
+
+        this.uiManager.showModal('permission-report-modal');
     }
 
     // Show detailed error modal for failed transfers
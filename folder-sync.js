@@ -0,0 +1,732 @@
+// DriveBridge Folder Sync - ES5 Compatible two-way sync of a folder pair
+// Compares both folder trees with the versions recorded after the last sync
+// (TransferStore syncState) and propagates creates, updates and deletes in both
+// directions. Items changed on both sides are kept as conflicts for the user.
+// mirror() is the one-way variant used by scheduled mirror jobs.
+
+function FolderSync(engine, store) {
+    this.engine = engine;
+    this.store = store;
+}
+
+FolderSync.PROVIDERS = ['google', 'onedrive'];
+
+// Modified times closer than this count as equal when pairing untracked items
+FolderSync.TIME_TOLERANCE = 2000;
+
+FolderSync.FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+FolderSync.other = function(provider) {
+    return provider === 'google' ? 'onedrive' : 'google';
+};
+
+// Items are matched by path. OneDrive is case-insensitive and cannot hold some
+// names Drive allows, so each segment is compared in its sanitized, lower-case form.
+FolderSync.pathKey = function(path) {
+    return path.split('/').map(function(segment) {
+        return NameSanitizer.sanitizeName(segment).toLowerCase();
+    }).join('/');
+};
+
+FolderSync.parentKey = function(key) {
+    var slash = key.lastIndexOf('/');
+    return slash === -1 ? '' : key.slice(0, slash);
+};
+
+FolderSync.prototype.request = function(provider, path, options) {
+    var engine = this.engine;
+    options = options || {};
+
+    var token = provider === 'google'
+        ? Promise.resolve(engine.getGoogleToken())
+        : engine.getMicrosoftToken();
+
+    return token.then(function(accessToken) {
+        if (!accessToken) {
+            throw new Error('No ' + (provider === 'google' ? 'Google' : 'Microsoft') + ' access token available');
+        }
+
+        var headers = { 'Authorization': 'Bearer ' + accessToken };
+        if (options.body) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        var base = provider === 'google' ? 'https://www.googleapis.com/drive/v3/' : 'https://graph.microsoft.com/v1.0/';
+        var url = path.indexOf('https://') === 0 ? path : base + path;
+        if (provider === 'google') {
+            url = options.listing ? ChunkedTransferEngine.driveListUrl(url) : ChunkedTransferEngine.driveUrl(url);
+        }
+        return fetch(url, {
+            method: options.method || 'GET',
+            headers: headers,
+            mode: 'cors',
+            signal: options.signal,
+            body: options.body ? JSON.stringify(options.body) : undefined
+        });
+    }).then(function(response) {
+        if (!response.ok) {
+            throw engine.httpError(response, options.errorMessage || 'Sync request failed');
+        }
+        return response.status === 204 ? null : response.json();
+    });
+};
+
+// What identifies a file's bytes: size plus a content hash, or size plus modified
+// time when the provider reports no hash. Unlike Drive's version, it does not move
+// on renames, stars or sharing changes.
+FolderSync.contentSignature = function(size, hash, modifiedTime) {
+    return (size === null ? '' : size) + ':' + (hash || modifiedTime || '');
+};
+
+// Normalize a listing entry to { key, path, name, id, isFolder, size, modifiedTime,
+// version, content, workspace, meta }; meta is the raw item handed to the transfer engine
+FolderSync.normalize = function(provider, raw, parentPath) {
+    var path = parentPath ? parentPath + '/' + raw.name : raw.name;
+    var size;
+    var modifiedTime;
+
+    if (provider === 'google') {
+        var isFolder = raw.mimeType === FolderSync.FOLDER_MIME_TYPE;
+        size = raw.size !== undefined ? parseInt(raw.size, 10) : null;
+        modifiedTime = raw.modifiedTime || null;
+        return {
+            key: FolderSync.pathKey(path),
+            path: path,
+            name: raw.name,
+            id: raw.id,
+            isFolder: isFolder,
+            size: size,
+            modifiedTime: modifiedTime,
+            // Also moves on metadata-only edits, so only a cheap first check
+            version: raw.version ? String(raw.version) : null,
+            content: FolderSync.contentSignature(size, raw.md5Checksum || raw.sha256Checksum, modifiedTime),
+            // Native Docs/Sheets/Slides have no bytes to copy back and forth
+            workspace: !isFolder && raw.mimeType.indexOf('application/vnd.google-apps.') === 0,
+            meta: raw
+        };
+    }
+
+    var hashes = (raw.file && raw.file.hashes) || {};
+    size = raw.size !== undefined ? raw.size : null;
+    modifiedTime = (raw.fileSystemInfo && raw.fileSystemInfo.lastModifiedDateTime) || raw.lastModifiedDateTime || null;
+    return {
+        key: FolderSync.pathKey(path),
+        path: path,
+        name: raw.name,
+        id: raw.id,
+        isFolder: !!raw.folder,
+        size: size,
+        modifiedTime: modifiedTime,
+        // cTag changes with the content only, eTag also with renames and metadata
+        version: raw.cTag || raw.eTag || null,
+        content: FolderSync.contentSignature(size, hashes.quickXorHash || hashes.sha256Hash || raw.cTag, modifiedTime),
+        workspace: false,
+        meta: raw
+    };
+};
+
+// List a folder tree recursively. Resolves with { items: { key: item }, duplicates }
+// where duplicates are paths that map to the same key (e.g. "A.txt" and "a.txt").
+FolderSync.prototype.listTree = function(provider, rootId, signal) {
+    var self = this;
+    var tree = { items: {}, duplicates: [] };
+
+    function listFolder(folderId, parentPath) {
+        return self.listChildren(provider, folderId, signal).then(function(children) {
+            var folders = [];
+
+            children.forEach(function(raw) {
+                var item = FolderSync.normalize(provider, raw, parentPath);
+                if (tree.items[item.key]) {
+                    tree.duplicates.push(item.path);
+                    return;
+                }
+                tree.items[item.key] = item;
+                if (item.isFolder) {
+                    folders.push(item);
+                }
+            });
+
+            // Folders one at a time to stay well inside the rate limits
+            return folders.reduce(function(previous, folder) {
+                return previous.then(function() {
+                    return listFolder(folder.id, folder.path);
+                });
+            }, Promise.resolve());
+        });
+    }
+
+    return listFolder(rootId, '').then(function() {
+        return tree;
+    });
+};
+
+FolderSync.prototype.listChildren = function(provider, folderId, signal) {
+    var self = this;
+    var children = [];
+
+    if (provider === 'google') {
+        var listGooglePage = function(pageToken) {
+            var query = "'" + folderId + "' in parents and trashed = false";
+            return self.request('google', 'files?q=' + encodeURIComponent(query) +
+                '&fields=nextPageToken,files(id,name,size,mimeType,createdTime,modifiedTime,description,version,md5Checksum,sha256Checksum)' +
+                '&pageSize=1000' + (pageToken ? '&pageToken=' + encodeURIComponent(pageToken) : ''), {
+                signal: signal,
+                listing: true,
+                errorMessage: 'Failed to list Google Drive folder'
+            }).then(function(data) {
+                children.push.apply(children, data.files || []);
+                return data.nextPageToken ? listGooglePage(data.nextPageToken) : children;
+            });
+        };
+        return listGooglePage(null);
+    }
+
+    var listGraphPage = function(url) {
+        return self.request('onedrive', url, {
+            signal: signal,
+            errorMessage: 'Failed to list OneDrive folder'
+        }).then(function(data) {
+            children.push.apply(children, data.value || []);
+            return data['@odata.nextLink'] ? listGraphPage(data['@odata.nextLink']) : children;
+        });
+    };
+    return listGraphPage('me/drive/items/' + folderId + '/children?$top=999' +
+        '&select=id,name,size,file,folder,fileSystemInfo,lastModifiedDateTime,cTag,eTag,description');
+};
+
+// Work out what each path needs. Returns { actions, conflicts, unsupported, entries }
+// where entries is the next state for the paths that need no action.
+FolderSync.prototype.plan = function(trees, state) {
+    var previous = (state && state.entries) || {};
+    var keys = {};
+    var actions = [];
+    var conflicts = [];
+    var unsupported = [];
+    var entries = {};
+
+    [trees.google.items, trees.onedrive.items, previous].forEach(function(map) {
+        Object.keys(map).forEach(function(key) { keys[key] = true; });
+    });
+
+    FolderSync.PROVIDERS.forEach(function(provider) {
+        trees[provider].duplicates.forEach(function(path) {
+            unsupported.push({ path: path, provider: provider, reason: 'another item differs only in case or illegal characters' });
+        });
+    });
+
+    function entryFor(google, onedrive) {
+        return {
+            path: (google || onedrive).path,
+            isFolder: (google || onedrive).isFolder,
+            google: google ? { id: google.id, version: google.version, content: google.content } : null,
+            onedrive: onedrive ? { id: onedrive.id, version: onedrive.version, content: onedrive.content } : null
+        };
+    }
+
+    function conflict(key, kind, google, onedrive) {
+        conflicts.push({
+            key: key,
+            path: (google || onedrive || previous[key]).path,
+            kind: kind,
+            google: google ? { id: google.id, size: google.size, modifiedTime: google.modifiedTime } : null,
+            onedrive: onedrive ? { id: onedrive.id, size: onedrive.size, modifiedTime: onedrive.modifiedTime } : null
+        });
+        // Keep the last agreed versions so the conflict is found again next time
+        if (previous[key]) {
+            entries[key] = previous[key];
+        }
+    }
+
+    // An unchanged version settles it cheaply; otherwise only a content change
+    // counts. Entries recorded without a signature fall back to the version.
+    function changed(item, seen) {
+        if (!seen) {
+            return true;
+        }
+        if (item.version === seen.version) {
+            return false;
+        }
+        return seen.content === undefined || item.content !== seen.content;
+    }
+
+    Object.keys(keys).sort().forEach(function(key) {
+        var google = trees.google.items[key] || null;
+        var onedrive = trees.onedrive.items[key] || null;
+        var seen = previous[key] || null;
+
+        if ((google && google.workspace) || (onedrive && google && google.isFolder !== onedrive.isFolder)) {
+            unsupported.push({
+                path: (google || onedrive).path,
+                provider: 'google',
+                reason: google.workspace ? 'Google Docs, Sheets and Slides are not synced' : 'a file and a folder share this name'
+            });
+            return;
+        }
+
+        if (!seen) {
+            if (google && onedrive) {
+                var sameSize = google.isFolder || google.size === onedrive.size;
+                var sameTime = google.isFolder || Math.abs(Date.parse(google.modifiedTime) - Date.parse(onedrive.modifiedTime)) <= FolderSync.TIME_TOLERANCE;
+                if (sameSize && sameTime) {
+                    entries[key] = entryFor(google, onedrive);
+                } else {
+                    conflict(key, 'both-created', google, onedrive);
+                }
+            } else if (google || onedrive) {
+                var item = google || onedrive;
+                actions.push({ type: item.isFolder ? 'create-folder' : 'copy', key: key, from: google ? 'google' : 'onedrive', item: item });
+            }
+            return;
+        }
+
+        if (!google && !onedrive) {
+            return;
+        }
+
+        if (seen.isFolder) {
+            // Folders have no content of their own; deletions are settled after their children
+            if (google && onedrive) {
+                entries[key] = entryFor(google, onedrive);
+            } else {
+                actions.push({ type: 'delete-folder', key: key, from: google ? 'google' : 'onedrive', target: google || onedrive });
+            }
+            return;
+        }
+
+        var googleChanged = google && changed(google, seen.google);
+        var onedriveChanged = onedrive && changed(onedrive, seen.onedrive);
+
+        if (!google || !onedrive) {
+            var survivor = google || onedrive;
+            var survivorChanged = google ? googleChanged : onedriveChanged;
+            if (survivorChanged) {
+                conflict(key, 'deleted-modified', google, onedrive);
+            } else {
+                actions.push({ type: 'delete', key: key, from: google ? 'google' : 'onedrive', target: survivor });
+            }
+        } else if (googleChanged && onedriveChanged) {
+            conflict(key, 'both-modified', google, onedrive);
+        } else if (googleChanged) {
+            actions.push({ type: 'copy', key: key, from: 'google', item: google, target: onedrive });
+        } else if (onedriveChanged) {
+            actions.push({ type: 'copy', key: key, from: 'onedrive', item: onedrive, target: google });
+        } else {
+            // Record metadata-only edits so their new versions pass the first check next time
+            entries[key] = entryFor(google, onedrive);
+        }
+    });
+
+    // A folder deleted on one side is only removed on the other once nothing
+    // inside it survives this run; otherwise it stays and is checked again next time
+    var deletedKeys = {};
+    actions.forEach(function(action) {
+        if (action.type === 'delete' || action.type === 'delete-folder') {
+            deletedKeys[action.key] = true;
+        }
+    });
+
+    actions = actions.filter(function(action) {
+        if (action.type !== 'delete-folder') {
+            return true;
+        }
+        var survivors = Object.keys(trees[action.from].items).filter(function(key) {
+            return key.indexOf(action.key + '/') === 0 && !deletedKeys[key];
+        });
+        if (survivors.length > 0) {
+            entries[action.key] = previous[action.key];
+            return false;
+        }
+        return true;
+    });
+
+    // Parents before children when creating, children before parents when deleting
+    var order = { 'create-folder': 0, copy: 1, delete: 2, 'delete-folder': 3 };
+    actions.sort(function(a, b) {
+        if (order[a.type] !== order[b.type]) {
+            return order[a.type] - order[b.type];
+        }
+        var depth = a.key.split('/').length - b.key.split('/').length;
+        return a.type === 'delete-folder' ? -depth : depth;
+    });
+
+    return { actions: actions, conflicts: conflicts, unsupported: unsupported, entries: entries };
+};
+
+// Run one sync of a pair. options.control is a TransferControl for the run,
+// options.onTransfer(action) may return a progress callback for a file copy and
+// options.onTransferEnd(action, error) is called when it finishes.
+// Resolves with { copied, deleted, foldersCreated, conflicts, unsupported, failed }.
+FolderSync.prototype.sync = function(pair, options) {
+    var self = this;
+    options = options || {};
+    var signal = options.control && options.control.signal;
+    var report = { copied: [], deleted: [], foldersCreated: [], conflicts: [], unsupported: [], failed: [] };
+    var trees = {};
+    var state;
+    var planned;
+
+    if (window.logger) {
+        window.logger.info('Sync started: ' + pair.name, {
+            pairId: pair.id,
+            google: pair.google,
+            onedrive: pair.onedrive
+        }, 'SYNC');
+    }
+
+    return Promise.all([
+        this.listTree('google', pair.google.id, signal),
+        this.listTree('onedrive', pair.onedrive.id, signal),
+        this.store.getSyncState(pair.id)
+    ]).then(function(values) {
+        trees.google = values[0];
+        trees.onedrive = values[1];
+        state = values[2];
+        planned = self.plan(trees, state);
+        report.conflicts = planned.conflicts;
+        report.unsupported = planned.unsupported;
+
+        var entries = planned.entries;
+
+        return planned.actions.reduce(function(previous, action) {
+            return previous.then(function() {
+                return self.engine.checkpoint(options.control);
+            }).then(function() {
+                return self.apply(pair, action, trees, options);
+            }).then(function(entry) {
+                if (entry) {
+                    entries[action.key] = entry;
+                }
+                var list = action.type === 'copy' ? report.copied
+                    : action.type === 'create-folder' ? report.foldersCreated : report.deleted;
+                list.push({ path: (action.item || action.target).path, from: action.from });
+            }, function(error) {
+                if (options.control && options.control.cancelled) {
+                    throw error;
+                }
+                report.failed.push({ path: (action.item || action.target).path, type: action.type, error: error.message });
+                // Retry on the next run from the previous state
+                if (state && state.entries && state.entries[action.key]) {
+                    entries[action.key] = state.entries[action.key];
+                }
+            });
+        }, Promise.resolve()).then(function() {
+            return self.store.saveSyncState({
+                pairId: pair.id,
+                entries: entries,
+                conflicts: planned.conflicts,
+                lastSync: Date.now()
+            });
+        });
+    }).then(function() {
+        if (window.logger) {
+            window.logger[report.failed.length + report.conflicts.length > 0 ? 'warn' : 'info']('Sync finished: ' + pair.name, {
+                pairId: pair.id,
+                copied: report.copied.length,
+                deleted: report.deleted.length,
+                foldersCreated: report.foldersCreated.length,
+                conflicts: report.conflicts,
+                unsupported: report.unsupported,
+                failed: report.failed
+            }, 'SYNC');
+        }
+        return report;
+    });
+};
+
+// One-way plan for mirroring the from side into the other: folders and files
+// missing there are created, files whose size differs or whose source is newer
+// are replaced. Nothing is deleted on the destination. Returns { actions,
+// unchanged, unsupported }.
+FolderSync.prototype.planMirror = function(trees, from) {
+    var to = FolderSync.other(from);
+    var actions = [];
+    var unsupported = [];
+    var unchanged = 0;
+
+    Object.keys(trees[from].items).sort().forEach(function(key) {
+        var item = trees[from].items[key];
+        var target = trees[to].items[key] || null;
+
+        if (item.workspace) {
+            unsupported.push({ path: item.path, provider: from, reason: 'Google Docs, Sheets and Slides are not mirrored' });
+        } else if (target && target.isFolder !== item.isFolder) {
+            unsupported.push({ path: item.path, provider: from, reason: 'a file and a folder share this name' });
+        } else if (item.isFolder) {
+            if (!target) {
+                actions.push({ type: 'create-folder', key: key, from: from, item: item });
+            }
+        } else if (!target) {
+            actions.push({ type: 'copy', key: key, from: from, item: item, target: null });
+        } else {
+            var sameSize = item.size === null || target.size === null || item.size === target.size;
+            var newer = Date.parse(item.modifiedTime) - Date.parse(target.modifiedTime) > FolderSync.TIME_TOLERANCE;
+            if (sameSize && !newer) {
+                unchanged++;
+            } else {
+                actions.push({ type: 'copy', key: key, from: from, item: item, target: target });
+            }
+        }
+    });
+
+    // Folders are created as copies need them; sorting keeps parents first
+    actions.sort(function(a, b) {
+        return a.key.split('/').length - b.key.split('/').length;
+    });
+
+    return { actions: actions, unchanged: unchanged, unsupported: unsupported };
+};
+
+// Run a one-way mirror of pair from the from side. Takes the same options as
+// sync and resolves with { copied, foldersCreated, unchanged, unsupported, failed }.
+// No sync state is read or written.
+FolderSync.prototype.mirror = function(pair, from, options) {
+    var self = this;
+    options = options || {};
+    var signal = options.control && options.control.signal;
+    var report = { copied: [], foldersCreated: [], unchanged: 0, unsupported: [], failed: [] };
+    var trees = {};
+
+    if (window.logger) {
+        window.logger.info('Mirror started: ' + pair.name, { pairId: pair.id, from: from }, 'SYNC');
+    }
+
+    return Promise.all([
+        this.listTree('google', pair.google.id, signal),
+        this.listTree('onedrive', pair.onedrive.id, signal)
+    ]).then(function(values) {
+        trees.google = values[0];
+        trees.onedrive = values[1];
+
+        var planned = self.planMirror(trees, from);
+        report.unchanged = planned.unchanged;
+        report.unsupported = planned.unsupported;
+
+        return planned.actions.reduce(function(previous, action) {
+            return previous.then(function() {
+                return self.engine.checkpoint(options.control);
+            }).then(function() {
+                return self.apply(pair, action, trees, options);
+            }).then(function() {
+                (action.type === 'copy' ? report.copied : report.foldersCreated).push({ path: action.item.path, from: from });
+            }, function(error) {
+                if (options.control && options.control.cancelled) {
+                    throw error;
+                }
+                report.failed.push({ path: action.item.path, type: action.type, error: error.message });
+            });
+        }, Promise.resolve());
+    }).then(function() {
+        if (window.logger) {
+            window.logger[report.failed.length > 0 ? 'warn' : 'info']('Mirror finished: ' + pair.name, {
+                pairId: pair.id,
+                copied: report.copied.length,
+                foldersCreated: report.foldersCreated.length,
+                unchanged: report.unchanged,
+                unsupported: report.unsupported,
+                failed: report.failed
+            }, 'SYNC');
+        }
+        return report;
+    });
+};
+
+// Carry out one planned action; resolves with the new state entry, or null
+// when the path is gone from both sides
+FolderSync.prototype.apply = function(pair, action, trees, options) {
+    var self = this;
+    var signal = options.control && options.control.signal;
+    var to = FolderSync.other(action.from);
+
+    if (action.type === 'delete' || action.type === 'delete-folder') {
+        return this.deleteItem(action.from, action.target.id, signal).then(function() {
+            delete trees[action.from].items[action.key];
+            return null;
+        });
+    }
+
+    var item = action.item;
+
+    return this.ensureFolder(pair, to, FolderSync.parentKey(action.key), trees, signal).then(function(parentId) {
+        if (action.type === 'create-folder') {
+            return self.ensureFolder(pair, to, action.key, trees, signal).then(function() {
+                var created = trees[to].items[action.key];
+                var google = action.from === 'google' ? item : created;
+                var onedrive = action.from === 'google' ? created : item;
+                return {
+                    path: item.path,
+                    isFolder: true,
+                    google: { id: google.id, version: null },
+                    onedrive: { id: onedrive.id, version: null }
+                };
+            });
+        }
+
+        // Updates keep the target's current name so "replace" finds it
+        var name = action.target ? action.target.name
+            : to === 'onedrive' ? NameSanitizer.sanitizeName(item.name) : item.name;
+        var fileMeta = Object.assign({}, item.meta, { name: name });
+        var progress = options.onTransfer ? options.onTransfer(action) : null;
+
+        return self.engine.transferFileChunked(fileMeta, parentId, progress, {
+            source: action.from,
+            destination: to,
+            conflictPolicy: 'replace',
+            control: options.control ? new TransferControl(options.control) : null
+        }).then(function(result) {
+            if (options.onTransferEnd) options.onTransferEnd(action, null);
+            return self.fetchVersion(to, result.destinationId, signal).then(function(copied) {
+                var copy = { id: result.destinationId, version: copied.version, content: copied.content };
+                var original = { id: item.id, version: item.version, content: item.content };
+                return {
+                    path: item.path,
+                    isFolder: false,
+                    google: action.from === 'google' ? original : copy,
+                    onedrive: action.from === 'google' ? copy : original
+                };
+            });
+        }, function(error) {
+            if (options.onTransferEnd) options.onTransferEnd(action, error);
+            throw error;
+        });
+    });
+};
+
+// Folder id for key on a provider, creating missing folders along the way.
+// The pair's own folder is the empty key.
+FolderSync.prototype.ensureFolder = function(pair, provider, key, trees, signal) {
+    var self = this;
+
+    if (!key) {
+        return Promise.resolve(pair[provider].id);
+    }
+
+    var existing = trees[provider].items[key];
+    if (existing) {
+        return Promise.resolve(existing.id);
+    }
+
+    var source = trees[FolderSync.other(provider)].items[key];
+    var name = source ? source.name : key.slice(key.lastIndexOf('/') + 1);
+    if (provider === 'onedrive') {
+        name = NameSanitizer.sanitizeName(name);
+    }
+
+    return this.ensureFolder(pair, provider, FolderSync.parentKey(key), trees, signal).then(function(parentId) {
+        var request = provider === 'google'
+            ? self.request('google', 'files?fields=id,name,mimeType', {
+                method: 'POST',
+                signal: signal,
+                body: { name: name, mimeType: FolderSync.FOLDER_MIME_TYPE, parents: [parentId] },
+                errorMessage: 'Failed to create Google Drive folder'
+            })
+            : self.request('onedrive', 'me/drive/items/' + parentId + '/children', {
+                method: 'POST',
+                signal: signal,
+                body: { name: name, folder: {}, '@microsoft.graph.conflictBehavior': 'fail' },
+                errorMessage: 'Failed to create OneDrive folder'
+            });
+
+        return request.then(function(raw) {
+            var parentItem = trees[provider].items[FolderSync.parentKey(key)];
+            var created = FolderSync.normalize(provider, raw, parentItem ? parentItem.path : '');
+            trees[provider].items[key] = created;
+            return created.id;
+        });
+    });
+};
+
+// Drive items go to the trash and OneDrive items to the recycle bin, so a
+// propagated delete can be undone from the provider's UI
+FolderSync.prototype.deleteItem = function(provider, itemId, signal) {
+    if (provider === 'google') {
+        return this.request('google', 'files/' + itemId + '?fields=id', {
+            method: 'PATCH',
+            signal: signal,
+            body: { trashed: true },
+            errorMessage: 'Failed to move Google Drive item to trash'
+        });
+    }
+    return this.request('onedrive', 'me/drive/items/' + itemId, {
+        method: 'DELETE',
+        signal: signal,
+        errorMessage: 'Failed to delete OneDrive item'
+    });
+};
+
+// Resolves with the { version, content } a fresh copy is recorded with
+FolderSync.prototype.fetchVersion = function(provider, itemId, signal) {
+    var path = provider === 'google'
+        ? 'files/' + itemId + '?fields=id,name,mimeType,size,modifiedTime,version,md5Checksum,sha256Checksum'
+        : 'me/drive/items/' + itemId + '?select=id,name,size,file,fileSystemInfo,lastModifiedDateTime,cTag,eTag';
+
+    return this.request(provider, path, { signal: signal, errorMessage: 'Failed to read item version' }).then(function(raw) {
+        var item = FolderSync.normalize(provider, raw, '');
+        return { version: item.version, content: item.content };
+    });
+};
+
+// Settle a conflict from the last sync by letting one side win: its copy
+// replaces the other, or the other is deleted when the winner was deleted.
+// Resolves with the remaining conflicts of the pair.
+FolderSync.prototype.resolveConflict = function(pair, key, winner, options) {
+    var self = this;
+    options = options || {};
+    var signal = options.control && options.control.signal;
+    var loser = FolderSync.other(winner);
+
+    return this.store.getSyncState(pair.id).then(function(state) {
+        var conflict = state && (state.conflicts || []).filter(function(entry) {
+            return entry.key === key;
+        })[0];
+        if (!conflict) {
+            throw new Error('No conflict recorded for ' + key);
+        }
+
+        // Re-list both trees so the latest versions are used
+        var trees = {};
+
+        return Promise.all(FolderSync.PROVIDERS.map(function(provider) {
+            return self.listTree(provider, pair[provider].id, signal).then(function(tree) {
+                trees[provider] = tree;
+            });
+        })).then(function() {
+            var winning = trees[winner].items[key];
+            var losing = trees[loser].items[key];
+            var action;
+
+            if (winning) {
+                action = { type: 'copy', key: key, from: winner, item: winning, target: losing || null };
+            } else if (losing) {
+                action = { type: 'delete', key: key, from: loser, target: losing };
+            } else {
+                return null;
+            }
+
+            if (window.logger) {
+                window.logger.info('Sync conflict resolved: ' + conflict.path, {
+                    pairId: pair.id,
+                    kind: conflict.kind,
+                    winner: winner
+                }, 'SYNC');
+            }
+            return self.apply(pair, action, trees, options);
+        }).then(function(entry) {
+            state.conflicts = state.conflicts.filter(function(entry) {
+                return entry.key !== key;
+            });
+            if (entry) {
+                state.entries[key] = entry;
+            } else {
+                delete state.entries[key];
+            }
+            return self.store.saveSyncState(state).then(function() {
+                return state.conflicts;
+            });
+        });
+    });
+};
+
+if (typeof window !== 'undefined') {
+    window.FolderSync = FolderSync;
+}
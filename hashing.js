@@ -0,0 +1,321 @@
+// DriveBridge Hashing - ES5 Compatible incremental hash functions
+// MD5 and SHA-256 (Google Drive md5Checksum / sha256Checksum) and QuickXorHash
+// (OneDrive quickXorHash), fed chunk by chunk while a file streams through
+
+function toUint8Array(data) {
+    if (data instanceof Uint8Array) {
+        return data;
+    }
+    if (ArrayBuffer.isView(data)) {
+        return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    return new Uint8Array(data);
+}
+
+function bytesToHex(bytes) {
+    var hex = '';
+    for (var i = 0; i < bytes.length; i++) {
+        hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+    }
+    return hex;
+}
+
+function bytesToBase64(bytes) {
+    var binary = '';
+    for (var i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+// Shared buffering for hashes that consume 64-byte blocks
+function BlockHash() {
+    this.block = new Uint8Array(64);
+    this.blockLength = 0;
+    this.length = 0;
+}
+
+BlockHash.prototype.update = function(data) {
+    var bytes = toUint8Array(data);
+    var offset = 0;
+
+    this.length += bytes.length;
+
+    if (this.blockLength > 0) {
+        var fill = Math.min(64 - this.blockLength, bytes.length);
+        this.block.set(bytes.subarray(0, fill), this.blockLength);
+        this.blockLength += fill;
+        offset = fill;
+
+        if (this.blockLength < 64) {
+            return this;
+        }
+        this.processBlock(this.block, 0);
+        this.blockLength = 0;
+    }
+
+    for (; offset + 64 <= bytes.length; offset += 64) {
+        this.processBlock(bytes, offset);
+    }
+
+    if (offset < bytes.length) {
+        this.block.set(bytes.subarray(offset), 0);
+        this.blockLength = bytes.length - offset;
+    }
+
+    return this;
+};
+
+// Append the 0x80 terminator and the 64-bit message length in bits
+BlockHash.prototype.pad = function(littleEndian) {
+    var bitLengthLow = (this.length * 8) >>> 0;
+    var bitLengthHigh = Math.floor(this.length / 0x20000000) >>> 0;
+    var padding = new Uint8Array(this.blockLength < 56 ? 64 - this.blockLength : 128 - this.blockLength);
+    var view = new DataView(padding.buffer);
+    var end = padding.length;
+
+    padding[0] = 0x80;
+    if (littleEndian) {
+        view.setUint32(end - 8, bitLengthLow, true);
+        view.setUint32(end - 4, bitLengthHigh, true);
+    } else {
+        view.setUint32(end - 8, bitLengthHigh, false);
+        view.setUint32(end - 4, bitLengthLow, false);
+    }
+
+    var length = this.length;
+    this.update(padding);
+    this.length = length;
+};
+
+// =========================
+// MD5 (RFC 1321)
+// =========================
+
+var MD5_SHIFTS = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+var MD5_CONSTANTS = (function() {
+    var constants = new Int32Array(64);
+    for (var i = 0; i < 64; i++) {
+        constants[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0;
+    }
+    return constants;
+})();
+
+function Md5() {
+    BlockHash.call(this);
+    this.state = new Int32Array([0x67452301, 0xefcdab89 | 0, 0x98badcfe | 0, 0x10325476]);
+    this.words = new Int32Array(16);
+}
+
+Md5.prototype = Object.create(BlockHash.prototype);
+Md5.prototype.constructor = Md5;
+
+Md5.prototype.processBlock = function(bytes, offset) {
+    var words = this.words;
+    var state = this.state;
+    var a = state[0], b = state[1], c = state[2], d = state[3];
+    var i, f, g, temp;
+
+    for (i = 0; i < 16; i++) {
+        var p = offset + i * 4;
+        words[i] = bytes[p] | (bytes[p + 1] << 8) | (bytes[p + 2] << 16) | (bytes[p + 3] << 24);
+    }
+
+    for (i = 0; i < 64; i++) {
+        if (i < 16) {
+            f = (b & c) | (~b & d);
+            g = i;
+        } else if (i < 32) {
+            f = (d & b) | (~d & c);
+            g = (5 * i + 1) % 16;
+        } else if (i < 48) {
+            f = b ^ c ^ d;
+            g = (3 * i + 5) % 16;
+        } else {
+            f = c ^ (b | ~d);
+            g = (7 * i) % 16;
+        }
+
+        temp = d;
+        d = c;
+        c = b;
+        var sum = (a + f + MD5_CONSTANTS[i] + words[g]) | 0;
+        b = (b + ((sum << MD5_SHIFTS[i]) | (sum >>> (32 - MD5_SHIFTS[i])))) | 0;
+        a = temp;
+    }
+
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+};
+
+// Lowercase hex digest, the format of Drive's md5Checksum
+Md5.prototype.digest = function() {
+    this.pad(true);
+
+    var out = new Uint8Array(16);
+    var view = new DataView(out.buffer);
+    for (var i = 0; i < 4; i++) {
+        view.setInt32(i * 4, this.state[i], true);
+    }
+    return bytesToHex(out);
+};
+
+// =========================
+// SHA-256 (FIPS 180-4)
+// =========================
+
+var SHA256_CONSTANTS = new Int32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+function Sha256() {
+    BlockHash.call(this);
+    this.state = new Int32Array([
+        0x6a09e667, 0xbb67ae85 | 0, 0x3c6ef372, 0xa54ff53a | 0,
+        0x510e527f, 0x9b05688c | 0, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    this.words = new Int32Array(64);
+}
+
+Sha256.prototype = Object.create(BlockHash.prototype);
+Sha256.prototype.constructor = Sha256;
+
+Sha256.prototype.processBlock = function(bytes, offset) {
+    var w = this.words;
+    var state = this.state;
+    var i;
+
+    for (i = 0; i < 16; i++) {
+        var p = offset + i * 4;
+        w[i] = (bytes[p] << 24) | (bytes[p + 1] << 16) | (bytes[p + 2] << 8) | bytes[p + 3];
+    }
+    for (i = 16; i < 64; i++) {
+        var x = w[i - 15];
+        var y = w[i - 2];
+        var s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+        var s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    var a = state[0], b = state[1], c = state[2], d = state[3];
+    var e = state[4], f = state[5], g = state[6], h = state[7];
+
+    for (i = 0; i < 64; i++) {
+        var sigma1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+        var choose = (e & f) ^ (~e & g);
+        var temp1 = (h + sigma1 + choose + SHA256_CONSTANTS[i] + w[i]) | 0;
+        var sigma0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+        var majority = (a & b) ^ (a & c) ^ (b & c);
+        var temp2 = (sigma0 + majority) | 0;
+
+        h = g;
+        g = f;
+        f = e;
+        e = (d + temp1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (temp1 + temp2) | 0;
+    }
+
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+    state[4] = (state[4] + e) | 0;
+    state[5] = (state[5] + f) | 0;
+    state[6] = (state[6] + g) | 0;
+    state[7] = (state[7] + h) | 0;
+};
+
+// Lowercase hex digest, the format of Drive's sha256Checksum
+Sha256.prototype.digest = function() {
+    this.pad(false);
+
+    var out = new Uint8Array(32);
+    var view = new DataView(out.buffer);
+    for (var i = 0; i < 8; i++) {
+        view.setInt32(i * 4, this.state[i], false);
+    }
+    return bytesToHex(out);
+};
+
+// =========================
+// QuickXorHash (OneDrive)
+// =========================
+
+// Each byte is XORed into a 160-bit ring at a position that advances by 11 bits
+// per byte; the file length is XORed into the last 64 bits when finishing.
+var QUICKXOR_WIDTH = 160;
+var QUICKXOR_SHIFT = 11;
+
+function QuickXorHash() {
+    this.state = new Uint8Array(QUICKXOR_WIDTH / 8);
+    this.shiftSoFar = 0;
+    this.length = 0;
+}
+
+QuickXorHash.prototype.update = function(data) {
+    var bytes = toUint8Array(data);
+    var size = bytes.length;
+    var iterations = Math.min(size, QUICKXOR_WIDTH);
+    var bitPosition = this.shiftSoFar;
+
+    // Bytes QUICKXOR_WIDTH apart land on the same bit position, so fold them first
+    for (var i = 0; i < iterations; i++) {
+        var folded = 0;
+        for (var j = i; j < size; j += QUICKXOR_WIDTH) {
+            folded ^= bytes[j];
+        }
+
+        var byteIndex = bitPosition >> 3;
+        var value = folded << (bitPosition & 7);
+        this.state[byteIndex] ^= value & 0xff;
+        this.state[(byteIndex + 1) % this.state.length] ^= value >> 8;
+
+        bitPosition = (bitPosition + QUICKXOR_SHIFT) % QUICKXOR_WIDTH;
+    }
+
+    this.shiftSoFar = (this.shiftSoFar + QUICKXOR_SHIFT * (size % QUICKXOR_WIDTH)) % QUICKXOR_WIDTH;
+    this.length += size;
+    return this;
+};
+
+// Base64 digest, the format of Graph's file.hashes.quickXorHash
+QuickXorHash.prototype.digest = function() {
+    var out = new Uint8Array(this.state);
+    var low = this.length >>> 0;
+    var high = Math.floor(this.length / 0x100000000) >>> 0;
+    var lengthOffset = out.length - 8;
+
+    for (var i = 0; i < 4; i++) {
+        out[lengthOffset + i] ^= (low >>> (i * 8)) & 0xff;
+        out[lengthOffset + 4 + i] ^= (high >>> (i * 8)) & 0xff;
+    }
+    return bytesToBase64(out);
+};
+
+var Hashing = {
+    Md5: Md5,
+    Sha256: Sha256,
+    QuickXorHash: QuickXorHash
+};
+
+if (typeof self !== 'undefined') {
+    self.Hashing = Hashing;
+}
@@ -0,0 +1,197 @@
+// DriveBridge Mirror Scheduler - ES5 Compatible scheduled one-way mirror jobs
+// Runs saved jobs ("mirror this Google folder into that OneDrive folder every
+// 30 minutes between 22:00 and 06:00") through FolderSync.mirror while the tab
+// is open, and keeps each job's next run time and run history in TransferStore.
+
+function MirrorScheduler(folderSync, store, options) {
+    options = options || {};
+    this.folderSync = folderSync;
+    this.store = store;
+    this.jobs = [];
+    this.timer = null;
+    this.running = null;
+    this.control = null;
+    // canRun(job) returns why a job cannot run now (e.g. not connected), or null
+    this.canRun = options.canRun || function() { return null; };
+    // onRunStart(job, control) may return extra mirror options such as onTransfer
+    this.onRunStart = options.onRunStart || null;
+    this.onRunEnd = options.onRunEnd || null;
+}
+
+// How often due jobs are looked for; browsers may stretch this in background tabs
+MirrorScheduler.TICK_INTERVAL = 60 * 1000;
+MirrorScheduler.HISTORY_LIMIT = 20;
+
+MirrorScheduler.nextRunTime = function(job, after) {
+    return TimeWindow.firstAllowedTime(job.window, after + job.intervalMinutes * 60 * 1000);
+};
+
+MirrorScheduler.prototype.load = function() {
+    var self = this;
+    return this.store.getAllMirrorJobs().then(function(jobs) {
+        self.jobs = jobs;
+        return jobs;
+    });
+};
+
+MirrorScheduler.prototype.start = function() {
+    var self = this;
+
+    if (this.timer) {
+        return Promise.resolve(this.jobs);
+    }
+    this.timer = setInterval(function() {
+        self.tick();
+    }, MirrorScheduler.TICK_INTERVAL);
+
+    return this.load().then(function(jobs) {
+        if (window.logger) {
+            window.logger.info('Mirror scheduler started', { jobs: jobs.length }, 'MIRROR');
+        }
+        self.tick();
+        return jobs;
+    });
+};
+
+// Stops scheduling and cancels a run in progress
+MirrorScheduler.prototype.stop = function() {
+    if (this.timer) {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+    if (this.control) {
+        this.control.cancel();
+    }
+};
+
+MirrorScheduler.prototype.getJob = function(id) {
+    return this.jobs.filter(function(job) {
+        return job.id === id;
+    })[0] || null;
+};
+
+// Run the most overdue enabled job, then look again. One job runs at a time;
+// a run missed while the tab was closed happens once when it is reopened.
+MirrorScheduler.prototype.tick = function() {
+    var self = this;
+    var now = Date.now();
+
+    if (this.running) {
+        return;
+    }
+
+    var due = this.jobs.filter(function(job) {
+        return job.enabled && job.nextRun <= now;
+    }).sort(function(a, b) {
+        return a.nextRun - b.nextRun;
+    })[0];
+
+    if (due) {
+        this.runJob(due).then(function() {
+            self.tick();
+        });
+    }
+};
+
+// Resolves with the recorded run; never rejects
+MirrorScheduler.prototype.runJob = function(job) {
+    var self = this;
+    var reason = this.canRun(job);
+    var run = { startedAt: Date.now() };
+    var extra = null;
+
+    if (this.running) {
+        return Promise.resolve(null);
+    }
+    this.running = job.id;
+    this.control = new TransferControl();
+
+    var result;
+    if (reason) {
+        result = Promise.reject(new Error(reason));
+    } else {
+        extra = this.onRunStart ? this.onRunStart(job, this.control) : null;
+        result = this.folderSync.mirror(job, job.from, Object.assign({}, extra, { control: this.control }));
+    }
+
+    return result.then(function(report) {
+        run.status = report.failed.length > 0 ? 'partial' : 'success';
+        run.copied = report.copied.length;
+        run.foldersCreated = report.foldersCreated.length;
+        run.unchanged = report.unchanged;
+        run.unsupported = report.unsupported.length;
+        run.failed = report.failed;
+    }, function(error) {
+        run.status = self.control.cancelled ? 'cancelled' : reason ? 'skipped' : 'failed';
+        run.error = error.message;
+        if (window.logger) {
+            window.logger.warn('Mirror job did not complete: ' + job.name, {
+                jobId: job.id,
+                status: run.status,
+                error: error.message
+            }, 'MIRROR');
+        }
+    }).then(function() {
+        run.finishedAt = Date.now();
+        job.lastRun = run;
+        job.history = [run].concat(job.history || []).slice(0, MirrorScheduler.HISTORY_LIMIT);
+        job.nextRun = MirrorScheduler.nextRunTime(job, run.startedAt);
+        self.running = null;
+        self.control = null;
+
+        // Deleted while it ran
+        if (!self.getJob(job.id)) {
+            return null;
+        }
+        return self.store.saveMirrorJob(job).catch(function(error) {
+            if (window.logger) {
+                window.logger.warn('Failed to save mirror job', { jobId: job.id, error: error.message }, 'MIRROR');
+            }
+        });
+    }).then(function() {
+        if (self.onRunEnd) {
+            self.onRunEnd(job, run);
+        }
+        return run;
+    });
+};
+
+// Add or update a job. New and re-enabled jobs run at the first time their window allows.
+MirrorScheduler.prototype.saveJob = function(job) {
+    var self = this;
+
+    if (!job.nextRun) {
+        job.nextRun = TimeWindow.firstAllowedTime(job.window, Date.now());
+    }
+    return this.store.saveMirrorJob(job).then(function() {
+        self.jobs = self.jobs.filter(function(existing) {
+            return existing.id !== job.id;
+        }).concat([job]);
+        self.tick();
+        return job;
+    });
+};
+
+MirrorScheduler.prototype.setEnabled = function(id, enabled) {
+    var job = this.getJob(id);
+    if (!job) {
+        return Promise.resolve(null);
+    }
+    job.enabled = enabled;
+    job.nextRun = enabled ? null : job.nextRun;
+    return this.saveJob(job);
+};
+
+MirrorScheduler.prototype.deleteJob = function(id) {
+    this.jobs = this.jobs.filter(function(job) {
+        return job.id !== id;
+    });
+    if (this.running === id && this.control) {
+        this.control.cancel();
+    }
+    return this.store.deleteMirrorJob(id);
+};
+
+if (typeof window !== 'undefined') {
+    window.MirrorScheduler = MirrorScheduler;
+}
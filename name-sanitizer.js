@@ -0,0 +1,167 @@
+// DriveBridge Name Sanitizer - ES5 Compatible OneDrive naming rules
+// Rewrites file and folder names Graph would reject, keeps names unique within
+// each destination folder of a batch and records original -> sanitized names
+
+function NameSanitizer(options) {
+    options = options || {};
+    // Destination path of the folder the batch starts in, e.g. "Documents/Archive"
+    this.basePath = options.basePath || '';
+    this.maxPathLength = options.maxPathLength || NameSanitizer.MAX_PATH_LENGTH;
+    this.folderPaths = {};
+    this.claimed = {};
+    this.manifest = [];
+}
+
+NameSanitizer.INVALID_CHARACTERS = /["*:<>?\/\\|\u0000-\u001f]/g;
+NameSanitizer.RESERVED_NAMES = /^(CON|PRN|AUX|NUL|COM[0-9]|LPT[0-9])(\..*)?$/i;
+NameSanitizer.RESERVED_FILES = /^(\.lock|desktop\.ini)$/i;
+NameSanitizer.MAX_NAME_LENGTH = 255;
+// Longest decoded path SharePoint-backed OneDrive accepts
+NameSanitizer.MAX_PATH_LENGTH = 400;
+
+// Why OneDrive would reject a name, or null when it is fine
+NameSanitizer.invalidReason = function(name) {
+    if (!name || !name.trim()) {
+        return 'the name is empty';
+    }
+    if (/["*:<>?\/\\|\u0000-\u001f]/.test(name)) {
+        return 'contains a character OneDrive does not allow (" * : < > ? / \\ |)';
+    }
+    if (NameSanitizer.RESERVED_NAMES.test(name) || NameSanitizer.RESERVED_FILES.test(name)) {
+        return 'is a name reserved by OneDrive';
+    }
+    if (name.indexOf('_vti_') !== -1) {
+        return 'contains "_vti_", which OneDrive does not allow';
+    }
+    if (name.indexOf('~$') === 0) {
+        return 'starts with "~$", which OneDrive does not allow';
+    }
+    if (/^\s|\s$/.test(name)) {
+        return 'starts or ends with a space';
+    }
+    if (/\.$/.test(name)) {
+        return 'ends with a period';
+    }
+    if (name.length > NameSanitizer.MAX_NAME_LENGTH) {
+        return 'is longer than ' + NameSanitizer.MAX_NAME_LENGTH + ' characters';
+    }
+    return null;
+};
+
+// Split "report.final.pdf" into ["report.final", ".pdf"]; dotfiles have no extension
+NameSanitizer.splitExtension = function(name) {
+    var dot = name.lastIndexOf('.');
+    return dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+};
+
+// Shorten the part before the extension so the whole name fits in maxLength
+NameSanitizer.truncate = function(name, maxLength) {
+    if (name.length <= maxLength) {
+        return name;
+    }
+    var parts = NameSanitizer.splitExtension(name);
+    // An extension that alone is too long is not worth keeping
+    if (parts[1].length >= maxLength) {
+        return name.slice(0, maxLength);
+    }
+    return parts[0].slice(0, maxLength - parts[1].length).replace(/[\s.]+$/, '') + parts[1];
+};
+
+// The OneDrive-safe form of a single name. Unicode is normalized to NFC so
+// names typed on macOS (NFD) match the same name typed elsewhere.
+NameSanitizer.sanitizeName = function(name) {
+    var result = String(name || '');
+
+    if (result.normalize) {
+        result = result.normalize('NFC');
+    }
+
+    result = result.replace(NameSanitizer.INVALID_CHARACTERS, '_')
+        .replace(/_vti_/g, '_vti-')
+        .replace(/^\s+|[\s.]+$/g, '');
+
+    if (result.indexOf('~$') === 0) {
+        result = '_' + result.slice(1);
+    }
+    if (NameSanitizer.RESERVED_FILES.test(result)) {
+        result = '_' + result;
+    }
+    if (NameSanitizer.RESERVED_NAMES.test(result)) {
+        var parts = NameSanitizer.splitExtension(result);
+        result = parts[0] + '_' + parts[1];
+    }
+    if (!result) {
+        result = 'unnamed';
+    }
+
+    return NameSanitizer.truncate(result, NameSanitizer.MAX_NAME_LENGTH);
+};
+
+NameSanitizer.prototype.pathOf = function(folderId) {
+    return this.folderPaths.hasOwnProperty(folderId) ? this.folderPaths[folderId] : this.basePath;
+};
+
+// Track where a created destination folder sits so names inside it can be fitted
+// to the path limit
+NameSanitizer.prototype.registerFolder = function(folderId, parentId, name) {
+    var parentPath = this.pathOf(parentId);
+    this.folderPaths[folderId] = parentPath ? parentPath + '/' + name : name;
+};
+
+// Sanitized, path-fitted name for a new item in parentId that no other item of
+// this batch uses (OneDrive names are case-insensitive). type is 'file' or 'folder'.
+NameSanitizer.prototype.claim = function(parentId, name, type) {
+    var parentPath = this.pathOf(parentId);
+    var available = this.maxPathLength - (parentPath ? parentPath.length + 1 : 0);
+    var sanitized = NameSanitizer.sanitizeName(name);
+    var reasons = [];
+
+    if (sanitized !== name) {
+        reasons.push(NameSanitizer.invalidReason(name) || 'Unicode normalized');
+    }
+    if (available < sanitized.length) {
+        if (available < 1) {
+            if (window.logger) {
+                window.logger.warn('Destination folder path is too long for any name: ' + parentPath, {
+                    name: name,
+                    maxPathLength: this.maxPathLength
+                }, 'SANITIZE');
+            }
+        } else {
+            sanitized = NameSanitizer.truncate(sanitized, available);
+            reasons.push('path longer than ' + this.maxPathLength + ' characters');
+        }
+    }
+
+    var taken = this.claimed[parentId] || (this.claimed[parentId] = {});
+    var unique = sanitized;
+    var n = 1;
+    while (taken[unique.toLowerCase()]) {
+        unique = ConflictResolver.suffixedName(sanitized, n++);
+    }
+    if (unique !== sanitized) {
+        reasons.push('same name as another item in the batch');
+    }
+    taken[unique.toLowerCase()] = true;
+
+    if (unique !== name) {
+        var entry = {
+            type: type || 'file',
+            path: parentPath,
+            original: name,
+            sanitized: unique,
+            reasons: reasons
+        };
+        this.manifest.push(entry);
+
+        if (window.logger) {
+            window.logger.info('Renamed for OneDrive: ' + name + ' -> ' + unique, entry, 'SANITIZE');
+        }
+    }
+
+    return unique;
+};
+
+if (typeof window !== 'undefined') {
+    window.NameSanitizer = NameSanitizer;
+}
@@ -0,0 +1,442 @@
+// DriveBridge Permission Migrator - ES5 Compatible sharing migration
+// Reads the sharing permissions of a source file, translates them to the other
+// provider (mapping email domains between tenants) and recreates them on the copy
+
+// endpoints has the shape of Config.getApiEndpoints()
+function PermissionMigrator(engine, endpoints) {
+    this.engine = engine;
+    this.endpoints = endpoints || PermissionMigrator.DEFAULT_ENDPOINTS;
+    this.accountEmails = {};
+}
+
+PermissionMigrator.DEFAULT_ENDPOINTS = {
+    google: { drive: 'https://www.googleapis.com/drive/v3' },
+    microsoft: { graph: 'https://graph.microsoft.com/v1.0' }
+};
+
+// Normalized roles and their provider equivalents. OneDrive has no commenter
+// role, so comment access becomes read access there.
+PermissionMigrator.DRIVE_ROLES = { read: 'reader', comment: 'commenter', write: 'writer' };
+PermissionMigrator.GRAPH_ROLES = { read: 'read', comment: 'read', write: 'write' };
+
+// Copy the permissions of the transfer's source file onto destinationId.
+// mapping is { domainMap, destinationDrive } where domainMap maps Google domains to
+// Microsoft ones and destinationDrive ({ name, restrictions }) is set when the copies
+// land in a Google Shared Drive.
+// Never rejects; resolves with { applied, approximated, untranslated, failed }.
+PermissionMigrator.prototype.migrate = function(transfer, destinationId, mapping) {
+    var self = this;
+    var signal = transfer.control && transfer.control.signal;
+    var report = { applied: [], approximated: [], untranslated: [], failed: [] };
+
+    return Promise.all([
+        this.readPermissions(transfer.source, transfer.fileId, signal),
+        this.accountEmail(transfer.source, signal),
+        this.accountEmail(transfer.destination, signal)
+    ]).then(function(values) {
+        var permissions = values[0];
+        var context = {
+            source: transfer.source,
+            destination: transfer.destination,
+            domainMap: (mapping && mapping.domainMap) || {},
+            sourceAccount: values[1],
+            destinationAccount: values[2],
+            destinationDrive: (mapping && mapping.destinationDrive) || null
+        };
+
+        var grants = [];
+        permissions.forEach(function(permission) {
+            var translated = self.translate(permission, context);
+            if (translated.skip) {
+                return;
+            }
+            if (translated.reason) {
+                report.untranslated.push({ permission: permission, reason: translated.reason });
+                return;
+            }
+            if (translated.note) {
+                report.approximated.push({ permission: permission, grant: translated.grant, note: translated.note });
+            }
+            grants.push({ permission: permission, grant: translated.grant });
+        });
+
+        // Applied one at a time; a file rarely has more than a handful
+        return grants.reduce(function(previous, entry) {
+            return previous.then(function() {
+                return self.engine.checkpoint(transfer.control);
+            }).then(function() {
+                return self.applyGrant(transfer.destination, destinationId, entry.grant, signal);
+            }).then(function() {
+                report.applied.push(entry.grant);
+            }, function(error) {
+                if (transfer.control && transfer.control.cancelled) {
+                    throw error;
+                }
+                report.failed.push({ permission: entry.permission, grant: entry.grant, error: error.message });
+            });
+        }, Promise.resolve());
+    }).then(function() {
+        return report;
+    }, function(error) {
+        if (transfer.control && transfer.control.cancelled) {
+            throw error;
+        }
+        report.failed.push({ permission: null, grant: null, error: error.message });
+        return report;
+    }).then(function(result) {
+        if (window.logger) {
+            var problems = result.untranslated.length + result.failed.length;
+            window.logger[problems > 0 ? 'warn' : 'info']('Permissions migrated: ' + transfer.fileName, {
+                destinationId: destinationId,
+                applied: result.applied.length,
+                approximated: result.approximated,
+                untranslated: result.untranslated,
+                failed: result.failed
+            }, 'PERMISSIONS');
+        }
+        return result;
+    });
+};
+
+// List the source permissions, normalized to
+// { kind: 'user'|'group'|'anyone'|'domain', email, domain, role: 'read'|'comment'|'write'|'owner', inherited, label }
+PermissionMigrator.prototype.readPermissions = function(source, fileId, signal) {
+    var engine = this.engine;
+    var endpoints = this.endpoints;
+    var results = [];
+
+    if (source === 'google') {
+        var googleToken = engine.getGoogleToken();
+        if (!googleToken) {
+            return Promise.reject(new Error('No Google access token available'));
+        }
+
+        var fetchGooglePage = function(pageToken) {
+            var url = ChunkedTransferEngine.driveUrl(endpoints.google.drive + '/files/' + fileId + '/permissions' +
+                '?fields=nextPageToken,permissions(id,type,role,emailAddress,domain,deleted,permissionDetails(inherited))&pageSize=100' +
+                (pageToken ? '&pageToken=' + encodeURIComponent(pageToken) : ''));
+
+            return fetch(url, {
+                headers: { 'Authorization': 'Bearer ' + googleToken },
+                mode: 'cors',
+                signal: signal
+            }).then(function(response) {
+                if (!response.ok) {
+                    throw engine.httpError(response, 'Failed to read Drive permissions');
+                }
+                return response.json();
+            }).then(function(data) {
+                (data.permissions || []).forEach(function(permission) {
+                    results.push(PermissionMigrator.fromDrive(permission));
+                });
+                return data.nextPageToken ? fetchGooglePage(data.nextPageToken) : results;
+            });
+        };
+
+        return fetchGooglePage(null);
+    }
+
+    return engine.getMicrosoftToken().then(function(msToken) {
+        var fetchGraphPage = function(url) {
+            return fetch(url, {
+                headers: { 'Authorization': 'Bearer ' + msToken },
+                mode: 'cors',
+                signal: signal
+            }).then(function(response) {
+                if (!response.ok) {
+                    throw engine.httpError(response, 'Failed to read OneDrive permissions');
+                }
+                return response.json();
+            }).then(function(data) {
+                (data.value || []).forEach(function(permission) {
+                    results.push.apply(results, PermissionMigrator.fromGraph(permission));
+                });
+                return data['@odata.nextLink'] ? fetchGraphPage(data['@odata.nextLink']) : results;
+            });
+        };
+
+        return fetchGraphPage(endpoints.microsoft.graph + '/me/drive/items/' + fileId + '/permissions');
+    });
+};
+
+PermissionMigrator.fromDrive = function(permission) {
+    var roles = { reader: 'read', commenter: 'comment', writer: 'write', fileOrganizer: 'write', organizer: 'write', owner: 'owner' };
+    var details = permission.permissionDetails || [];
+
+    return {
+        kind: permission.type,
+        email: permission.emailAddress || null,
+        domain: permission.domain || null,
+        role: roles[permission.role] || 'read',
+        deleted: !!permission.deleted,
+        // Shared Drive items list the drive's members; only file-level shares are copied
+        inherited: details.length > 0 && details.every(function(detail) {
+            return detail.inherited;
+        }),
+        label: permission.emailAddress || permission.domain || permission.type
+    };
+};
+
+// A Graph permission is either a sharing link or a direct grant. "Specific people"
+// links are expanded into one entry per recipient.
+PermissionMigrator.fromGraph = function(permission) {
+    var graphRoles = permission.roles || [];
+    var role = graphRoles.indexOf('owner') !== -1 ? 'owner'
+        : graphRoles.indexOf('write') !== -1 ? 'write' : 'read';
+
+    function fromIdentity(identity) {
+        var group = identity.group || identity.siteGroup;
+        var user = identity.user || identity.siteUser;
+        var entity = group || user || {};
+        return {
+            kind: group ? 'group' : 'user',
+            email: entity.email || entity.loginName || null,
+            domain: null,
+            role: role,
+            deleted: false,
+            label: entity.email || entity.displayName || 'unknown identity'
+        };
+    }
+
+    if (permission.link) {
+        var linkRole = permission.link.type === 'edit' ? 'write' : 'read';
+
+        if (permission.link.scope === 'anonymous') {
+            return [{ kind: 'anyone', email: null, domain: null, role: linkRole, deleted: false, label: 'anyone with the link' }];
+        }
+        if (permission.link.scope === 'organization') {
+            return [{ kind: 'domain', email: null, domain: null, role: linkRole, deleted: false, label: 'people in the organization' }];
+        }
+        return (permission.grantedToIdentitiesV2 || []).map(function(identity) {
+            var entry = fromIdentity(identity);
+            entry.role = linkRole;
+            return entry;
+        });
+    }
+
+    if (permission.grantedToV2) {
+        return [fromIdentity(permission.grantedToV2)];
+    }
+    if (permission.invitation && permission.invitation.email) {
+        return [{ kind: 'user', email: permission.invitation.email, domain: null, role: role, deleted: false, label: permission.invitation.email }];
+    }
+    return [];
+};
+
+// Returns { grant } (plus a note when access had to be approximated),
+// { reason } when there is no equivalent or the destination Shared Drive forbids it,
+// or { skip } for the signed-in owner and Shared Drive membership
+PermissionMigrator.prototype.translate = function(permission, context) {
+    var translated = this.translatePermission(permission, context);
+    var reason = translated.grant && PermissionMigrator.sharedDriveRestriction(translated.grant, context);
+    return reason ? { reason: reason } : translated;
+};
+
+PermissionMigrator.prototype.translatePermission = function(permission, context) {
+    var self = this;
+    var toGoogle = context.destination === 'google';
+    var roles = toGoogle ? PermissionMigrator.DRIVE_ROLES : PermissionMigrator.GRAPH_ROLES;
+    var note = !toGoogle && permission.role === 'comment' ? 'OneDrive has no commenter role; granted read access' : null;
+
+    if (permission.inherited) {
+        return { skip: true };
+    }
+
+    if (permission.deleted) {
+        return { reason: 'the account no longer exists' };
+    }
+
+    if (permission.role === 'owner') {
+        if (permission.email && context.sourceAccount &&
+            permission.email.toLowerCase() === context.sourceAccount.toLowerCase()) {
+            return { skip: true };
+        }
+        return { reason: 'ownership cannot be transferred; the signed-in account owns the copy' };
+    }
+
+    if (permission.kind === 'anyone') {
+        return { grant: { kind: 'anyone', role: roles[permission.role], label: permission.label }, note: note };
+    }
+
+    if (permission.kind === 'domain') {
+        // Organization-wide sharing maps to the other tenant's own domain
+        var sourceDomain = permission.domain || PermissionMigrator.domainOf(context.sourceAccount);
+        var targetDomain = sourceDomain && self.mapDomain(sourceDomain, context);
+
+        if (!targetDomain) {
+            return { reason: 'no domain mapping for ' + (sourceDomain || 'the source organization') };
+        }
+        if (!toGoogle && targetDomain !== PermissionMigrator.domainOf(context.destinationAccount)) {
+            return { reason: 'OneDrive can only share with its own organization, not ' + targetDomain };
+        }
+        return {
+            grant: { kind: 'domain', domain: targetDomain, role: roles[permission.role], label: targetDomain },
+            note: note
+        };
+    }
+
+    if (!permission.email || permission.email.indexOf('@') === -1) {
+        return { reason: 'no email address for ' + permission.label };
+    }
+
+    var email = self.mapEmail(permission.email, context);
+    return {
+        grant: { kind: permission.kind, email: email, role: roles[permission.role], label: email },
+        note: note
+    };
+};
+
+// Why the destination Shared Drive's restrictions forbid grant, or null. Sharing with
+// non-members of a members-only drive is left to Drive to reject, since members
+// may belong through groups.
+PermissionMigrator.sharedDriveRestriction = function(grant, context) {
+    var drive = context.destinationDrive;
+    var restrictions = drive && drive.restrictions || {};
+    var ownDomain = PermissionMigrator.domainOf(context.destinationAccount);
+    var grantDomain = grant.domain || PermissionMigrator.domainOf(grant.email);
+
+    if (restrictions.driveMembersOnly && (grant.kind === 'anyone' || grant.kind === 'domain')) {
+        return 'Shared Drive "' + drive.name + '" only allows sharing with its members';
+    }
+    if (restrictions.domainUsersOnly && (grant.kind === 'anyone' || (ownDomain && grantDomain !== ownDomain))) {
+        return 'Shared Drive "' + drive.name + '" only allows sharing within ' + (ownDomain || 'its organization');
+    }
+    return null;
+};
+
+PermissionMigrator.domainOf = function(email) {
+    var at = email ? email.lastIndexOf('@') : -1;
+    return at === -1 ? null : email.slice(at + 1).toLowerCase();
+};
+
+// The domain map is keyed by Google domain; Microsoft -> Google looks it up in reverse.
+// Returns the domain unchanged when it has no entry.
+PermissionMigrator.prototype.mapDomain = function(domain, context) {
+    var map = context.domainMap;
+    domain = domain.toLowerCase();
+
+    if (context.source === 'google') {
+        return map[domain] || domain;
+    }
+
+    var match = Object.keys(map).filter(function(googleDomain) {
+        return String(map[googleDomain]).toLowerCase() === domain;
+    })[0];
+    return match || domain;
+};
+
+PermissionMigrator.prototype.mapEmail = function(email, context) {
+    var domain = PermissionMigrator.domainOf(email);
+    return email.slice(0, email.lastIndexOf('@') + 1) + this.mapDomain(domain, context);
+};
+
+// Email of the signed-in account on a provider, cached per provider
+PermissionMigrator.prototype.accountEmail = function(provider, signal) {
+    var engine = this.engine;
+    var endpoints = this.endpoints;
+    var self = this;
+
+    if (!this.accountEmails[provider]) {
+        var request;
+        if (provider === 'google') {
+            request = fetch(endpoints.google.drive + '/about?fields=user(emailAddress)', {
+                headers: { 'Authorization': 'Bearer ' + engine.getGoogleToken() },
+                mode: 'cors',
+                signal: signal
+            }).then(function(response) {
+                if (!response.ok) {
+                    throw engine.httpError(response, 'Failed to read the Google account');
+                }
+                return response.json();
+            }).then(function(data) {
+                return data.user && data.user.emailAddress || null;
+            });
+        } else {
+            request = engine.getMicrosoftToken().then(function(msToken) {
+                return fetch(endpoints.microsoft.graph + '/me?$select=mail,userPrincipalName', {
+                    headers: { 'Authorization': 'Bearer ' + msToken },
+                    mode: 'cors',
+                    signal: signal
+                });
+            }).then(function(response) {
+                if (!response.ok) {
+                    throw engine.httpError(response, 'Failed to read the Microsoft account');
+                }
+                return response.json();
+            }).then(function(data) {
+                return data.mail || data.userPrincipalName || null;
+            });
+        }
+
+        // Do not cache a failed lookup
+        this.accountEmails[provider] = request.catch(function(error) {
+            delete self.accountEmails[provider];
+            throw error;
+        });
+    }
+
+    return this.accountEmails[provider];
+};
+
+// Create one permission on the destination item. Invitations are sent without
+// notification emails; people already have access to the original.
+PermissionMigrator.prototype.applyGrant = function(destination, itemId, grant, signal) {
+    var engine = this.engine;
+    var endpoints = this.endpoints;
+
+    if (destination === 'google') {
+        var body = { type: grant.kind, role: grant.role };
+        if (grant.email) body.emailAddress = grant.email;
+        if (grant.domain) body.domain = grant.domain;
+
+        return fetch(ChunkedTransferEngine.driveUrl(endpoints.google.drive + '/files/' + itemId + '/permissions?sendNotificationEmail=false'), {
+            method: 'POST',
+            headers: {
+                'Authorization': 'Bearer ' + engine.getGoogleToken(),
+                'Content-Type': 'application/json'
+            },
+            mode: 'cors',
+            signal: signal,
+            body: JSON.stringify(body)
+        }).then(function(response) {
+            if (!response.ok) {
+                throw engine.httpError(response, 'Failed to share with ' + grant.label);
+            }
+            return response.json();
+        });
+    }
+
+    return engine.getMicrosoftToken().then(function(msToken) {
+        var isLink = grant.kind === 'anyone' || grant.kind === 'domain';
+        var url = endpoints.microsoft.graph + '/me/drive/items/' + itemId + (isLink ? '/createLink' : '/invite');
+        var body = isLink ? {
+            type: grant.role === 'write' ? 'edit' : 'view',
+            scope: grant.kind === 'anyone' ? 'anonymous' : 'organization'
+        } : {
+            recipients: [{ email: grant.email }],
+            roles: [grant.role],
+            requireSignIn: true,
+            sendInvitation: false
+        };
+
+        return fetch(url, {
+            method: 'POST',
+            headers: {
+                'Authorization': 'Bearer ' + msToken,
+                'Content-Type': 'application/json'
+            },
+            mode: 'cors',
+            signal: signal,
+            body: JSON.stringify(body)
+        });
+    }).then(function(response) {
+        if (!response.ok) {
+            throw engine.httpError(response, 'Failed to share with ' + grant.label);
+        }
+        return response.json();
+    });
+};
+
+if (typeof window !== 'undefined') {
+    window.PermissionMigrator = PermissionMigrator;
+}
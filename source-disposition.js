@@ -0,0 +1,293 @@
+// DriveBridge Source Disposition - ES5 Compatible post-transfer handling of sources
+// Once a file has been copied, leaves the source alone, stamps it as migrated,
+// moves it into an archive folder or sends it to the provider's trash, so a
+// batch can act as a move instead of a copy
+
+function SourceDisposition(engine) {
+    this.engine = engine;
+}
+
+SourceDisposition.POLICIES = ['keep', 'mark', 'archive', 'trash'];
+
+// Archiving and trashing remove the file from where users look for it, so they
+// need a transfer whose checksums were compared on at least one side
+SourceDisposition.VERIFIED_STATUSES = ['verified', 'partial'];
+
+// Drive capability each policy needs on the source; Shared Drive roles often lack them
+SourceDisposition.CAPABILITIES = { mark: 'canEdit', archive: 'canMoveItemWithinDrive', trash: 'canTrash' };
+
+SourceDisposition.DEFAULT_ARCHIVE_NAME = 'Migrated';
+SourceDisposition.FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// Line added to the source's description by the 'mark' policy
+SourceDisposition.markText = function(destination, destinationId, date) {
+    return 'Migrated to ' + (destination === 'google' ? 'Google Drive' : 'OneDrive') +
+        ' by DriveBridge on ' + date.toISOString().slice(0, 10) + ' (item ' + destinationId + ')';
+};
+
+SourceDisposition.prototype.request = function(provider, path, options) {
+    var engine = this.engine;
+    options = options || {};
+
+    var token = provider === 'google'
+        ? Promise.resolve(engine.getGoogleToken())
+        : engine.getMicrosoftToken();
+
+    return token.then(function(accessToken) {
+        if (!accessToken) {
+            throw new Error('No ' + (provider === 'google' ? 'Google' : 'Microsoft') + ' access token available');
+        }
+
+        var headers = { 'Authorization': 'Bearer ' + accessToken };
+        if (options.body) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        var url = provider === 'google'
+            ? (options.listing ? ChunkedTransferEngine.driveListUrl : ChunkedTransferEngine.driveUrl)('https://www.googleapis.com/drive/v3/' + path)
+            : 'https://graph.microsoft.com/v1.0/' + path;
+        return fetch(url, {
+            method: options.method || 'GET',
+            headers: headers,
+            mode: 'cors',
+            signal: options.signal,
+            body: options.body ? JSON.stringify(options.body) : undefined
+        });
+    }).then(function(response) {
+        if (!response.ok) {
+            throw engine.httpError(response, options.errorMessage || 'Source disposition request failed');
+        }
+        return response.status === 204 ? null : response.json();
+    });
+};
+
+// Apply spec to the source of a finished transfer. spec is { policy, archiveParentId,
+// archiveName } shared by the batch; result is the engine's transfer result.
+// Never rejects unless cancelled; resolves with { policy, status, reason, error, location }
+// where status is 'kept', 'marked', 'archived', 'trashed', 'withheld' or 'failed'.
+SourceDisposition.prototype.apply = function(transfer, result, spec) {
+    var policy = spec && spec.policy || 'keep';
+    var signal = transfer.control && transfer.control.signal;
+    var verification = result.verification && result.verification.status;
+    var capability = SourceDisposition.CAPABILITIES[policy];
+    var action;
+
+    if (policy === 'keep') {
+        return Promise.resolve({ policy: policy, status: 'kept' });
+    }
+
+    if ((policy === 'archive' || policy === 'trash') && SourceDisposition.VERIFIED_STATUSES.indexOf(verification) === -1) {
+        action = Promise.resolve({
+            policy: policy,
+            status: 'withheld',
+            reason: 'the copy could not be verified (' + (verification || 'no integrity check') + ')'
+        });
+    } else if (capability && transfer.capabilities && transfer.capabilities[capability] === false) {
+        action = Promise.resolve({
+            policy: policy,
+            status: 'withheld',
+            reason: 'your access to the source does not allow it (' + capability + ')'
+        });
+    } else if (policy === 'mark') {
+        action = this.mark(transfer, result, signal).then(function() {
+            return { policy: policy, status: 'marked' };
+        });
+    } else if (policy === 'archive') {
+        action = this.archive(transfer, spec, signal).then(function(location) {
+            return { policy: policy, status: 'archived', location: location };
+        });
+    } else if (policy === 'trash') {
+        action = this.trash(transfer.source, transfer.fileId, signal).then(function() {
+            return { policy: policy, status: 'trashed' };
+        });
+    } else {
+        action = Promise.reject(new Error('Unknown source disposition policy: ' + policy));
+    }
+
+    return action.catch(function(error) {
+        if (transfer.control && transfer.control.cancelled) {
+            throw error;
+        }
+        return { policy: policy, status: 'failed', error: error.message };
+    }).then(function(record) {
+        if (window.logger) {
+            window.logger[record.status === 'failed' || record.status === 'withheld' ? 'warn' : 'info'](
+                'Source ' + record.status + ': ' + transfer.fileName, {
+                    fileId: transfer.fileId,
+                    source: transfer.source,
+                    disposition: record
+                }, 'DISPOSITION');
+        }
+        return record;
+    });
+};
+
+// Drive gets searchable properties plus a description line; Graph items only
+// have the description
+SourceDisposition.prototype.mark = function(transfer, result, signal) {
+    var now = new Date();
+    var note = SourceDisposition.markText(transfer.destination, result.destinationId, now);
+    var existing = transfer.metadata && transfer.metadata.description;
+    var description = existing ? existing + '\n\n' + note : note;
+
+    if (transfer.source === 'google') {
+        return this.request('google', 'files/' + transfer.fileId + '?fields=id', {
+            method: 'PATCH',
+            signal: signal,
+            body: {
+                description: description,
+                properties: {
+                    driveBridgeMigratedTo: transfer.destination,
+                    driveBridgeDestinationId: result.destinationId,
+                    driveBridgeMigratedAt: now.toISOString()
+                }
+            },
+            errorMessage: 'Failed to mark Google Drive file as migrated'
+        });
+    }
+    return this.request('onedrive', 'me/drive/items/' + transfer.fileId, {
+        method: 'PATCH',
+        signal: signal,
+        body: { description: description },
+        errorMessage: 'Failed to mark OneDrive file as migrated'
+    });
+};
+
+// Move the source into the batch's archive folder, below the same folder path
+// it had in the batch. Resolves with the archive path.
+SourceDisposition.prototype.archive = function(transfer, spec, signal) {
+    var self = this;
+    var provider = transfer.source;
+    var segments = [spec.archiveName || SourceDisposition.DEFAULT_ARCHIVE_NAME]
+        .concat((transfer.sourceFolderPath || '').split('/').filter(Boolean));
+
+    var folder = segments.reduce(function(previous, name) {
+        return previous.then(function(parentId) {
+            return self.ensureFolder(spec, provider, parentId, name);
+        });
+    }, Promise.resolve(spec.archiveParentId));
+
+    return folder.then(function(folderId) {
+        return self.move(provider, transfer.fileId, folderId, signal);
+    }).then(function() {
+        return segments.join('/');
+    });
+};
+
+// Folder lookups are cached on the spec as promises, so files of one batch
+// running side by side share a single create. They run without the file's
+// signal: cancelling one file must not fail the lookup for the others.
+SourceDisposition.prototype.ensureFolder = function(spec, provider, parentId, name) {
+    var self = this;
+    var cache = spec.folders || (spec.folders = {});
+    // OneDrive names are case-insensitive, Drive names are not
+    var key = provider + ':' + parentId + '/' + (provider === 'onedrive' ? name.toLowerCase() : name);
+
+    if (!cache[key]) {
+        cache[key] = this.findFolder(provider, parentId, name).then(function(folderId) {
+            return folderId || self.createFolder(provider, parentId, name);
+        });
+        cache[key].catch(function() {
+            delete cache[key];
+        });
+    }
+    return cache[key];
+};
+
+SourceDisposition.prototype.findFolder = function(provider, parentId, name, signal) {
+    if (provider === 'google') {
+        var query = "name = '" + name.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "' and '" + parentId +
+            "' in parents and mimeType = '" + SourceDisposition.FOLDER_MIME_TYPE + "' and trashed = false";
+        return this.request('google', 'files?q=' + encodeURIComponent(query) + '&fields=files(id)&pageSize=1', {
+            signal: signal,
+            listing: true,
+            errorMessage: 'Failed to look up archive folder'
+        }).then(function(data) {
+            return data.files && data.files[0] ? data.files[0].id : null;
+        });
+    }
+
+    var parentPath = parentId === 'root' ? 'me/drive/root' : 'me/drive/items/' + parentId;
+    return this.request('onedrive', parentPath + ':/' + encodeURIComponent(name) + '?select=id,folder', {
+        signal: signal,
+        errorMessage: 'Failed to look up archive folder'
+    }).then(function(item) {
+        if (!item.folder) {
+            throw new Error('"' + name + '" exists in the archive location but is not a folder');
+        }
+        return item.id;
+    }, function(error) {
+        if (error.status === 404) {
+            return null;
+        }
+        throw error;
+    });
+};
+
+SourceDisposition.prototype.createFolder = function(provider, parentId, name, signal) {
+    var request = provider === 'google'
+        ? this.request('google', 'files?fields=id', {
+            method: 'POST',
+            signal: signal,
+            body: { name: name, mimeType: SourceDisposition.FOLDER_MIME_TYPE, parents: [parentId] },
+            errorMessage: 'Failed to create archive folder'
+        })
+        : this.request('onedrive', 'me/drive/items/' + parentId + '/children', {
+            method: 'POST',
+            signal: signal,
+            body: { name: name, folder: {}, '@microsoft.graph.conflictBehavior': 'fail' },
+            errorMessage: 'Failed to create archive folder'
+        });
+
+    return request.then(function(item) {
+        return item.id;
+    });
+};
+
+// Drive moves by swapping parents; OneDrive renames the item when the archive
+// folder already holds one with the same name
+SourceDisposition.prototype.move = function(provider, itemId, folderId, signal) {
+    var self = this;
+
+    if (provider === 'google') {
+        return this.request('google', 'files/' + itemId + '?fields=parents', {
+            signal: signal,
+            errorMessage: 'Failed to read Google Drive file parents'
+        }).then(function(item) {
+            return self.request('google', 'files/' + itemId + '?fields=id&addParents=' + encodeURIComponent(folderId) +
+                '&removeParents=' + encodeURIComponent((item.parents || []).join(',')), {
+                method: 'PATCH',
+                signal: signal,
+                body: {},
+                errorMessage: 'Failed to move Google Drive file to the archive folder'
+            });
+        });
+    }
+    return this.request('onedrive', 'me/drive/items/' + itemId + '?@microsoft.graph.conflictBehavior=rename', {
+        method: 'PATCH',
+        signal: signal,
+        body: { parentReference: { id: folderId } },
+        errorMessage: 'Failed to move OneDrive file to the archive folder'
+    });
+};
+
+// Drive items go to the trash and OneDrive items to the recycle bin
+SourceDisposition.prototype.trash = function(provider, itemId, signal) {
+    if (provider === 'google') {
+        return this.request('google', 'files/' + itemId + '?fields=id', {
+            method: 'PATCH',
+            signal: signal,
+            body: { trashed: true },
+            errorMessage: 'Failed to move Google Drive file to trash'
+        });
+    }
+    return this.request('onedrive', 'me/drive/items/' + itemId, {
+        method: 'DELETE',
+        signal: signal,
+        errorMessage: 'Failed to delete OneDrive file'
+    });
+};
+
+if (typeof window !== 'undefined') {
+    window.SourceDisposition = SourceDisposition;
+}
@@ -0,0 +1,111 @@
+// DriveBridge Throughput Tuner - ES5 Compatible adaptive chunk size and concurrency
+// Fed with per-request timings and failures by the transfer engine; shrinks chunks
+// and parallelism quickly on errors and grows them back while the link keeps up
+
+function ThroughputTuner(options) {
+    options = options || {};
+    this.minChunkSize = options.minChunkSize || 1280 * 1024;
+    this.maxChunkSize = Math.max(this.minChunkSize, options.maxChunkSize || 60 * 1024 * 1024 - 320 * 1024);
+    this.chunkSize = this.clamp(options.chunkSize || 8 * 1024 * 1024, this.minChunkSize, this.maxChunkSize);
+    this.minConcurrency = options.minConcurrency || 1;
+    this.maxConcurrency = Math.max(this.minConcurrency, options.maxConcurrency || 8);
+    this.concurrency = this.clamp(options.concurrency || 3, this.minConcurrency, this.maxConcurrency);
+    // How long a single chunk request should take at the measured rate
+    this.targetChunkSeconds = options.targetChunkSeconds || 5;
+
+    this.throughput = null;      // smoothed bytes per second of a single request
+    this.errorRate = 0;          // smoothed share of failed requests
+    this.successStreak = 0;
+    this.aggregateAtIncrease = null;
+}
+
+// Weight of the newest sample in the moving averages
+ThroughputTuner.SMOOTHING = 0.3;
+// Above this error rate the tuner only shrinks, never grows
+ThroughputTuner.MAX_ERROR_RATE = 0.1;
+
+ThroughputTuner.prototype.clamp = function(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+};
+
+ThroughputTuner.prototype.recordSample = function(bytes, durationMs) {
+    if (!bytes || bytes <= 0) return;
+
+    var rate = bytes / Math.max(durationMs, 1) * 1000;
+    var a = ThroughputTuner.SMOOTHING;
+
+    this.throughput = this.throughput === null ? rate : this.throughput * (1 - a) + rate * a;
+    this.errorRate = this.errorRate * (1 - a);
+    this.successStreak++;
+    this.adjust();
+};
+
+// Halve chunk size and parallelism right away so a flaky link recovers quickly
+ThroughputTuner.prototype.recordFailure = function() {
+    var a = ThroughputTuner.SMOOTHING;
+    var before = this.snapshot();
+
+    this.errorRate = this.errorRate * (1 - a) + a;
+    this.successStreak = 0;
+    this.aggregateAtIncrease = null;
+    this.chunkSize = this.clamp(Math.floor(this.chunkSize / 2), this.minChunkSize, this.maxChunkSize);
+    this.concurrency = this.clamp(Math.floor(this.concurrency / 2), this.minConcurrency, this.maxConcurrency);
+
+    this.logChange(before, 'request failed');
+};
+
+ThroughputTuner.prototype.adjust = function() {
+    if (this.errorRate > ThroughputTuner.MAX_ERROR_RATE) return;
+
+    var before = this.snapshot();
+
+    // Size chunks so one request takes about targetChunkSeconds, moving at most 2x per step
+    var target = this.throughput * this.targetChunkSeconds;
+    target = this.clamp(target, this.chunkSize / 2, this.chunkSize * 2);
+    this.chunkSize = Math.round(this.clamp(target, this.minChunkSize, this.maxChunkSize));
+
+    // Add one parallel request after a run of clean ones, and give it back if the
+    // combined throughput did not improve since the last increase
+    if (this.successStreak >= this.concurrency * 2) {
+        var aggregate = this.throughput * this.concurrency;
+
+        if (this.aggregateAtIncrease !== null && aggregate < this.aggregateAtIncrease * 1.1) {
+            this.concurrency = Math.max(this.minConcurrency, this.concurrency - 1);
+            this.aggregateAtIncrease = null;
+        } else if (this.concurrency < this.maxConcurrency) {
+            this.aggregateAtIncrease = aggregate;
+            this.concurrency++;
+        }
+        this.successStreak = 0;
+    }
+
+    this.logChange(before, 'throughput sample');
+};
+
+// Largest multiple of the provider's chunk granularity not above the current size
+ThroughputTuner.prototype.chunkSizeFor = function(granularity) {
+    granularity = granularity || 1;
+    return Math.max(granularity, Math.floor(this.chunkSize / granularity) * granularity);
+};
+
+ThroughputTuner.prototype.snapshot = function() {
+    return { chunkSize: this.chunkSize, concurrency: this.concurrency };
+};
+
+ThroughputTuner.prototype.logChange = function(before, reason) {
+    if (!window.logger) return;
+    if (before.chunkSize === this.chunkSize && before.concurrency === this.concurrency) return;
+
+    window.logger.debug('Transfer tuning changed (' + reason + ')', {
+        chunkSize: this.chunkSize,
+        concurrency: this.concurrency,
+        previousChunkSize: before.chunkSize,
+        previousConcurrency: before.concurrency,
+        throughput: this.throughput === null ? null : Math.round(this.throughput),
+        errorRate: Math.round(this.errorRate * 100) / 100
+    }, 'TUNER');
+};
+
+if (typeof window !== 'undefined') {
+    window.ThroughputTuner = ThroughputTuner;
+}
@@ -0,0 +1,53 @@
+// DriveBridge Time Window - ES5 Compatible daily hours such as "22:00 to 06:00"
+// Shared by the mirror scheduler (when jobs may run) and the bandwidth limiter
+// (when scheduled caps apply). Hours are { start: 'HH:MM', end: 'HH:MM' } in
+// local time; when end is before start they run across midnight.
+
+var TimeWindow = {};
+
+// Minutes after midnight for "HH:MM", or NaN
+TimeWindow.parseTime = function(value) {
+    var match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+        return NaN;
+    }
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+TimeWindow.isValid = function(hours) {
+    return !!hours && !isNaN(TimeWindow.parseTime(hours.start)) && !isNaN(TimeWindow.parseTime(hours.end));
+};
+
+// Whether time falls within hours; null hours mean any time
+TimeWindow.contains = function(hours, time) {
+    if (!hours) {
+        return true;
+    }
+    var start = TimeWindow.parseTime(hours.start);
+    var end = TimeWindow.parseTime(hours.end);
+    var date = new Date(time);
+    var minutes = date.getHours() * 60 + date.getMinutes();
+
+    if (start === end) {
+        return true;
+    }
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+};
+
+// time itself when it falls within hours, otherwise the next time they start
+TimeWindow.firstAllowedTime = function(hours, time) {
+    if (TimeWindow.contains(hours, time)) {
+        return time;
+    }
+    var start = TimeWindow.parseTime(hours.start);
+    var next = new Date(time);
+    next.setHours(Math.floor(start / 60), start % 60, 0, 0);
+    if (next.getTime() <= time) {
+        next.setDate(next.getDate() + 1);
+    }
+    return next.getTime();
+};
+
+if (typeof window !== 'undefined') {
+    window.TimeWindow = TimeWindow;
+}
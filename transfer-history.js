@@ -0,0 +1,196 @@
+// DriveBridge Transfer History - ES5 Compatible persistent batch history
+// Records every transfer batch (folders, options, per-file outcomes, sizes and
+// durations) in TransferStore so it survives reloads and log clearing, and
+// filters the recorded batches for the history view
+
+function TransferHistory(store, limit) {
+    this.store = store;
+    this.limit = limit || TransferHistory.LIMIT;
+    // Batches started in this page; other 'running' entries were interrupted
+    this.active = {};
+}
+
+// Oldest batches beyond this many are dropped
+TransferHistory.LIMIT = 500;
+
+// Folder path arrays ([{ id, name }], as in the file browser) as "Root/Finance/Q3"
+TransferHistory.pathString = function(folderPath) {
+    return (folderPath || []).map(function(folder) {
+        return folder.name;
+    }).join('/');
+};
+
+TransferHistory.outcomeOf = function(result) {
+    if (result.skipped) return 'skipped';
+    if (result.success) return 'transferred';
+    return result.cancelled ? 'cancelled' : 'failed';
+};
+
+// batch is { id, from, to, sourceFolder, destinationFolder, items, options } where
+// the folders are folder path arrays and items the selected { id, name, isFolder }.
+// The entry is saved as 'running' so a batch cut short by a reload still shows up.
+TransferHistory.prototype.begin = function(batch) {
+    var entry = {
+        id: batch.id,
+        startedAt: Date.now(),
+        finishedAt: null,
+        duration: null,
+        from: batch.from,
+        to: batch.to,
+        sourceFolder: batch.sourceFolder,
+        destinationFolder: batch.destinationFolder,
+        items: batch.items,
+        options: batch.options || {},
+        status: 'running',
+        totals: null,
+        files: []
+    };
+
+    this.active[entry.id] = true;
+    return this.save(entry);
+};
+
+// results are the batch's result entries; files the fileInfo objects that were
+// queued, for sizes and folder paths
+TransferHistory.prototype.complete = function(entry, results, files, foldersCreated) {
+    var self = this;
+    var byId = {};
+    (files || []).forEach(function(fileInfo) {
+        byId[fileInfo.id] = fileInfo;
+    });
+
+    var totals = { files: results.length, transferred: 0, skipped: 0, failed: 0, cancelled: 0, bytes: 0 };
+
+    entry.files = results.map(function(result) {
+        var fileInfo = byId[result.fileId] || {};
+        var outcome = TransferHistory.outcomeOf(result);
+        var size = parseInt(fileInfo.size, 10) || 0;
+
+        totals[outcome]++;
+        if (outcome === 'transferred') {
+            totals.bytes += size;
+        }
+
+        return {
+            fileId: result.fileId,
+            name: result.fileName,
+            path: fileInfo._originalFolder || '',
+            size: fileInfo.size !== undefined ? size : null,
+            outcome: outcome,
+            destinationId: result.destinationId || null,
+            savedAs: result.savedAs || null,
+            verification: result.verification ? result.verification.status : null,
+            conflict: result.conflict ? result.conflict.outcome : null,
+            disposition: result.disposition ? result.disposition.status : null,
+            duration: result.duration || null,
+            error: result.error ? result.error.message || String(result.error) : null
+        };
+    });
+
+    entry.totals = totals;
+    entry.foldersCreated = foldersCreated || 0;
+    entry.finishedAt = Date.now();
+    entry.duration = entry.finishedAt - entry.startedAt;
+    entry.status = totals.failed > 0 ? 'completed-with-errors'
+        : totals.cancelled > 0 ? 'cancelled' : 'completed';
+
+    delete this.active[entry.id];
+    return this.save(entry).then(function(saved) {
+        return self.prune().catch(function(error) {
+            if (window.logger) {
+                window.logger.warn('Failed to prune transfer history', { error: error.message }, 'HISTORY');
+            }
+        }).then(function() {
+            return saved;
+        });
+    });
+};
+
+TransferHistory.prototype.save = function(entry) {
+    return this.store.saveHistoryEntry(entry).catch(function(error) {
+        if (window.logger) {
+            window.logger.warn('Failed to save transfer history', { batchId: entry.id, error: error.message }, 'HISTORY');
+        }
+    }).then(function() {
+        return entry;
+    });
+};
+
+TransferHistory.prototype.prune = function() {
+    var limit = this.limit;
+    var store = this.store;
+
+    return store.getAllHistory().then(function(entries) {
+        if (entries.length <= limit) {
+            return null;
+        }
+        var stale = entries.sort(function(a, b) {
+            return b.startedAt - a.startedAt;
+        }).slice(limit).map(function(entry) {
+            return entry.id;
+        });
+        return store.deleteHistory(stale);
+    });
+};
+
+// Newest first
+TransferHistory.prototype.list = function() {
+    var active = this.active;
+
+    return this.store.getAllHistory().then(function(entries) {
+        entries.forEach(function(entry) {
+            if (entry.status === 'running' && !active[entry.id]) {
+                entry.status = 'interrupted';
+            }
+        });
+        return entries.sort(function(a, b) {
+            return b.startedAt - a.startedAt;
+        });
+    });
+};
+
+TransferHistory.prototype.clear = function() {
+    return this.store.deleteHistory();
+};
+
+// filters is { query, status, direction, since }. query matches (case-insensitively)
+// file names and paths, folder paths and errors; direction is the source provider;
+// since is a timestamp.
+TransferHistory.matches = function(entry, filters) {
+    filters = filters || {};
+
+    if (filters.status && entry.status !== filters.status) {
+        return false;
+    }
+    if (filters.direction && entry.from !== filters.direction) {
+        return false;
+    }
+    if (filters.since && entry.startedAt < filters.since) {
+        return false;
+    }
+    if (!filters.query) {
+        return true;
+    }
+
+    var query = filters.query.toLowerCase();
+    var haystack = [
+        TransferHistory.pathString(entry.sourceFolder),
+        TransferHistory.pathString(entry.destinationFolder)
+    ].concat((entry.items || []).map(function(item) {
+        return item.name;
+    }));
+
+    (entry.files || []).forEach(function(file) {
+        haystack.push(file.path ? file.path + '/' + file.name : file.name);
+        if (file.savedAs) haystack.push(file.savedAs);
+        if (file.error) haystack.push(file.error);
+    });
+
+    return haystack.some(function(text) {
+        return text && text.toLowerCase().indexOf(query) !== -1;
+    });
+};
+
+if (typeof window !== 'undefined') {
+    window.TransferHistory = TransferHistory;
+}
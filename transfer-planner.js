@@ -0,0 +1,183 @@
+// DriveBridge Transfer Planner - ES5 Compatible pre-flight checks
+// Collects the files and folders of a batch before anything is written and
+// reports totals, oversized files, names the destination rejects, name
+// collisions and whether the destination quota can hold the batch
+
+// exportExtensions maps Workspace MIME types to the extension their export gets
+// (e.g. '.docx'), so those files are checked under the name they are uploaded as
+function TransferPlanner(source, destination, conflictPolicy, exportExtensions) {
+    this.source = source;
+    this.destination = destination;
+    this.conflictPolicy = conflictPolicy || 'keepBoth';
+    this.exportExtensions = exportExtensions || {};
+    this.files = [];
+    this.folders = [];
+    this.bytes = 0;
+    this.workspaceFiles = 0;
+    this.tooLarge = [];
+    this.invalidNames = [];
+    this.collisions = [];
+    this.quota = null;
+    this.unreadable = [];
+    // Destination paths already taken within this batch
+    this.plannedPaths = {};
+}
+
+// Largest single file each destination accepts
+TransferPlanner.MAX_FILE_SIZE = {
+    onedrive: 250 * 1024 * 1024 * 1024,
+    google: 5 * 1024 * 1024 * 1024 * 1024
+};
+
+// Why the destination would reject a file or folder name, or null when it is fine.
+// Drive accepts any name except an empty one; OneDrive's rules live in NameSanitizer.
+TransferPlanner.invalidNameReason = function(name, destination) {
+    if (!name || !name.trim()) {
+        return 'the name is empty';
+    }
+    return destination === 'onedrive' ? NameSanitizer.invalidReason(name) : null;
+};
+
+// OneDrive names are case-insensitive and compared after sanitization, since
+// names that differ only in illegal characters or Unicode form end up the same
+TransferPlanner.prototype.nameKey = function(name) {
+    return this.destination === 'onedrive' ? NameSanitizer.sanitizeName(name).toLowerCase() : name;
+};
+
+// path is the destination-relative folder path ('' for the destination folder itself)
+TransferPlanner.prototype.addFolder = function(name, path) {
+    var fullPath = path ? path + '/' + name : name;
+    var reason = TransferPlanner.invalidNameReason(name, this.destination);
+
+    this.folders.push(fullPath);
+    if (reason) {
+        this.invalidNames.push({ path: fullPath, type: 'folder', reason: reason, sanitized: NameSanitizer.sanitizeName(name) });
+    }
+};
+
+// Lookup of the names already in a destination folder, for addFile
+TransferPlanner.prototype.nameIndex = function(names) {
+    var self = this;
+    var index = {};
+    names.forEach(function(name) { index[self.nameKey(name)] = true; });
+    return index;
+};
+
+// existingNames is a nameIndex of the destination folder, or null when that
+// folder does not exist yet
+TransferPlanner.prototype.addFile = function(fileInfo, path, isWorkspace, existingNames) {
+    var name = isWorkspace
+        ? ChunkedTransferEngine.exportFileName(fileInfo.name, this.exportExtensions[fileInfo.mimeType])
+        : fileInfo.name;
+    var fullPath = path ? path + '/' + name : name;
+    var size = parseInt(fileInfo.size, 10) || 0;
+    var maxSize = TransferPlanner.MAX_FILE_SIZE[this.destination];
+    var reason = TransferPlanner.invalidNameReason(name, this.destination);
+
+    this.files.push({ path: fullPath, size: isWorkspace ? null : size, workspace: isWorkspace });
+
+    // Workspace files have no size until they are exported
+    if (isWorkspace) {
+        this.workspaceFiles++;
+    } else {
+        this.bytes += size;
+        if (maxSize && size > maxSize) {
+            this.tooLarge.push({ path: fullPath, size: size, limit: maxSize });
+        }
+    }
+
+    if (reason) {
+        this.invalidNames.push({ path: fullPath, type: 'file', reason: reason, sanitized: NameSanitizer.sanitizeName(name) });
+    }
+
+    var key = (path || '') + '/' + this.nameKey(name);
+
+    if (existingNames && existingNames[this.nameKey(name)]) {
+        this.collisions.push({ path: fullPath, with: 'existing', policy: this.conflictPolicy });
+    } else if (this.plannedPaths[key]) {
+        this.collisions.push({ path: fullPath, with: 'batch', policy: this.conflictPolicy });
+    }
+    this.plannedPaths[key] = true;
+};
+
+// A folder that could not be listed; its contents are missing from the plan
+TransferPlanner.prototype.addError = function(path, message) {
+    this.unreadable.push({ path: path, error: message });
+};
+
+// limit is null for unlimited storage
+TransferPlanner.prototype.setQuota = function(limit, used) {
+    var available = limit === null ? null : Math.max(0, limit - used);
+    this.quota = {
+        limit: limit,
+        used: used,
+        available: available,
+        sufficient: available === null || this.bytes <= available
+    };
+};
+
+TransferPlanner.prototype.hasProblems = function() {
+    return this.tooLarge.length > 0 || this.invalidNames.length > 0 || this.unreadable.length > 0 ||
+        this.collisions.length > 0 || (this.quota !== null && !this.quota.sufficient);
+};
+
+TransferPlanner.prototype.summary = function() {
+    return {
+        source: this.source,
+        destination: this.destination,
+        conflictPolicy: this.conflictPolicy,
+        files: this.files.length,
+        folders: this.folders.length,
+        bytes: this.bytes,
+        workspaceFiles: this.workspaceFiles,
+        tooLarge: this.tooLarge,
+        invalidNames: this.invalidNames,
+        collisions: this.collisions,
+        unreadable: this.unreadable,
+        quota: this.quota
+    };
+};
+
+// One row per file with its checks, for the "Export Plan" download
+TransferPlanner.prototype.toCsv = function() {
+    function cell(value) {
+        var text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+
+    function byPath(list) {
+        var index = {};
+        list.forEach(function(entry) { index[entry.path] = entry; });
+        return index;
+    }
+
+    var tooLarge = byPath(this.tooLarge);
+    var invalidNames = byPath(this.invalidNames);
+    var collisions = byPath(this.collisions);
+    var rows = [['path', 'size', 'workspace', 'too_large', 'invalid_name', 'collision']];
+
+    this.files.forEach(function(file) {
+        var invalid = invalidNames[file.path];
+        var collision = collisions[file.path];
+        rows.push([
+            file.path,
+            file.size,
+            file.workspace ? 'yes' : '',
+            tooLarge[file.path] ? 'yes' : '',
+            invalid ? invalid.reason : '',
+            collision ? collision.with + ' (' + collision.policy + ')' : ''
+        ]);
+    });
+
+    this.invalidNames.filter(function(entry) { return entry.type === 'folder'; }).forEach(function(entry) {
+        rows.push([entry.path + '/', '', '', '', entry.reason, '']);
+    });
+
+    return rows.map(function(row) {
+        return row.map(cell).join(',');
+    }).join('\n');
+};
+
+if (typeof window !== 'undefined') {
+    window.TransferPlanner = TransferPlanner;
+}
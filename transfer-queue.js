@@ -0,0 +1,58 @@
+// DriveBridge Transfer Queue - ES5 Compatible concurrency-limited task runner
+// Used for file-level parallelism in batches and for the engine's global request limit
+
+function TransferQueue(concurrency, name) {
+    this.concurrency = Math.max(1, concurrency || 1);
+    this.name = name || 'queue';
+    this.active = 0;
+    this.pending = [];
+}
+
+// Queue a function returning a promise; resolves with that promise's result
+// once a slot is free and the task has finished
+TransferQueue.prototype.add = function(task) {
+    var self = this;
+
+    return new Promise(function(resolve, reject) {
+        self.pending.push({ task: task, resolve: resolve, reject: reject });
+        self.next();
+    });
+};
+
+TransferQueue.prototype.next = function() {
+    var self = this;
+
+    while (this.active < this.concurrency && this.pending.length > 0) {
+        var item = this.pending.shift();
+        this.active++;
+
+        Promise.resolve()
+            .then(item.task)
+            .then(item.resolve, item.reject)
+            .then(function() {
+                self.active--;
+                self.next();
+            });
+    }
+};
+
+// Change the number of slots; extra queued tasks start immediately when it grows
+TransferQueue.prototype.setConcurrency = function(concurrency) {
+    this.concurrency = Math.max(1, concurrency || 1);
+
+    if (window.logger) {
+        window.logger.debug('Queue concurrency changed: ' + this.name, {
+            concurrency: this.concurrency
+        }, 'QUEUE');
+    }
+
+    this.next();
+};
+
+TransferQueue.prototype.size = function() {
+    return this.pending.length + this.active;
+};
+
+if (typeof window !== 'undefined') {
+    window.TransferQueue = TransferQueue;
+}
@@ -0,0 +1,283 @@
+// DriveBridge Transfer Store - ES5 Compatible IndexedDB persistence
+// Keeps in-flight upload sessions so transfers can resume after a reload,
+// saved preferences, the sync pairs with their last-seen state, scheduled
+// mirror jobs with their run history and the history of transfer batches
+
+function TransferStore(dbName) {
+    this.dbName = dbName || 'drivebridge';
+    this.dbVersion = 5;
+    this.dbPromise = null;
+    this.available = typeof indexedDB !== 'undefined';
+
+    if (window.logger) {
+        window.logger.info('Transfer Store initialized', {
+            dbName: this.dbName,
+            available: this.available
+        }, 'STORE');
+    }
+}
+
+// Object stores created on upgrade, keyed by store name
+TransferStore.STORES = {
+    uploadSessions: { keyPath: 'id' },
+    preferences: { keyPath: 'key' },
+    syncPairs: { keyPath: 'id' },
+    syncState: { keyPath: 'pairId' },
+    mirrorJobs: { keyPath: 'id' },
+    transferHistory: { keyPath: 'id' }
+};
+
+TransferStore.prototype.open = function() {
+    var self = this;
+
+    if (!this.available) {
+        return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    }
+
+    if (!this.dbPromise) {
+        this.dbPromise = new Promise(function(resolve, reject) {
+            var request = indexedDB.open(self.dbName, self.dbVersion);
+
+            request.onupgradeneeded = function() {
+                var db = request.result;
+                Object.keys(TransferStore.STORES).forEach(function(storeName) {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName, TransferStore.STORES[storeName]);
+                    }
+                });
+            };
+
+            request.onsuccess = function() {
+                resolve(request.result);
+            };
+
+            request.onerror = function() {
+                self.dbPromise = null;
+                reject(request.error || new Error('Failed to open IndexedDB'));
+            };
+        });
+    }
+
+    return this.dbPromise;
+};
+
+// Run a single request against an object store and resolve with its result
+TransferStore.prototype.request = function(storeName, mode, operation) {
+    return this.open().then(function(db) {
+        return new Promise(function(resolve, reject) {
+            var tx = db.transaction(storeName, mode);
+            var request = operation(tx.objectStore(storeName));
+            var result;
+
+            request.onsuccess = function() {
+                result = request.result;
+            };
+            tx.oncomplete = function() {
+                resolve(result);
+            };
+            tx.onerror = function() {
+                reject(tx.error || request.error);
+            };
+            tx.onabort = function() {
+                reject(tx.error || new Error('IndexedDB transaction aborted'));
+            };
+        });
+    });
+};
+
+TransferStore.prototype.saveSession = function(session) {
+    session.updatedAt = Date.now();
+    return this.request('uploadSessions', 'readwrite', function(store) {
+        return store.put(session);
+    });
+};
+
+TransferStore.prototype.getSession = function(id) {
+    return this.request('uploadSessions', 'readonly', function(store) {
+        return store.get(id);
+    });
+};
+
+TransferStore.prototype.getAllSessions = function() {
+    if (!this.available) {
+        return Promise.resolve([]);
+    }
+    return this.request('uploadSessions', 'readonly', function(store) {
+        return store.getAll();
+    }).then(function(sessions) {
+        return sessions || [];
+    });
+};
+
+TransferStore.prototype.deleteSession = function(id) {
+    return this.request('uploadSessions', 'readwrite', function(store) {
+        return store.delete(id);
+    });
+};
+
+// Saved user choices such as Workspace export rules; resolves with undefined when unset
+TransferStore.prototype.getPreference = function(key) {
+    if (!this.available) {
+        return Promise.resolve(undefined);
+    }
+    return this.request('preferences', 'readonly', function(store) {
+        return store.get(key);
+    }).then(function(record) {
+        return record ? record.value : undefined;
+    });
+};
+
+TransferStore.prototype.savePreference = function(key, value) {
+    return this.request('preferences', 'readwrite', function(store) {
+        return store.put({ key: key, value: value, updatedAt: Date.now() });
+    });
+};
+
+TransferStore.prototype.getAllSyncPairs = function() {
+    if (!this.available) {
+        return Promise.resolve([]);
+    }
+    return this.request('syncPairs', 'readonly', function(store) {
+        return store.getAll();
+    }).then(function(pairs) {
+        return pairs || [];
+    });
+};
+
+TransferStore.prototype.getSyncPair = function(id) {
+    return this.request('syncPairs', 'readonly', function(store) {
+        return store.get(id);
+    });
+};
+
+TransferStore.prototype.saveSyncPair = function(pair) {
+    pair.updatedAt = Date.now();
+    return this.request('syncPairs', 'readwrite', function(store) {
+        return store.put(pair);
+    });
+};
+
+// Removes the pair together with its sync state
+TransferStore.prototype.deleteSyncPair = function(id) {
+    var self = this;
+    return this.request('syncPairs', 'readwrite', function(store) {
+        return store.delete(id);
+    }).then(function() {
+        return self.request('syncState', 'readwrite', function(store) {
+            return store.delete(id);
+        });
+    });
+};
+
+// Last-seen versions of a pair; resolves with undefined before the first sync
+TransferStore.prototype.getSyncState = function(pairId) {
+    return this.request('syncState', 'readonly', function(store) {
+        return store.get(pairId);
+    });
+};
+
+TransferStore.prototype.saveSyncState = function(state) {
+    state.updatedAt = Date.now();
+    return this.request('syncState', 'readwrite', function(store) {
+        return store.put(state);
+    });
+};
+
+TransferStore.prototype.getAllMirrorJobs = function() {
+    if (!this.available) {
+        return Promise.resolve([]);
+    }
+    return this.request('mirrorJobs', 'readonly', function(store) {
+        return store.getAll();
+    }).then(function(jobs) {
+        return jobs || [];
+    });
+};
+
+TransferStore.prototype.saveMirrorJob = function(job) {
+    job.updatedAt = Date.now();
+    return this.request('mirrorJobs', 'readwrite', function(store) {
+        return store.put(job);
+    });
+};
+
+TransferStore.prototype.deleteMirrorJob = function(id) {
+    return this.request('mirrorJobs', 'readwrite', function(store) {
+        return store.delete(id);
+    });
+};
+
+TransferStore.prototype.getAllHistory = function() {
+    if (!this.available) {
+        return Promise.resolve([]);
+    }
+    return this.request('transferHistory', 'readonly', function(store) {
+        return store.getAll();
+    }).then(function(entries) {
+        return entries || [];
+    });
+};
+
+TransferStore.prototype.saveHistoryEntry = function(entry) {
+    entry.updatedAt = Date.now();
+    return this.request('transferHistory', 'readwrite', function(store) {
+        return store.put(entry);
+    });
+};
+
+// Removes the given batches, or every batch when ids is omitted
+TransferStore.prototype.deleteHistory = function(ids) {
+    return this.open().then(function(db) {
+        return new Promise(function(resolve, reject) {
+            var tx = db.transaction('transferHistory', 'readwrite');
+            var store = tx.objectStore('transferHistory');
+
+            if (ids) {
+                ids.forEach(function(id) {
+                    store.delete(id);
+                });
+            } else {
+                store.clear();
+            }
+            tx.oncomplete = function() {
+                resolve();
+            };
+            tx.onerror = function() {
+                reject(tx.error);
+            };
+            tx.onabort = function() {
+                reject(tx.error || new Error('IndexedDB transaction aborted'));
+            };
+        });
+    });
+};
+
+// Merge a [start, end] byte range into a sorted list of non-overlapping ranges
+TransferStore.mergeRange = function(ranges, start, end) {
+    var merged = [];
+
+    (ranges || []).concat([[start, end]]).sort(function(a, b) {
+        return a[0] - b[0];
+    }).forEach(function(range) {
+        var last = merged[merged.length - 1];
+        if (last && range[0] <= last[1] + 1) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([range[0], range[1]]);
+        }
+    });
+
+    return merged;
+};
+
+// Number of bytes stored contiguously from offset 0
+TransferStore.contiguousBytes = function(ranges) {
+    if (!ranges || ranges.length === 0 || ranges[0][0] !== 0) {
+        return 0;
+    }
+    return ranges[0][1] + 1;
+};
+
+if (typeof window !== 'undefined') {
+    window.TransferStore = TransferStore;
+}
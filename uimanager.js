@@ -6,6 +6,9 @@ class UIManager {
         this.logger = logger;
         this.progressBars = new Map();
         this.activeModals = new Set();
+        // modalId -> callback run once when that modal is closed by any path
+        this.closeHandlers = new Map();
+        this.batchControl = null;
 
         this.logger.info('UI Manager initialized', {}, 'UI');
     }
@@ -14,7 +17,8 @@ class UIManager {
     // Progress bar management
     // =========================
 
-    createProgressBar(fileId, fileName, totalChunks) {
+    // control is an optional TransferControl; when given, the bar gets pause/cancel buttons
+    createProgressBar(fileId, fileName, totalChunks, control = null) {
         const progressContainer = document.getElementById('transfer-list');
         if (!progressContainer) return;
 
@@ -37,6 +41,12 @@ class UIManager {
                 <span class="transfer-speed">--</span>
                 <span class="eta">--</span>
             </div>
+            ${control ? `
+                <div class="transfer-item-controls">
+                    <button class="btn btn--ghost btn--small transfer-pause-btn" onclick="uiManager.toggleTransferPause('${this.escapeHtml(fileId)}')">⏸️ Pause</button>
+                    <button class="btn btn--ghost btn--small transfer-cancel-btn" onclick="uiManager.cancelTransfer('${this.escapeHtml(fileId)}')">✖️ Cancel</button>
+                </div>
+            ` : ''}
         `;
 
         progressContainer.appendChild(progressElement);
@@ -45,11 +55,17 @@ class UIManager {
             element: progressElement,
             fileName,
             totalChunks,
+            control,
             startTime: Date.now(),
             lastUpdate: Date.now(),
-            bytesTransferred: 0
+            bytesTransferred: 0,
+            phases: {}
         });
 
+        if (control) {
+            control.onChange(() => this.renderTransferControlState(fileId));
+        }
+
         this.logger.debug(`Progress bar created for: ${fileName}`, {
             fileId,
             totalChunks
@@ -60,8 +76,11 @@ class UIManager {
         const progressInfo = this.progressBars.get(fileId);
         if (!progressInfo) return;
 
-        const { element, startTime, totalChunks } = progressInfo;
-        const { phase, progress, completedChunks, fileName, uploadedBytes, totalSize } = progressData;
+        const { element } = progressInfo;
+        const { phase, progress, completedChunks, fileName, bytes, totalSize } = progressData;
+        // The engine re-plans chunks as it adapts, so prefer its current estimate
+        const totalChunks = progressData.totalChunks || progressInfo.totalChunks;
+        const phaseLabels = { download: 'Downloading...', upload: 'Uploading...', verify: 'Verifying...' };
 
         // Update progress bar
         const progressFill = element.querySelector('.progress-fill');
@@ -73,16 +92,28 @@ class UIManager {
 
         if (progressFill) progressFill.style.width = `${Math.round(progress)}%`;
         if (progressText) progressText.textContent = `${Math.round(progress)}%`;
-        if (transferStatus) transferStatus.textContent = phase === 'download' ? 'Downloading...' : 'Uploading...';
-        if (chunkProgress) chunkProgress.textContent = `${completedChunks} / ${totalChunks} chunks`;
+        if (transferStatus) transferStatus.textContent = phaseLabels[phase] || 'Transferring...';
+        if (chunkProgress && totalChunks) chunkProgress.textContent = `${completedChunks} / ${totalChunks} chunks`;
 
-        // Calculate transfer speed and ETA
+        // Calculate transfer speed and ETA over the current phase. An event with no
+        // completed chunks marks the starting point (a resumed transfer reports the
+        // bytes it had already sent); otherwise the phase began at the previous update.
+        // Phases are tracked separately since pipelined transfers interleave them.
         const currentTime = Date.now();
-        const elapsed = currentTime - startTime;
-        const bytesTransferred = uploadedBytes || (totalSize * (progress / 100));
+        if (!progressInfo.phases[phase]) {
+            const startsHere = completedChunks === 0;
+            progressInfo.phases[phase] = {
+                start: startsHere ? currentTime : progressInfo.lastUpdate,
+                startBytes: startsHere ? (bytes || 0) : 0
+            };
+        }
+        const phaseInfo = progressInfo.phases[phase];
+        const elapsed = currentTime - phaseInfo.start;
+        const bytesTransferred = bytes !== undefined ? bytes : (totalSize * (progress / 100));
+        const bytesThisRun = bytesTransferred - phaseInfo.startBytes;
 
-        if (elapsed > 1000 && bytesTransferred > 0) {
-            const speed = (bytesTransferred / elapsed) * 1000;
+        if (phase !== 'verify' && elapsed > 1000 && bytesThisRun > 0) {
+            const speed = (bytesThisRun / elapsed) * 1000;
             const remainingBytes = totalSize - bytesTransferred;
             const etaSeconds = remainingBytes / speed;
 
@@ -104,7 +135,7 @@ class UIManager {
         }, 'UI');
     }
 
-    completeProgressBar(fileId, success) {
+    completeProgressBar(fileId, success, statusText = null) {
         const progressInfo = this.progressBars.get(fileId);
         if (!progressInfo) return;
 
@@ -112,11 +143,14 @@ class UIManager {
         const transferStatus = element.querySelector('.transfer-status');
         const progressFill = element.querySelector('.progress-fill');
         const progressText = element.querySelector('.progress-text');
+        const controls = element.querySelector('.transfer-item-controls');
 
         const duration = Date.now() - startTime;
 
+        if (controls) controls.remove();
+
         if (success) {
-            if (transferStatus) transferStatus.textContent = '✅ Completed';
+            if (transferStatus) transferStatus.textContent = statusText || '✅ Completed';
             if (progressFill) {
                 progressFill.style.width = '100%';
                 progressFill.classList.add('success');
@@ -148,6 +182,143 @@ class UIManager {
         }, 30000);
     }
 
+    // =========================
+    // Pause / resume / cancel
+    // =========================
+
+    toggleTransferPause(fileId) {
+        const progressInfo = this.progressBars.get(fileId);
+        if (!progressInfo || !progressInfo.control) return;
+
+        const { control, fileName } = progressInfo;
+        if (control.paused) {
+            control.resume();
+        } else {
+            control.pause();
+        }
+
+        this.logger.info(`Transfer ${control.paused ? 'paused' : 'resumed'}: ${fileName}`, { fileId }, 'UI');
+    }
+
+    cancelTransfer(fileId) {
+        const progressInfo = this.progressBars.get(fileId);
+        if (!progressInfo || !progressInfo.control) return;
+
+        progressInfo.control.cancel();
+        this.logger.info(`Transfer cancel requested: ${progressInfo.fileName}`, { fileId }, 'UI');
+    }
+
+    renderTransferControlState(fileId) {
+        const progressInfo = this.progressBars.get(fileId);
+        if (!progressInfo || !progressInfo.control) return;
+
+        const { element, control } = progressInfo;
+        const transferStatus = element.querySelector('.transfer-status');
+        const pauseBtn = element.querySelector('.transfer-pause-btn');
+        const cancelBtn = element.querySelector('.transfer-cancel-btn');
+
+        if (control.cancelled) {
+            if (transferStatus) transferStatus.textContent = 'Cancelling...';
+            if (pauseBtn) pauseBtn.disabled = true;
+            if (cancelBtn) cancelBtn.disabled = true;
+            return;
+        }
+
+        const paused = control.isPaused();
+        if (transferStatus && paused) transferStatus.textContent = '⏸️ Paused';
+        if (pauseBtn) {
+            pauseBtn.disabled = control.parent !== null && control.parent.isPaused();
+            pauseBtn.textContent = control.paused ? '▶️ Resume' : '⏸️ Pause';
+        }
+    }
+
+    cancelProgressBar(fileId) {
+        const progressInfo = this.progressBars.get(fileId);
+        if (!progressInfo) return;
+
+        const { element, fileName, startTime } = progressInfo;
+        const transferStatus = element.querySelector('.transfer-status');
+        const progressFill = element.querySelector('.progress-fill');
+        const controls = element.querySelector('.transfer-item-controls');
+
+        if (transferStatus) transferStatus.textContent = '✖️ Cancelled';
+        if (progressFill) progressFill.classList.add('cancelled');
+        if (controls) controls.remove();
+
+        this.logger.info(`Transfer cancelled: ${fileName}`, {
+            fileId,
+            duration: Date.now() - startTime
+        }, 'UI');
+
+        setTimeout(() => {
+            if (element.parentNode) {
+                element.parentNode.removeChild(element);
+                this.progressBars.delete(fileId);
+            }
+        }, 30000);
+    }
+
+    showBatchControls(batchControl, fileCount) {
+        const progressPanel = document.getElementById('transfer-progress');
+        const transferList = document.getElementById('transfer-list');
+        if (!progressPanel || !transferList) return;
+
+        this.hideBatchControls();
+        this.batchControl = batchControl;
+
+        const batchElement = document.createElement('div');
+        batchElement.id = 'batch-controls';
+        batchElement.className = 'batch-controls';
+        batchElement.innerHTML = `
+            <span class="batch-status">Batch of ${fileCount} file(s) running</span>
+            <div class="batch-actions">
+                <button class="btn btn--secondary btn--small batch-pause-btn" onclick="uiManager.toggleBatchPause()">⏸️ Pause All</button>
+                <button class="btn btn--secondary btn--small batch-cancel-btn" onclick="uiManager.cancelBatch()">✖️ Cancel All</button>
+            </div>
+        `;
+        progressPanel.insertBefore(batchElement, transferList);
+
+        batchControl.onChange(() => {
+            const status = batchElement.querySelector('.batch-status');
+            const pauseBtn = batchElement.querySelector('.batch-pause-btn');
+            const cancelBtn = batchElement.querySelector('.batch-cancel-btn');
+
+            if (batchControl.cancelled) {
+                if (status) status.textContent = 'Cancelling batch...';
+                if (pauseBtn) pauseBtn.disabled = true;
+                if (cancelBtn) cancelBtn.disabled = true;
+            } else {
+                if (status) status.textContent = batchControl.paused ? 'Batch paused' : `Batch of ${fileCount} file(s) running`;
+                if (pauseBtn) pauseBtn.textContent = batchControl.paused ? '▶️ Resume All' : '⏸️ Pause All';
+            }
+        });
+    }
+
+    hideBatchControls() {
+        const batchElement = document.getElementById('batch-controls');
+        if (batchElement) batchElement.remove();
+        this.batchControl = null;
+    }
+
+    toggleBatchPause() {
+        if (!this.batchControl) return;
+
+        if (this.batchControl.paused) {
+            this.batchControl.resume();
+        } else {
+            this.batchControl.pause();
+        }
+
+        this.logger.info(`Batch ${this.batchControl.paused ? 'paused' : 'resumed'}`, {}, 'UI');
+    }
+
+    cancelBatch() {
+        if (!this.batchControl) return;
+
+        this.batchControl.cancel();
+        this.logger.info('Batch cancel requested', {}, 'UI');
+    }
+
     updateTransferLogs(recentLogs) {
         const logContainer = document.getElementById('transfer-list');
         if (!logContainer) return;
@@ -297,6 +468,24 @@ class UIManager {
         }
     }
 
+    // Run handler the next time modalId closes, whether by its buttons, the ×,
+    // an overlay click or Escape. Pending dialogs use it to settle their promise.
+    onModalClose(modalId, handler) {
+        this.closeHandlers.set(modalId, handler);
+    }
+
+    runCloseHandler(modalId) {
+        const handler = this.closeHandlers.get(modalId);
+        if (!handler) return;
+
+        this.closeHandlers.delete(modalId);
+        try {
+            handler();
+        } catch (error) {
+            this.logger.error(`Modal close handler failed: ${modalId}`, { error: error.message }, 'UI');
+        }
+    }
+
     closeModal(modalId) {
         const modal = document.getElementById(modalId);
         if (modal) {
@@ -305,6 +494,7 @@ class UIManager {
         }
         this.activeModals.delete(modalId);
         this.clearOverlay();
+        this.runCloseHandler(modalId);
         this.logger.debug(`Modal closed: ${modalId}`, {}, 'UI');
     }
 
@@ -357,6 +547,7 @@ class UIManager {
         });
         this.activeModals.clear();
         this.clearOverlay();
+        [...this.closeHandlers.keys()].forEach(modalId => this.runCloseHandler(modalId));
         this.logger.debug('All modals closed', {}, 'UI');
     }
 